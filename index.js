@@ -6,7 +6,11 @@ import vapiRoutes from "./src/routers/vapi.Routes.js";
 import openaiRoutes from "./src/routers/openai.Routes.js";
 import bookingRoutes from "./src/routers/booking.Routes.js";
 import paymentRoutes from "./src/routers/payment.Routes.js";
+import adminRoutes from "./src/routers/admin.Routes.js";
 import { logger } from "./src/utils/logger.js";
+import { startHoldSweeper } from "./src/utils/holdSweeper.js";
+import { offerFreedCapacity } from "./src/controller/waitlist.Controller.js";
+import { notifyCancellation } from "./src/controller/email.Controller.js";
 
 // Load environment variables from .env file
 dotenv.config();
@@ -107,85 +111,246 @@ app.get("/debug", (req, res) => {
       },
       "POST /api/openai/chat": {
         description: "Send a chat message (IP-based session isolation)",
-        body: { message: "string", conversationHistory: "array (optional)" },
-        response: { success: true, message: "string", sessionId: "string" }
+        body: { message: "string", conversationHistory: "array (optional)", manageToken: "string? (greets returning guests)", locationId: "string? (venue the assistant books)" },
+        response: { success: true, message: "string", returningGuest: "object|null", sessionId: "string" }
       },
       "POST /api/openai/check-availability": {
         description: "Check table availability",
-        body: { numGuests: "number", date: "string", time: "string" },
-        response: { success: true, available: true, message: "string" }
+        body: { numGuests: "number", date: "string", time: "string", locationId: "string?", preferredLocation: "string?", accessible: "boolean?", highChair: "boolean?" },
+        response: { success: true, available: true, message: "string", preferenceMatch: "object|null" }
       },
       "POST /api/openai/create-reservation": {
-        description: "Create a table reservation",
-        body: { customerName: "string", numGuests: "number", date: "string", time: "string" },
-        response: { success: true, booking: "object" }
+        description: "Create a table reservation (stored and allocated like /api/booking/create-reservation)",
+        body: {
+          customerName: "string", numGuests: "number", date: "string", time: "string", locationId: "string?",
+          email: "string?", phone: "string?", preferredLocation: "string?", accessible: "boolean?", highChair: "boolean?"
+        },
+        response: { success: true, booking: "object", manageToken: "string", depositRequired: "object|null" }
       },
       "GET /api/openai/health": {
         description: "Check OpenRouter API health",
         response: { configured: true, apiWorking: true }
       },
+      "GET /api/booking/locations": {
+        description: "List the venues that take bookings - pass an id as locationId (defaults to the first venue)",
+        response: { success: true, count: "number", locations: "array" }
+      },
       "POST /api/booking/check-availability": {
         description: "Check available tables",
-        body: { numGuests: "number", date: "string (YYYY-MM-DD)", time: "string (HH:MM)" },
-        response: { success: true, available: true, tables: "array", message: "string" }
+        body: {
+          numGuests: "number", date: "string (YYYY-MM-DD)", time: "string (HH:MM)", locationId: "string?",
+          preferredLocation: "string? (e.g. Window, Patio)", accessible: "boolean?", highChair: "boolean?"
+        },
+        response: {
+          success: true, available: true, tables: "array (best match first)", preferenceMatch: "object|null",
+          message: "string", alternatives: "object (when unavailable)"
+        }
+      },
+      "GET /api/booking/calendar": {
+        description: "Month view of availability per day (closed / full / limited / open) with bookable slots",
+        query: { month: "string (YYYY-MM)", guests: "number", locationId: "string?" },
+        response: { success: true, month: "string", days: "array", summary: "object", cached: "boolean" }
       },
       "POST /api/booking/create-reservation": {
         description: "Create a new table reservation",
-        body: { customerName: "string", numGuests: "number", date: "string", time: "string", email: "string?", phone: "string?" },
-        response: { success: true, reservation: "object", confirmationDetails: "object" }
+        headers: { "Idempotency-Key": "string? (replays the original response on retry)" },
+        body: {
+          customerName: "string", numGuests: "number", date: "string", time: "string", locationId: "string?", email: "string?", phone: "string?",
+          occasion: "string?", dietaryRestrictions: "array|string?", allergies: "array|string?", seatingPreference: "string?",
+          preferredLocation: "string?", accessible: "boolean?", highChair: "boolean?",
+          holdToken: "string? (from POST /api/booking/hold)"
+        },
+        response: {
+          success: true, reservation: "object", returningGuest: "boolean", manageToken: "string", calendarUrl: "string (.ics)", confirmationDetails: "object",
+          depositRequired: "object|null (parties of 6+ and Fri/Sat from 19:00 start as pending_payment until paid)"
+        }
+      },
+      "POST /api/booking/hold": {
+        description: "Hold a table for a few minutes during checkout (CHECKOUT_HOLD_MINUTES)",
+        body: { numGuests: "number", date: "string", time: "string", locationId: "string?", preferredLocation: "string?", accessible: "boolean?", highChair: "boolean?" },
+        response: { success: true, holdToken: "string", expiresAt: "string", tableIds: "array", preferenceMatch: "object|null", deposit: "object|null" }
+      },
+      "GET /api/booking/hold/:holdToken": {
+        description: "Get a checkout hold and the time left on it",
+        response: { success: true, hold: "object" }
+      },
+      "DELETE /api/booking/hold/:holdToken": {
+        description: "Release a checkout hold early",
+        response: { success: true, hold: "object" }
+      },
+      "POST /api/booking/reservation/lookup": {
+        description: "Find a reservation by confirmation code and email/phone",
+        body: { confirmationCode: "string", email: "string?", phone: "string?" },
+        response: { success: true, reservation: "object", manageToken: "string" }
       },
       "GET /api/booking/reservation/:reservationId": {
-        description: "Get reservation details (requires ownership by IP)",
-        params: { reservationId: "string" },
+        description: "Get reservation details (manage token, or email/phone matching the booking)",
+        params: { reservationId: "string (ID or confirmation code)" },
+        query: { token: "string?", email: "string?", phone: "string?" },
         response: { success: true, reservation: "object" }
       },
+      "GET /api/booking/reservation/:reservationId/calendar.ics": {
+        description: "Download the reservation as a calendar event (.ics) - also attached to confirmation, update and cancellation emails",
+        params: { reservationId: "string (ID or confirmation code)" },
+        query: { token: "string?", email: "string?", phone: "string?" },
+        response: "text/calendar (VEVENT with reminder alarm and manage-booking link)"
+      },
       "PUT /api/booking/modify-reservation/:reservationId": {
-        description: "Modify reservation date/time/guests",
-        body: { date: "string?", time: "string?", numGuests: "number?" },
+        description: "Modify reservation date/time/guests (manage token, or email/phone matching the booking)",
+        body: { date: "string?", time: "string?", numGuests: "number?", email: "string?", phone: "string?" },
         response: { success: true, reservation: "object" }
       },
       "DELETE /api/booking/cancel-reservation/:reservationId": {
-        description: "Cancel a reservation",
+        description: "Cancel a reservation (manage token, or email/phone matching the booking)",
+        query: { token: "string?", email: "string?", phone: "string?" },
+        response: { success: true, reservation: "object", cancellationFee: "object|null (late cancellations)" }
+      },
+      "PUT /api/booking/reservation/:reservationId/status": {
+        description: "Move a reservation to arrived/seated/completed/no_show/etc. (requires x-staff-key)",
+        body: { status: "string", note: "string?", staffName: "string?", spend: "number? (completed visits)" },
+        response: { success: true, reservation: "object", allowedTransitions: "array" }
+      },
+      "PUT /api/booking/reservation/:reservationId/turn-time": {
+        description: "Override how long a reservation holds its table, e.g. tasting menus (requires x-staff-key)",
+        body: { minutes: "number|null (null restores the standard turn time)", note: "string?", staffName: "string?" },
         response: { success: true, reservation: "object" }
       },
+      "GET /api/booking/manifest": {
+        description: "Daily reservation manifest grouped by time and table, with covers per interval (requires x-staff-key)",
+        query: { date: "string (YYYY-MM-DD)", locationId: "string?", service: "string? (e.g. Dinner)", format: "json|csv|html?", includeCancelled: "boolean?" },
+        response: { success: true, manifest: "object (or a CSV download / printable HTML page)" }
+      },
+      "GET /api/booking/reservations/search": {
+        description: "Search reservations by guest, date range, status, table and party size, with cursor pagination (requires x-staff-key)",
+        query: {
+          name: "string?", email: "string?", phone: "string?", confirmationCode: "string?",
+          from: "string? (YYYY-MM-DD)", to: "string? (YYYY-MM-DD)", status: "string? (comma-separated)",
+          tableId: "number?", numGuests: "number?", minGuests: "number?", maxGuests: "number?", locationId: "string?",
+          sort: "date|createdAt|customerName|numGuests?", order: "asc|desc?", limit: "number? (1-100)", cursor: "string?"
+        },
+        response: { success: true, total: "number", count: "number", reservations: "array", nextCursor: "string|null" }
+      },
+      "GET /api/booking/guests": {
+        description: "Find a guest profile by email or phone (requires x-staff-key)",
+        query: { email: "string?", phone: "string?" },
+        response: { success: true, guest: "object" }
+      },
+      "GET /api/booking/guests/:guestId": {
+        description: "Get a guest profile with preferences, visit stats and reservations (requires x-staff-key)",
+        response: { success: true, guest: "object", reservations: "array" }
+      },
+      "PUT /api/booking/guests/:guestId": {
+        description: "Update a guest's contact details, preferences and notes (requires x-staff-key)",
+        body: { name: "string?", email: "string?", phone: "string?", dietaryRestrictions: "array?", allergies: "array?", seatingPreferences: "array?", occasions: "array?", notes: "string?" },
+        response: { success: true, guest: "object" }
+      },
       "GET /api/booking/tables-status": {
-        description: "Get all tables status and availability",
+        description: "Get a venue's tables status and availability for a slot (defaults to now)",
+        query: { date: "string? (YYYY-MM-DD)", time: "string? (HH:MM)", locationId: "string?" },
         response: { success: true, availability: "object" }
       },
       "GET /api/booking/restaurant-info": {
-        description: "Get restaurant information (hours, capacity, cuisine)",
+        description: "Get a venue's information (weekly hours, upcoming closures/special hours, capacity, cuisine, contact details)",
+        query: { locationId: "string?" },
         response: { success: true, restaurant: "object" }
       },
+      "POST /api/booking/waitlist": {
+        description: "Join the waitlist for a fully booked slot",
+        body: { customerName: "string", numGuests: "number", date: "string", time: "string", locationId: "string?", email: "string?", phone: "string?" },
+        response: { success: true, waitlistEntry: "object", position: "number" }
+      },
+      "GET /api/booking/waitlist/:waitlistId": {
+        description: "Get waitlist position and any held offer",
+        query: { email: "string?", phone: "string?" },
+        response: { success: true, waitlistEntry: "object", position: "number|null" }
+      },
+      "DELETE /api/booking/waitlist/:waitlistId": {
+        description: "Leave the waitlist",
+        query: { email: "string?", phone: "string?" },
+        response: { success: true, waitlistEntry: "object" }
+      },
+      "GET /api/admin/locations": {
+        description: "Get every venue with its hours, branding and payment settings (requires x-admin-key)",
+        response: { success: true, defaultLocationId: "string", locations: "array" }
+      },
+      "PUT /api/admin/locations/:locationId": {
+        description: "Add a venue or update its settings (requires x-admin-key)",
+        body: {
+          name: "string", address: "string", phone: "string?", email: "string?", tagline: "string?", cuisine: "string?",
+          operatingHours: "object|null?", timeZone: "string|null? (IANA zone)", payment: "object? ({ bankTransfer?, cashApp? })", active: "boolean?"
+        },
+        response: { success: true, location: "object" }
+      },
+      "GET /api/admin/calendar": {
+        description: "Get a venue's weekly hours and dated exceptions (requires x-admin-key)",
+        query: { from: "string? (YYYY-MM-DD)", to: "string? (YYYY-MM-DD)", locationId: "string?" },
+        response: { success: true, weekly: "object", exceptions: "array" }
+      },
+      "GET /api/admin/calendar/:date": {
+        description: "Get effective service periods for a date (requires x-admin-key)",
+        response: { success: true, day: "object" }
+      },
+      "PUT /api/admin/calendar/exceptions/:date": {
+        description: "Close a date or set special hours (requires x-admin-key)",
+        body: { type: "closed | hours", periods: "array?", reason: "string?", locationId: "string?" },
+        response: { success: true, exception: "object" }
+      },
+      "DELETE /api/admin/calendar/exceptions/:date": {
+        description: "Remove a date's exception (requires x-admin-key)",
+        response: { success: true, exception: "object" }
+      },
+      "GET /api/admin/tables": {
+        description: "Get a venue's floor plan and joinable table groups (requires x-admin-key)",
+        query: { locationId: "string?" },
+        response: { success: true, tables: "array", combinations: "array" }
+      },
+      "POST /api/admin/tables": {
+        description: "Add a table (requires x-admin-key)",
+        body: { locationId: "string?", seats: "number", minCovers: "number?", maxCovers: "number?", location: "string", combinableWith: "array?", accessible: "boolean?", highChair: "boolean?", active: "boolean?" },
+        response: { success: true, table: "object" }
+      },
+      "PUT /api/admin/tables/:tableId": {
+        description: "Update a table's seats, covers, location, combinability, accessibility or active flag (requires x-admin-key)",
+        response: { success: true, table: "object" }
+      },
+      "DELETE /api/admin/tables/:tableId": {
+        description: "Remove a table with no upcoming reservations (requires x-admin-key)",
+        response: { success: true, table: "object" }
+      },
       "GET /api/payment/methods": {
-        description: "Get available payment methods",
+        description: "Get the payment methods a venue accepts",
+        query: { locationId: "string?" },
         response: { success: true, paymentMethods: "array" }
       },
       "POST /api/payment/process-card": {
-        description: "Process credit/debit card payment",
+        description: "Pay a reservation's deposit or late-cancellation fee by card (amount must match what is due)",
+        headers: { "Idempotency-Key": "string? (replays the original response on retry)" },
         body: { reservationId: "string", cardDetails: "object", amount: "number" },
-        response: { success: true, paymentId: "string", transactionId: "string" }
+        response: { success: true, paymentId: "string", transactionId: "string", purpose: "deposit|late_cancellation_fee", reservationStatus: "string" }
       },
       "GET /api/payment/bank-transfer/:reservationId": {
-        description: "Get bank transfer payment details",
+        description: "Get bank transfer payment details for the reservation's venue",
         response: { success: true, details: "object", instructions: "array" }
       },
       "GET /api/payment/cashapp/:reservationId": {
-        description: "Get CashApp payment details",
+        description: "Get CashApp payment details for the reservation's venue",
         response: { success: true, details: "object", instructions: "array" }
       },
       "POST /api/payment/confirm-offline": {
-        description: "Confirm offline payment (bank transfer/cashapp)",
-        body: { reservationId: "string", method: "string" },
-        response: { success: true, paymentId: "string", status: "string" }
+        description: "Confirm offline payment (bank transfer/cashapp) of a deposit or late-cancellation fee",
+        headers: { "x-manage-token": "string? (instead of email/phone)" },
+        body: { reservationId: "string", method: "string", email: "string?", phone: "string?" },
+        response: { success: true, paymentId: "string", purpose: "string", amount: "number", status: "string", verifyBy: "string|null" }
       },
       "GET /api/payment/status/:paymentId": {
         description: "Get payment status",
+        query: { token: "string?", email: "string?", phone: "string?" },
         response: { success: true, payment: "object" }
       },
       "POST /api/dograh/initiate-call": {
-        description: "Initiate a voice call via Dograh.ai Active Agents",
-        body: { phoneNumber: "string", callbackUrl: "string?", context: "object?" },
-        response: { success: true, callId: "string", status: "string" }
+        description: "Initiate a voice call via Dograh.ai Active Agents (requires x-staff-key)",
+        body: { phoneNumber: "string", callbackUrl: "string?", context: "object?", locationId: "string?" },
+        response: { success: true, callId: "string", locationId: "string", returningGuest: "object|null", status: "string" }
       },
       "POST /api/dograh/inbound-call": {
         description: "Handle inbound call from Dograh.ai webhook",
@@ -230,6 +395,7 @@ app.use("/api", vapiRoutes);
 app.use("/api/openai", openaiRoutes);
 app.use("/api/booking", bookingRoutes);
 app.use("/api/payment", paymentRoutes);
+app.use("/api/admin", adminRoutes);
 
 /* ======================
    ROOT
@@ -252,4 +418,7 @@ app.listen(5000, () => {
   logger.log("🔗 URL: http://localhost:5000");
   logger.log("✅ Environment: " + process.env.NODE_ENV);
   logger.log("🌐 Session tracking: IP-based (no WebSocket needed)");
+
+  // Release expired checkout/deposit holds and offer the tables to the waitlist
+  startHoldSweeper(offerFreedCapacity, notifyCancellation);
 });
@@ -19,10 +19,13 @@ if (serviceAccount.private_key) {
 }
 
 // Initialize Admin SDK with credential only (no RTDB initialization)
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-  // removed databaseURL to avoid RTDB usage
-});
+// Other modules (e.g. the VAPI controller) may have initialized the default app already
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    // removed databaseURL to avoid RTDB usage
+  });
+}
 
 const db = admin.firestore();
 const auth = admin.auth();
@@ -0,0 +1,185 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+// ==================== RESTAURANT CONFIGURATION ====================
+export const RESTAURANT_TABLES = {
+  // IANA time zone of the restaurant - booking dates/times and all date math use it, not the server's
+  // (a location with its own timeZone uses that instead)
+  timeZone: process.env.RESTAURANT_TIMEZONE || "America/New_York",
+  // Venues of the group - each is seeded into storage the first time it is missing,
+  // then managed via /api/admin/locations (the locations collection is the source of truth)
+  // The first location is the default for requests without a locationId, and owns defaultTables
+  // operatingHours: null uses the weekly schedule below, timeZone: null (or left out) the zone above
+  defaultLocations: [
+    {
+      id: "downtown",
+      name: "NOIR",
+      fullName: "NOIR Fine Dining Restaurant",
+      pronunciation: "nwahr",
+      tagline: "Fine Dining Experience",
+      cuisine: "Fine Dining - Contemporary French",
+      specialties: ["French Cuisine", "Fine Dining Experience", "Private Events", "Wine Pairing"],
+      address: process.env.RESTAURANT_ADDRESS || "Downtown District",
+      phone: "+1 (555) 123-4567",
+      email: "reservations@noir-restaurant.com",
+      website: "www.noir-restaurant.com",
+      operatingHours: null,
+      payment: {
+        bankTransfer: {
+          accountName: "NOIR Fine Dining Restaurant",
+          accountNumber: "1234567890",
+          routingNumber: "021000021",
+          bankName: "International Bank",
+          swift: "IBUSUSBB"
+        },
+        cashApp: {
+          tag: "$noir-restaurant",
+          displayName: "NOIR Restaurant"
+        }
+      }
+    }
+  ],
+  // Initial floor plan of the default location - seeded into storage when no tables exist yet,
+  // then managed via /api/admin/tables (the tables collection is the source of truth)
+  // combinableWith lists adjacent tables that can be joined for larger parties
+  // highChair marks tables with room to pull up a high chair
+  defaultTables: [
+    { id: 1, seats: 2, location: "Window", combinableWith: [], accessible: true, highChair: false },
+    { id: 2, seats: 2, location: "Bar", combinableWith: [], accessible: false, highChair: false },
+    { id: 3, seats: 4, location: "Center", combinableWith: [4], accessible: true, highChair: true },
+    { id: 4, seats: 4, location: "Corner", combinableWith: [3, 5], accessible: true, highChair: true },
+    { id: 5, seats: 6, location: "Private", combinableWith: [4, 6], accessible: false, highChair: true },
+    { id: 6, seats: 8, location: "Patio", combinableWith: [5], accessible: true, highChair: true }
+  ],
+  // Most tables that can be joined for one party
+  maxJoinedTables: 4,
+  // Weekly service periods - a day with no periods is closed
+  // lastSeating is the latest bookable start time (defaults to close minus lastSeatingBuffer)
+  // Dated exceptions (holidays, buyouts, extended hours) are managed via /api/admin/calendar
+  operatingHours: {
+    Monday: [],
+    Tuesday: [
+      { name: "Lunch", open: "11:00", close: "15:00", lastSeating: "14:00" },
+      { name: "Dinner", open: "17:00", close: "23:00", lastSeating: "21:45" }
+    ],
+    Wednesday: [
+      { name: "Lunch", open: "11:00", close: "15:00", lastSeating: "14:00" },
+      { name: "Dinner", open: "17:00", close: "23:00", lastSeating: "21:45" }
+    ],
+    Thursday: [
+      { name: "Lunch", open: "11:00", close: "15:00", lastSeating: "14:00" },
+      { name: "Dinner", open: "17:00", close: "23:00", lastSeating: "21:45" }
+    ],
+    Friday: [
+      { name: "Lunch", open: "11:00", close: "15:00", lastSeating: "14:00" },
+      { name: "Dinner", open: "17:00", close: "23:00", lastSeating: "21:45" }
+    ],
+    Saturday: [
+      { name: "Lunch", open: "11:00", close: "15:00", lastSeating: "14:00" },
+      { name: "Dinner", open: "17:00", close: "23:00", lastSeating: "21:45" }
+    ],
+    Sunday: [
+      { name: "Brunch", open: "11:00", close: "16:00", lastSeating: "14:45" },
+      { name: "Dinner", open: "17:00", close: "22:00", lastSeating: "20:45" }
+    ]
+  },
+  // How long a table stays occupied (minutes), by day part and party size
+  // Day parts are service period names (anything else uses default); the first band the party fits applies
+  // Staff can override the turn time on an individual reservation
+  turnTimes: {
+    default: [
+      { maxGuests: 2, minutes: 90 },
+      { maxGuests: 4, minutes: 120 },
+      { maxGuests: 6, minutes: 135 },
+      { maxGuests: 20, minutes: 150 }
+    ],
+    Lunch: [
+      { maxGuests: 2, minutes: 60 },
+      { maxGuests: 4, minutes: 75 },
+      { maxGuests: 20, minutes: 105 }
+    ],
+    Brunch: [
+      { maxGuests: 2, minutes: 75 },
+      { maxGuests: 4, minutes: 90 },
+      { maxGuests: 20, minutes: 120 }
+    ]
+  },
+  // Fallback turn time when no band fits (minutes)
+  seatingDuration: parseInt(process.env.SEATING_DURATION_MINUTES) || 120,
+  // Limits on a staff turn-time override (minutes)
+  turnTimeOverride: { min: 30, max: 360 },
+  // Kitchen pacing: most covers and parties that may arrive in each interval of a service period
+  // Intervals start at the period's opening; periods without an entry are not paced
+  // maxCovers caps what joins an interval - a single party larger than it can still arrive alone
+  pacing: {
+    Lunch: { intervalMinutes: 30, maxCovers: 24, maxParties: 8 },
+    Brunch: { intervalMinutes: 30, maxCovers: 24, maxParties: 8 },
+    Dinner: { intervalMinutes: 15, maxCovers: 16, maxParties: 5 }
+  },
+  // Kitchen-close buffer for periods without an explicit lastSeating (minutes before close)
+  lastSeatingBuffer: parseInt(process.env.LAST_SEATING_BUFFER_MINUTES) || 75,
+  // Same-day bookings must be made at least this far ahead (minutes)
+  minimumLeadTime: parseInt(process.env.MIN_LEAD_TIME_MINUTES) || 60,
+  // How long a freed slot is held for the waitlisted guest it was offered to (minutes)
+  waitlistHoldMinutes: parseInt(process.env.WAITLIST_HOLD_MINUTES) || 15,
+  // How long a checkout hold (POST /api/booking/hold) keeps the chosen table while the guest finishes booking (minutes)
+  checkoutHoldMinutes: parseInt(process.env.CHECKOUT_HOLD_MINUTES) || 5,
+  // How often the background sweeper releases expired holds (seconds)
+  holdSweepIntervalSeconds: parseInt(process.env.HOLD_SWEEP_INTERVAL_SECONDS) || 60,
+  // Spacing of bookable start times, used when suggesting alternatives (minutes)
+  slotInterval: 30,
+  // Month-view availability calendar (GET /api/booking/calendar)
+  availabilityCalendar: {
+    // Results are cached per month and party size, and dropped when bookings change (seconds)
+    cacheSeconds: parseInt(process.env.CALENDAR_CACHE_SECONDS) || 300,
+    // A day with this share of its slots (or fewer) still bookable shows as "limited"
+    limitedThreshold: 0.5
+  },
+  // Calendar (.ics) events for reservations - download link and email attachments
+  // (the event's location and organizer come from the reservation's venue)
+  calendarEvent: {
+    // Reminder alarm before the booking (minutes)
+    reminderMinutes: parseInt(process.env.CALENDAR_REMINDER_MINUTES) || 120
+  },
+  // Alternatives offered when a slot is unavailable
+  alternatives: {
+    sameDayLimit: 3,   // nearest open times on the requested day
+    nextDaysLimit: 3,  // same time on the following open days
+    searchDays: 14     // how far ahead to look for the same time
+  },
+  // Cancelling inside the free window incurs a fee per guest
+  // Large parties (minGuests and up) need more notice and pay a higher fee
+  cancellationPolicy: {
+    freeCancellationHours: parseInt(process.env.FREE_CANCELLATION_HOURS) || 24,
+    lateFeePerGuest: parseFloat(process.env.LATE_CANCEL_FEE_PER_GUEST) || 25,
+    currency: "USD",
+    largeParty: {
+      minGuests: parseInt(process.env.LARGE_PARTY_MIN_GUESTS) || 6,
+      freeCancellationHours: parseInt(process.env.LARGE_PARTY_FREE_CANCELLATION_HOURS) || 48,
+      lateFeePerGuest: parseFloat(process.env.LARGE_PARTY_LATE_CANCEL_FEE_PER_GUEST) || 50
+    }
+  },
+  // Bookings matching a rule need a per-guest deposit (the highest matching rule applies)
+  // They start as pending_payment and are released if unpaid after paymentWindowMinutes
+  // Offline payments (bank transfer, CashApp) must be verified by staff within verificationWindowHours or the hold is released too
+  depositPolicy: {
+    currency: "USD",
+    paymentWindowMinutes: parseInt(process.env.DEPOSIT_PAYMENT_WINDOW_MINUTES) || 30,
+    verificationWindowHours: parseInt(process.env.DEPOSIT_VERIFICATION_WINDOW_HOURS) || 24,
+    rules: [
+      {
+        name: "large_party",
+        description: "Parties of 6 or more",
+        minGuests: parseInt(process.env.DEPOSIT_LARGE_PARTY_MIN_GUESTS) || 6,
+        perGuest: parseFloat(process.env.DEPOSIT_LARGE_PARTY_PER_GUEST) || 20
+      },
+      {
+        name: "peak",
+        description: "Friday and Saturday from 19:00",
+        days: ["Friday", "Saturday"],
+        fromTime: "19:00",
+        perGuest: parseFloat(process.env.DEPOSIT_PEAK_PER_GUEST) || 15
+      }
+    ]
+  }
+};
@@ -1,97 +1,120 @@
 import { logger } from "../utils/logger.js";
-import { sendReservationConfirmation, sendPaymentConfirmation } from "./email.Controller.js";
-
-// ==================== RESTAURANT TABLE DATA ====================
-// Mock database - In production, use Firebase/Database
-const RESTAURANT_TABLES = {
-  tables: [
-    { id: 1, seats: 2, location: "Window", available: true },
-    { id: 2, seats: 2, location: "Bar", available: true },
-    { id: 3, seats: 4, location: "Center", available: true },
-    { id: 4, seats: 4, location: "Corner", available: false },
-    { id: 5, seats: 6, location: "Private", available: true },
-    { id: 6, seats: 8, location: "Patio", available: true }
-  ],
-  operatingHours: {
-    open: "11:00",
-    close: "23:00",
-    closedOn: ["Monday"]
-  }
-};
-
-// Store all reservations (in production: Firebase)
-const RESERVATIONS = new Map(); // { reservationId: { details } }
+import repository from "../repository/index.js";
+import { RESTAURANT_TABLES } from "../config/restaurant.js";
+import {
+  getCurrentSlot,
+  getBookedTableIds,
+  getAvailableTables,
+  selectSeating,
+  findAlternativeSlots,
+  findServicePeriod,
+  addDays,
+  parsePartySize,
+  PARTY_SIZE,
+  REASON_CODES
+} from "../utils/availability.js";
+import { getServicePeriods, getCalendarExceptions } from "../utils/calendar.js";
+import { validateDateTime, getStartTimestamps } from "../utils/timezone.js";
+import { getTables, getTableCombinations } from "../utils/tables.js";
+import { evaluateCancellation } from "../utils/cancellation.js";
+import { getDepositRequirement, createDeposit, isDepositOverdue, expireUnpaidDeposits } from "../utils/deposits.js";
+import { upsertGuestForReservation, recordGuestOutcome, toList } from "../utils/guests.js";
+import { getTurnTime, validateTurnTimeOverride } from "../utils/turnTimes.js";
+import {
+  validateSeatingPreferences,
+  normalizeSeatingPreferences,
+  rankByPreference,
+  getPreferenceMatch,
+  describeSeatingPreferences
+} from "../utils/seatingPreferences.js";
+import {
+  RESERVATION_STATUSES,
+  GUEST_EDITABLE_STATUSES,
+  holdsTable,
+  canTransition,
+  getAllowedTransitions,
+  initializeStatus,
+  applyTransition
+} from "../utils/reservationStatus.js";
+import {
+  sendReservationConfirmation,
+  sendPaymentConfirmation,
+  sendReservationUpdateEmail,
+  notifyCancellation
+} from "./email.Controller.js";
+import { offerFreedCapacity } from "./waitlist.Controller.js";
+import { isHoldActive } from "./hold.Controller.js";
+import { recordCancellationFee } from "./payment.Controller.js";
+import { withLock, tableLockKey, LOCK_TIMEOUT } from "../utils/locks.js";
+import { invalidateAvailabilityCache } from "../utils/availabilityCache.js";
+import { getMonthAvailability } from "../utils/availabilityCalendar.js";
+import { buildReservationCalendar, getCalendarFilename } from "../utils/icalendar.js";
+import {
+  generateConfirmationCode,
+  createManageToken,
+  authorizeReservationAccess,
+  authorizeWaitlistAccess
+} from "../utils/reservationAccess.js";
+import { getLocationId, getLocationFor, getLocationTimeZone, getOperatingHours } from "../utils/locations.js";
 
 // ==================== UTILITY FUNCTIONS ====================
 
+// Floor status shown for a table, by the status of the booking holding it
+const TABLE_STATUS_LABELS = {
+  available: "🟢 Available",
+  held: "🟡 Held (checkout or waitlist offer)",
+  pending_payment: "🟡 Awaiting payment",
+  confirmed: "🔴 Booked",
+  reminded: "🔴 Booked",
+  arrived: "🟠 Guests arrived",
+  seated: "🔵 Seated"
+};
+
 /**
- * Check if restaurant is open on given date/time
+ * Generate unique reservation ID
  */
-const isRestaurantOpen = (date, time) => {
-  const dateObj = new Date(date);
-  const dayName = dateObj.toLocaleDateString('en-US', { weekday: 'long' });
-  
-  // Check if closed on that day
-  if (RESTAURANT_TABLES.operatingHours.closedOn.includes(dayName)) {
-    return {
-      open: false,
-      reason: `Restaurant is closed on ${dayName}s`
-    };
-  }
-  
-  // Check if time is within operating hours
-  const [openHour, openMin] = RESTAURANT_TABLES.operatingHours.open.split(':').map(Number);
-  const [closeHour, closeMin] = RESTAURANT_TABLES.operatingHours.close.split(':').map(Number);
-  const [reqHour, reqMin] = time.split(':').map(Number);
-  
-  const openTime = openHour * 60 + openMin;
-  const closeTime = closeHour * 60 + closeMin;
-  const requestTime = reqHour * 60 + reqMin;
-  
-  if (requestTime < openTime || requestTime > closeTime) {
-    return {
-      open: false,
-      reason: `Restaurant is open ${RESTAURANT_TABLES.operatingHours.open} - ${RESTAURANT_TABLES.operatingHours.close}`,
-      hours: RESTAURANT_TABLES.operatingHours
-    };
-  }
-  
-  return { open: true };
+const generateReservationId = () => {
+  return `RES-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
 };
 
 /**
- * Get available tables for given criteria
+ * Run a table allocation under the location's lock for the date
+ * Resolves to null if the lock could not be acquired (treated as a conflict)
  */
-const getAvailableTables = (numGuests, date, time) => {
-  // First check if restaurant is open
-  const openStatus = isRestaurantOpen(date, time);
-  if (!openStatus.open) {
-    return {
-      available: false,
-      reason: openStatus.reason,
-      tables: []
-    };
+const allocateWithLock = (date, locationId, allocate) => {
+  return withLock(tableLockKey(date, locationId), allocate).catch(error => {
+    if (error.code === LOCK_TIMEOUT) {
+      logger.warn(`⚠️  ${error.message}`);
+      return null;
+    }
+    throw error;
+  });
+};
+
+/**
+ * Cancel a location's unpaid deposit holds on a date that are past due and offer their tables to the waitlist
+ */
+const releaseUnpaidHolds = async (date, locationId) => {
+  const expired = await expireUnpaidDeposits(date, locationId);
+  for (const reservation of expired) {
+    await notifyCancellation(reservation);
+  }
+  if (expired.length > 0) {
+    await offerFreedCapacity(date, locationId);
   }
-  
-  // Find tables that fit the party size
-  const suitableTables = RESTAURANT_TABLES.tables.filter(
-    table => table.seats >= numGuests && table.available
-  );
-  
-  return {
-    available: suitableTables.length > 0,
-    tables: suitableTables,
-    message: suitableTables.length > 0
-      ? `✅ Found ${suitableTables.length} available table(s) for ${numGuests} guest(s)`
-      : `❌ No tables available for ${numGuests} guest(s) at ${time}`
-  };
 };
 
 /**
- * Generate unique reservation ID
+ * Respond 409 when the slot was taken by a concurrent booking
  */
-const generateReservationId = () => {
-  return `RES-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+const sendAllocationConflict = async (res, numGuests, date, time, exclude = {}, locationId) => {
+  res.status(409).json({
+    success: false,
+    error: "That table was just booked by someone else. Please choose another time.",
+    reasonCode: REASON_CODES.NO_TABLES,
+    alternatives: await findAlternativeSlots(numGuests, date, time, exclude, locationId),
+    waitlistAvailable: true
+  });
 };
 
 // ==================== BOOKING CONTROLLERS ====================
@@ -102,11 +125,12 @@ const generateReservationId = () => {
  */
 export const checkAvailability = async (req, res) => {
   try {
-    const { numGuests, date, time } = req.body;
+    const { date, time } = req.body;
     const userIP = req.userIP;
+    const location = req.location;
 
     // Validate input
-    if (!numGuests || !date || !time) {
+    if (!req.body.numGuests || !date || !time) {
       return res.status(400).json({
         success: false,
         error: "numGuests, date, and time are required",
@@ -114,17 +138,45 @@ export const checkAvailability = async (req, res) => {
       });
     }
 
-    // Validate numGuests
-    if (numGuests < 1 || numGuests > 20) {
+    const dateTimeError = validateDateTime(date, time);
+    if (dateTimeError) {
       return res.status(400).json({
         success: false,
-        error: "Party size must be between 1 and 20 guests"
+        error: dateTimeError
       });
     }
 
-    logger.log(`🍽️  [${userIP}] Checking availability for ${numGuests} guests on ${date} at ${time}`);
+    // Validate numGuests (chat and voice clients may send it as a string)
+    const numGuests = parsePartySize(req.body.numGuests);
+    if (numGuests === null) {
+      return res.status(400).json({
+        success: false,
+        error: `Party size must be a whole number between ${PARTY_SIZE.min} and ${PARTY_SIZE.max} guests`
+      });
+    }
+
+    const preferenceError = validateSeatingPreferences(req.body);
+    if (preferenceError) {
+      return res.status(400).json({
+        success: false,
+        error: preferenceError
+      });
+    }
+    const preferences = normalizeSeatingPreferences(req.body);
+
+    logger.log(`🍽️  [${userIP}] Checking availability at ${location.name} for ${numGuests} guests on ${date} at ${time}`);
+
+    await releaseUnpaidHolds(date, location.id);
 
-    const availability = getAvailableTables(numGuests, date, time);
+    // Best matches for the guest's seating preferences first
+    const found = await getAvailableTables(numGuests, date, time, {}, null, location.id);
+    const availability = preferences ? rankByPreference(found, preferences) : found;
+    const [bestOption] = [...availability.tables, ...availability.combinations];
+
+    // Offer real options instead of a bare "unavailable"
+    const alternatives = availability.available
+      ? null
+      : await findAlternativeSlots(numGuests, date, time, {}, location.id);
 
     res.status(200).json({
       success: true,
@@ -132,10 +184,21 @@ export const checkAvailability = async (req, res) => {
       message: availability.message,
       availableTableCount: availability.tables.length,
       tables: availability.tables,
+      combinations: availability.combinations,
       numGuests: numGuests,
       date: date,
       time: time,
-      reason: availability.reason
+      locationId: location.id,
+      reasonCode: availability.reasonCode,
+      reason: availability.reason,
+      // Minutes the table would be reserved for
+      turnTime: availability.turnTime || null,
+      preferences: preferences,
+      // How well the best option matches the preferences (null without preferences or tables)
+      preferenceMatch: bestOption?.preferenceMatch || null,
+      // Deposit that booking this slot would need (null if none)
+      deposit: getDepositRequirement(numGuests, date, time),
+      alternatives: alternatives
     });
 
   } catch (error) {
@@ -147,17 +210,64 @@ export const checkAvailability = async (req, res) => {
   }
 };
 
+/**
+ * Get a month of availability for a party size (closed / full / limited / open per day)
+ * GET /api/booking/calendar?month=YYYY-MM&guests=N
+ */
+export const getAvailabilityCalendar = async (req, res) => {
+  try {
+    const { month } = req.query;
+    const numGuests = parsePartySize(req.query.guests);
+    const userIP = req.userIP;
+
+    if (!month || !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({
+        success: false,
+        error: "month is required in YYYY-MM format",
+        example: "/api/booking/calendar?month=2026-11&guests=4"
+      });
+    }
+
+    if (!numGuests) {
+      return res.status(400).json({
+        success: false,
+        error: `guests must be a whole number between ${PARTY_SIZE.min} and ${PARTY_SIZE.max}`
+      });
+    }
+
+    logger.log(`📅 [${userIP}] Availability calendar at ${req.location.name} for ${numGuests} guests in ${month}`);
+
+    const calendar = await getMonthAvailability(month, numGuests, req.location.id);
+
+    res.status(200).json({
+      success: true,
+      ...calendar
+    });
+
+  } catch (error) {
+    logger.error("❌ Availability calendar error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to get availability calendar"
+    });
+  }
+};
+
 /**
  * Create a new reservation
  * POST /api/booking/create-reservation
  */
 export const createReservation = async (req, res) => {
   try {
-    const { customerName, numGuests, date, time, email, phone, notes } = req.body;
+    const {
+      customerName, date, time, email, phone, notes, waitlistId, holdToken,
+      occasion, dietaryRestrictions, allergies, seatingPreference
+    } = req.body;
     const userIP = req.userIP;
+    const location = req.location;
 
     // Validate required fields
-    if (!customerName || !numGuests || !date || !time) {
+    if (!customerName || !req.body.numGuests || !date || !time) {
       return res.status(400).json({
         success: false,
         error: "customerName, numGuests, date, and time are required",
@@ -172,55 +282,242 @@ export const createReservation = async (req, res) => {
       });
     }
 
-    logger.log(`📅 [${userIP}] Creating reservation for ${customerName}`);
+    const dateTimeError = validateDateTime(date, time);
+    if (dateTimeError) {
+      return res.status(400).json({
+        success: false,
+        error: dateTimeError
+      });
+    }
+
+    const numGuests = parsePartySize(req.body.numGuests);
+    if (numGuests === null) {
+      return res.status(400).json({
+        success: false,
+        error: `Party size must be a whole number between ${PARTY_SIZE.min} and ${PARTY_SIZE.max} guests`
+      });
+    }
+
+    if (waitlistId && holdToken) {
+      return res.status(400).json({
+        success: false,
+        error: "Use either waitlistId or holdToken, not both"
+      });
+    }
+
+    const preferenceError = validateSeatingPreferences(req.body);
+    if (preferenceError) {
+      return res.status(400).json({
+        success: false,
+        error: preferenceError
+      });
+    }
+
+    logger.log(`📅 [${userIP}] Creating reservation at ${location.name} for ${customerName}`);
+
+    // Booking a slot offered from the waitlist - the held table must not block itself
+    let waitlistEntry = null;
+    if (waitlistId) {
+      // The booking's email/phone must be the one used to join the waitlist
+      const access = await authorizeWaitlistAccess(req, waitlistId);
+      if (access.error) {
+        return res.status(access.status).json({
+          success: false,
+          error: access.error,
+          waitlistId: waitlistId
+        });
+      }
+      waitlistEntry = access.entry;
+
+      if (waitlistEntry.status !== "offered" || new Date(waitlistEntry.hold.expiresAt) <= new Date()) {
+        return res.status(409).json({
+          success: false,
+          error: "This waitlist offer is no longer available",
+          status: waitlistEntry.status
+        });
+      }
+
+      if (getLocationId(waitlistEntry) !== location.id) {
+        return res.status(400).json({
+          success: false,
+          error: "This waitlist offer is for a different location",
+          locationId: getLocationId(waitlistEntry)
+        });
+      }
+
+      if (waitlistEntry.date !== date || waitlistEntry.time !== time || numGuests > waitlistEntry.numGuests) {
+        return res.status(400).json({
+          success: false,
+          error: "Reservation must match the offered date, time and party size",
+          offer: { date: waitlistEntry.date, time: waitlistEntry.time, numGuests: waitlistEntry.numGuests }
+        });
+      }
+    }
+
+    // Converting a checkout hold - the held table must not block itself
+    let hold = null;
+    if (holdToken) {
+      hold = await repository.holds.get(holdToken);
+
+      if (!hold) {
+        return res.status(404).json({
+          success: false,
+          error: "Hold not found"
+        });
+      }
+
+      if (!isHoldActive(hold)) {
+        return res.status(409).json({
+          success: false,
+          error: "This hold has expired or was already used. Please check availability again.",
+          status: hold.status
+        });
+      }
+
+      if (getLocationId(hold) !== location.id) {
+        return res.status(400).json({
+          success: false,
+          error: "This hold is for a different location",
+          locationId: getLocationId(hold)
+        });
+      }
+
+      if (hold.date !== date || hold.time !== time || numGuests > hold.numGuests) {
+        return res.status(400).json({
+          success: false,
+          error: "Reservation must match the held date, time and party size",
+          hold: { date: hold.date, time: hold.time, numGuests: hold.numGuests }
+        });
+      }
+    }
+
+    const exclude = { waitlistId: waitlistEntry?.id, holdId: hold?.id };
+    // Preferences given when the table was held carry over
+    const preferences = normalizeSeatingPreferences(req.body) || hold?.seatingPreferences || null;
+
+    await releaseUnpaidHolds(date, location.id);
 
     // Check availability
-    const availability = getAvailableTables(numGuests, date, time);
+    const availability = await getAvailableTables(numGuests, date, time, exclude, null, location.id);
     
     if (!availability.available) {
       return res.status(400).json({
         success: false,
         error: "No tables available for your requested date and time",
+        reasonCode: availability.reasonCode,
         reason: availability.reason,
-        message: availability.message
+        message: availability.message,
+        alternatives: await findAlternativeSlots(numGuests, date, time, {}, location.id),
+        // Fully booked (not closed) slots can be waitlisted via POST /api/booking/waitlist
+        waitlistAvailable: availability.reasonCode === REASON_CODES.NO_TABLES
       });
     }
 
-    // Generate reservation ID
-    const reservationId = generateReservationId();
-    
-    // Select a table (pick smallest suitable table for better space management)
-    const selectedTable = availability.tables.sort((a, b) => a.seats - b.seats)[0];
-    
-    // Create reservation object
-    const reservation = {
-      id: reservationId,
-      customerName: customerName,
-      email: email || null,
-      phone: phone || null,
-      numGuests: numGuests,
-      date: date,
-      time: time,
-      tableId: selectedTable.id,
-      tableLocation: selectedTable.location,
-      notes: notes || "",
-      status: "confirmed",
-      userIP: userIP,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+    const confirmationCode = await generateConfirmationCode();
 
-    // Store reservation
-    RESERVATIONS.set(reservationId, reservation);
-    
-    // Mark table as unavailable (in production: update in database)
-    const table = RESTAURANT_TABLES.tables.find(t => t.id === selectedTable.id);
-    if (table) {
-      table.available = false;
+    // Large parties and peak slots hold the table as pending_payment until the deposit is paid
+    const depositRequirement = getDepositRequirement(numGuests, date, time);
+
+    // Allocate atomically - availability is re-checked under the lock because a
+    // concurrent request may have taken the table since the check above
+    const reservation = await allocateWithLock(date, location.id, async () => {
+      if (waitlistEntry) {
+        const offer = await repository.waitlist.get(waitlistEntry.id);
+        if (offer.status !== "offered") return null;
+      }
+
+      if (hold) {
+        const currentHold = await repository.holds.get(hold.id);
+        if (!isHoldActive(currentHold)) return null;
+      }
+
+      const current = await getAvailableTables(numGuests, date, time, exclude, null, location.id);
+      if (!current.available) return null;
+
+      // Keep the held table(s), otherwise pick the smallest suitable table for better space management
+      const seating = selectSeating(current, hold?.tableIds, preferences);
+      const start = getStartTimestamps(date, time, getLocationTimeZone(location));
+
+      // Create reservation object
+      const reservation = {
+        id: generateReservationId(),
+        confirmationCode: confirmationCode,
+        locationId: location.id,
+        customerName: customerName,
+        email: email || null,
+        phone: phone || null,
+        numGuests: numGuests,
+        date: date,
+        time: time,
+        // Start as a UTC instant and restaurant-local time
+        ...start,
+        tableId: seating.tableIds[0],
+        tableIds: seating.tableIds,
+        tableLocation: seating.location,
+        notes: notes || "",
+        occasion: occasion || null,
+        dietaryRestrictions: toList(dietaryRestrictions),
+        allergies: toList(allergies),
+        seatingPreference: seatingPreference || null,
+        seatingPreferences: preferences,
+        // Whether the table given meets the seating preferences
+        preferenceMatch: await getPreferenceMatch(seating.tableIds, preferences),
+        guestId: null,
+        deposit: depositRequirement ? createDeposit(depositRequirement, start.startsAt) : null,
+        // Turn time for this party and day part (staff can override it later)
+        seatingDuration: current.turnTime,
+        turnTimeOverride: null,
+        // Bumped whenever the guest is sent a changed calendar event (.ics SEQUENCE)
+        calendarSequence: 0,
+        userIP: userIP,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      initializeStatus(reservation, depositRequirement ? RESERVATION_STATUSES.PENDING_PAYMENT : RESERVATION_STATUSES.CONFIRMED);
+
+      // Store reservation (the table is now booked for this slot only)
+      await repository.reservations.save(reservation);
+
+      // The offer has been taken up - release its hold
+      if (waitlistEntry) {
+        waitlistEntry.status = "booked";
+        waitlistEntry.reservationId = reservation.id;
+        waitlistEntry.updatedAt = new Date().toISOString();
+        await repository.waitlist.save(waitlistEntry);
+      }
+
+      if (hold) {
+        hold.status = "converted";
+        hold.reservationId = reservation.id;
+        hold.updatedAt = new Date().toISOString();
+        await repository.holds.save(hold);
+      }
+
+      return reservation;
+    });
+
+    if (!reservation) {
+      logger.warn(`⚠️  [${userIP}] Lost table allocation race for ${date} at ${time}`);
+      return sendAllocationConflict(res, numGuests, date, time, {}, location.id);
     }
 
+    const reservationId = reservation.id;
+    invalidateAvailabilityCache(date, location.id);
+
     logger.log(`✅ [${userIP}] Reservation created: ${reservationId}`);
-    logger.log(`📍 Table ${selectedTable.id} (${selectedTable.location}) reserved for ${customerName}`);
+
+    // Link the booking to the guest's profile (a profile problem shouldn't fail the booking)
+    let guest = null;
+    try {
+      guest = await upsertGuestForReservation(reservation);
+      if (guest) {
+        reservation.guestId = guest.id;
+        await repository.reservations.save(reservation);
+      }
+    } catch (error) {
+      logger.warn("⚠️  Failed to update guest profile:", error.message);
+    }
+    logger.log(`📍 Table(s) ${reservation.tableIds.join(", ")} (${reservation.tableLocation}) reserved for ${customerName}`);
 
     // Send confirmation email if email provided
     if (email) {
@@ -233,18 +530,43 @@ export const createReservation = async (req, res) => {
       }
     }
 
+    const deposit = reservation.deposit;
+
+    // Be upfront when the seating request couldn't be met
+    const { preferenceMatch } = reservation;
+    const unmetPreferences = preferenceMatch && !preferenceMatch.honored
+      ? `. We couldn't offer ${describeSeatingPreferences(Object.fromEntries(preferenceMatch.unmet.map(name => [name, preferences[name]])))} for this time.`
+      : "";
+
     res.status(201).json({
       success: true,
-      message: `Reservation confirmed! Your booking ID is ${reservationId}${email ? ' - Confirmation email sent to ' + email : ''}`,
+      message: (deposit
+        ? `Table held! Pay the $${deposit.amount} deposit by ${deposit.dueBy} to confirm. Your confirmation code is ${confirmationCode}${email ? ' - Details sent to ' + email : ''}`
+        : `Reservation confirmed! Your confirmation code is ${confirmationCode}${email ? ' - Confirmation email sent to ' + email : ''}`) + unmetPreferences,
       reservation: reservation,
+      returningGuest: guest ? guest.stats.reservations > 1 : false,
+      // Pay via POST /api/payment/process-card (or confirm-offline) with this amount
+      depositRequired: deposit ? {
+        amount: deposit.amount,
+        currency: deposit.currency,
+        perGuest: deposit.perGuest,
+        reason: deposit.description,
+        dueBy: deposit.dueBy
+      } : null,
+      // Lets the guest view/modify/cancel from any device (also linked in the confirmation email)
+      manageToken: createManageToken(reservationId),
+      // Add-to-calendar download (also attached to the confirmation email)
+      calendarUrl: `/api/booking/reservation/${reservationId}/calendar.ics?token=${encodeURIComponent(createManageToken(reservationId))}`,
       confirmationDetails: {
         reservationId: reservationId,
+        confirmationCode: confirmationCode,
         customerName: customerName,
         guests: numGuests,
         date: date,
         time: time,
-        table: selectedTable.id,
-        location: selectedTable.location
+        table: reservation.tableId,
+        tables: reservation.tableIds,
+        location: reservation.tableLocation
       }
     });
 
@@ -257,6 +579,48 @@ export const createReservation = async (req, res) => {
   }
 };
 
+/**
+ * Look up a reservation by confirmation code and the email/phone used to book
+ * POST /api/booking/reservation/lookup
+ */
+export const lookupReservation = async (req, res) => {
+  try {
+    const { confirmationCode } = req.body;
+    const userIP = req.userIP;
+
+    if (!confirmationCode || (!req.body.email && !req.body.phone)) {
+      return res.status(400).json({
+        success: false,
+        error: "confirmationCode and email or phone are required",
+        example: { confirmationCode: "K7QM3P", email: "john@example.com" }
+      });
+    }
+
+    logger.log(`🔍 [${userIP}] Looking up reservation by code: ${confirmationCode}`);
+
+    const access = await authorizeReservationAccess(req, confirmationCode);
+    if (!access.reservation) {
+      return res.status(access.status).json({
+        success: false,
+        error: access.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      reservation: access.reservation,
+      manageToken: createManageToken(access.reservation.id)
+    });
+
+  } catch (error) {
+    logger.error("❌ Reservation lookup error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to look up reservation"
+    });
+  }
+};
+
 /**
  * Get reservation details
  * GET /api/booking/reservation/:reservationId
@@ -268,23 +632,22 @@ export const getReservation = async (req, res) => {
 
     logger.log(`🔍 [${userIP}] Retrieving reservation: ${reservationId}`);
 
-    const reservation = RESERVATIONS.get(reservationId);
-
-    if (!reservation) {
-      return res.status(404).json({
+    // Manage token or confirmation code + email/phone (reservationId may be either ID or code)
+    const access = await authorizeReservationAccess(req, reservationId);
+    if (!access.reservation) {
+      return res.status(access.status).json({
         success: false,
-        error: "Reservation not found",
+        error: access.error,
         reservationId: reservationId
       });
     }
 
-    // Verify ownership by IP (security check)
-    if (reservation.userIP !== userIP) {
-      logger.warn(`⚠️  [${userIP}] Unauthorized access attempt to reservation ${reservationId}`);
-      return res.status(403).json({
-        success: false,
-        error: "Unauthorized: Cannot access this reservation"
-      });
+    let reservation = access.reservation;
+
+    // An unpaid hold past its deposit deadline is shown as released
+    if (isDepositOverdue(reservation)) {
+      await releaseUnpaidHolds(reservation.date, getLocationId(reservation));
+      reservation = await repository.reservations.get(reservation.id);
     }
 
     res.status(200).json({
@@ -301,6 +664,44 @@ export const getReservation = async (req, res) => {
   }
 };
 
+/**
+ * Download a reservation as an iCalendar event
+ * GET /api/booking/reservation/:reservationId/calendar.ics
+ */
+export const getReservationCalendar = async (req, res) => {
+  try {
+    const { reservationId } = req.params;
+    const userIP = req.userIP;
+
+    logger.log(`📆 [${userIP}] Calendar event requested: ${reservationId}`);
+
+    const access = await authorizeReservationAccess(req, reservationId);
+    if (!access.reservation) {
+      return res.status(access.status).json({
+        success: false,
+        error: access.error,
+        reservationId: reservationId
+      });
+    }
+
+    const reservation = access.reservation;
+    const location = await getLocationFor(reservation);
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${getCalendarFilename(reservation, location)}"`
+    });
+    res.status(200).send(await buildReservationCalendar(reservation, location));
+
+  } catch (error) {
+    logger.error("❌ Calendar export error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to export calendar event"
+    });
+  }
+};
+
 /**
  * Cancel a reservation
  * DELETE /api/booking/cancel-reservation/:reservationId
@@ -312,51 +713,84 @@ export const cancelReservation = async (req, res) => {
 
     logger.log(`❌ [${userIP}] Cancelling reservation: ${reservationId}`);
 
-    const reservation = RESERVATIONS.get(reservationId);
-
-    if (!reservation) {
-      return res.status(404).json({
+    const access = await authorizeReservationAccess(req, reservationId);
+    if (!access.reservation) {
+      return res.status(access.status).json({
         success: false,
-        error: "Reservation not found",
+        error: access.error,
         reservationId: reservationId
       });
     }
 
-    // Verify ownership by IP
-    if (reservation.userIP !== userIP) {
-      logger.warn(`⚠️  [${userIP}] Unauthorized cancellation attempt for ${reservationId}`);
-      return res.status(403).json({
+    const reservation = access.reservation;
+
+    if (!canTransition(reservation.status, RESERVATION_STATUSES.CANCELLED)) {
+      return res.status(400).json({
         success: false,
-        error: "Unauthorized: Cannot cancel this reservation"
+        error: `A ${reservation.status} reservation cannot be cancelled`,
+        status: reservation.status
       });
     }
 
-    // Check if reservation can be cancelled (e.g., not in the past)
-    const reservationDate = new Date(reservation.date);
-    const today = new Date();
-    if (reservationDate < today) {
+    // Apply the cancellation policy (free window, late fee per guest, large-party rules)
+    const cancellation = evaluateCancellation(reservation);
+
+    if (cancellation.started) {
       return res.status(400).json({
         success: false,
         error: "Cannot cancel past reservations"
       });
     }
 
-    // Update reservation status
-    reservation.status = "cancelled";
-    reservation.updatedAt = new Date().toISOString();
+    // Unconfirmed (deposit not yet paid) bookings can be dropped without a fee
+    if (reservation.status === RESERVATION_STATUSES.PENDING_PAYMENT) {
+      cancellation.late = false;
+      cancellation.fee = 0;
+    }
 
-    // Free up the table
-    const table = RESTAURANT_TABLES.tables.find(t => t.id === reservation.tableId);
-    if (table) {
-      table.available = true;
+    // Late cancellations owe a fee, tracked as a pending payment
+    let cancellationFee = null;
+    if (cancellation.fee > 0) {
+      const payment = await recordCancellationFee(reservation, cancellation, userIP);
+      cancellationFee = {
+        amount: payment.amount,
+        currency: payment.currency,
+        perGuest: cancellation.lateFeePerGuest,
+        policy: cancellation.policy,
+        paymentId: payment.id,
+        paymentStatusUrl: `/api/payment/status/${payment.id}?token=${createManageToken(reservation.id)}`
+      };
     }
 
-    logger.log(`✅ [${userIP}] Reservation cancelled: ${reservationId}`);
+    // Update reservation status
+    // Cancelled reservations no longer hold their table for the slot
+    applyTransition(reservation, RESERVATION_STATUSES.CANCELLED, { by: "guest" });
+    reservation.cancellation = {
+      cancelledAt: new Date().toISOString(),
+      hoursBefore: cancellation.hoursBefore,
+      late: cancellation.late,
+      policy: cancellation.policy,
+      fee: cancellation.fee,
+      paymentId: cancellationFee?.paymentId || null
+    };
+    await repository.reservations.save(reservation);
+
+    logger.log(`✅ [${userIP}] Reservation cancelled: ${reservationId}${cancellationFee ? ` (late fee $${cancellationFee.amount})` : ""}`);
+
+    await recordGuestOutcome(reservation, RESERVATION_STATUSES.CANCELLED);
+
+    // Offer the freed table to the waitlist
+    await offerFreedCapacity(reservation.date, getLocationId(reservation));
+
+    await notifyCancellation(reservation, cancellationFee);
 
     res.status(200).json({
       success: true,
-      message: "Reservation cancelled successfully",
-      reservation: reservation
+      message: cancellationFee
+        ? `Reservation cancelled. A late-cancellation fee of $${cancellationFee.amount} applies (cancelled within ${cancellation.freeCancellationHours} hours of the booking).`
+        : "Reservation cancelled successfully - no cancellation fee",
+      reservation: reservation,
+      cancellationFee: cancellationFee
     });
 
   } catch (error) {
@@ -375,65 +809,152 @@ export const cancelReservation = async (req, res) => {
 export const modifyReservation = async (req, res) => {
   try {
     const { reservationId } = req.params;
-    const { date, time, numGuests } = req.body;
+    const { date, time } = req.body;
     const userIP = req.userIP;
 
+    // Only the fields being changed are checked
+    const dateTimeError = validateDateTime(date || undefined, time || undefined);
+    if (dateTimeError) {
+      return res.status(400).json({
+        success: false,
+        error: dateTimeError
+      });
+    }
+
+    const numGuests = req.body.numGuests === undefined ? null : parsePartySize(req.body.numGuests);
+    if (req.body.numGuests !== undefined && numGuests === null) {
+      return res.status(400).json({
+        success: false,
+        error: `Party size must be a whole number between ${PARTY_SIZE.min} and ${PARTY_SIZE.max} guests`
+      });
+    }
+
     logger.log(`✏️  [${userIP}] Modifying reservation: ${reservationId}`);
 
-    const reservation = RESERVATIONS.get(reservationId);
+    const access = await authorizeReservationAccess(req, reservationId);
+    if (!access.reservation) {
+      return res.status(access.status).json({
+        success: false,
+        error: access.error,
+        reservationId: reservationId
+      });
+    }
+
+    const reservation = access.reservation;
 
-    if (!reservation) {
-      return res.status(404).json({
+    // Once the guest has arrived (or the booking is closed) only staff can change it
+    if (!GUEST_EDITABLE_STATUSES.includes(reservation.status)) {
+      return res.status(400).json({
         success: false,
-        error: "Reservation not found"
+        error: `A ${reservation.status} reservation cannot be modified`,
+        status: reservation.status
       });
     }
 
-    // Verify ownership
-    if (reservation.userIP !== userIP) {
-      return res.status(403).json({
+    const locationId = getLocationId(reservation);
+    const timeZone = getLocationTimeZone(await getLocationFor(reservation));
+
+    if (isDepositOverdue(reservation)) {
+      await releaseUnpaidHolds(reservation.date, locationId);
+      return res.status(409).json({
         success: false,
-        error: "Unauthorized: Cannot modify this reservation"
+        error: "The deposit payment window has closed and the table was released. Please make a new booking.",
+        dueBy: reservation.deposit.dueBy
       });
     }
 
+    const previousDate = reservation.date;
+
     // Check new availability if date/time/guests changed
     if (date || time || numGuests) {
       const newDate = date || reservation.date;
       const newTime = time || reservation.time;
       const newGuests = numGuests || reservation.numGuests;
 
-      const availability = getAvailableTables(newGuests, newDate, newTime);
-      if (!availability.available) {
+      // A confirmed booking can't be moved into a deposit it hasn't paid
+      // (a booking still awaiting its deposit just gets the new amount)
+      const depositRequirement = getDepositRequirement(newGuests, newDate, newTime);
+      const depositPaid = reservation.deposit?.status === "paid" ? reservation.deposit.amount : 0;
+      if (depositRequirement && reservation.status !== RESERVATION_STATUSES.PENDING_PAYMENT && depositRequirement.amount > depositPaid) {
         return res.status(400).json({
           success: false,
-          error: "New date/time/party size not available",
-          reason: availability.reason
+          error: `This change needs a $${depositRequirement.amount} deposit (${depositRequirement.description}). Please make a new booking or contact us.`,
+          deposit: depositRequirement
         });
       }
 
-      // Free up old table
-      const oldTable = RESTAURANT_TABLES.tables.find(t => t.id === reservation.tableId);
-      if (oldTable) {
-        oldTable.available = true;
+      // Exclude this reservation so its current table counts as free
+      // A staff turn-time override stays with the booking when it moves
+      const turnTimeOverride = reservation.turnTimeOverride?.minutes || null;
+      const availability = await getAvailableTables(newGuests, newDate, newTime, { reservationId: reservation.id }, turnTimeOverride, locationId);
+      if (!availability.available) {
+        return res.status(400).json({
+          success: false,
+          error: "New date/time/party size not available",
+          reasonCode: availability.reasonCode,
+          reason: availability.reason,
+          message: availability.message,
+          alternatives: await findAlternativeSlots(newGuests, newDate, newTime, { reservationId: reservation.id }, locationId)
+        });
       }
 
-      // Assign new table
-      const newTable = availability.tables.sort((a, b) => a.seats - b.seats)[0];
-      newTable.available = false;
+      // Re-check and assign new table(s) under the lock so a concurrent booking can't take them
+      const allocated = await allocateWithLock(newDate, locationId, async () => {
+        const current = await getAvailableTables(newGuests, newDate, newTime, { reservationId: reservation.id }, turnTimeOverride, locationId);
+        if (!current.available) return false;
+
+        const seating = selectSeating(current, null, reservation.seatingPreferences || null);
+
+        // Update reservation
+        if (date) reservation.date = date;
+        if (time) reservation.time = time;
+        if (numGuests) reservation.numGuests = numGuests;
+        Object.assign(reservation, getStartTimestamps(reservation.date, reservation.time, timeZone));
+        if (reservation.status === RESERVATION_STATUSES.PENDING_PAYMENT) {
+          if (depositRequirement) {
+            // Keep the original payment deadline
+            reservation.deposit = { ...reservation.deposit, ...depositRequirement };
+          } else {
+            reservation.deposit.status = "waived";
+            applyTransition(reservation, RESERVATION_STATUSES.CONFIRMED, { by: "system", note: "Deposit no longer required" });
+          }
+        }
+        reservation.tableId = seating.tableIds[0];
+        reservation.tableIds = seating.tableIds;
+        reservation.tableLocation = seating.location;
+        reservation.preferenceMatch = await getPreferenceMatch(seating.tableIds, reservation.seatingPreferences || null);
+        reservation.seatingDuration = current.turnTime;
+        reservation.calendarSequence = (reservation.calendarSequence || 0) + 1;
+        reservation.updatedAt = new Date().toISOString();
+        await repository.reservations.save(reservation);
+        return true;
+      });
 
-      // Update reservation
-      if (date) reservation.date = date;
-      if (time) reservation.time = time;
-      if (numGuests) reservation.numGuests = numGuests;
-      reservation.tableId = newTable.id;
-      reservation.tableLocation = newTable.location;
+      if (!allocated) {
+        logger.warn(`⚠️  [${userIP}] Lost table allocation race for ${newDate} at ${newTime}`);
+        return sendAllocationConflict(res, newGuests, newDate, newTime, { reservationId: reservation.id }, locationId);
+      }
+      invalidateAvailabilityCache(newDate, locationId);
+    } else {
+      reservation.updatedAt = new Date().toISOString();
+      await repository.reservations.save(reservation);
     }
 
-    reservation.updatedAt = new Date().toISOString();
-
     logger.log(`✅ [${userIP}] Reservation modified: ${reservationId}`);
 
+    // Moving or shrinking a booking may free capacity on its original date
+    if (date || time || numGuests) {
+      await offerFreedCapacity(previousDate, locationId);
+
+      // Send the new details with an updated calendar event
+      if (reservation.email) {
+        const emailResult = await sendReservationUpdateEmail(reservation);
+        if (!emailResult.success) {
+          logger.warn("⚠️  Failed to send reservation update email:", emailResult.message);
+        }
+      }
+    }
+
     res.status(200).json({
       success: true,
       message: "Reservation updated successfully",
@@ -450,29 +971,263 @@ export const modifyReservation = async (req, res) => {
 };
 
 /**
- * Get all tables status
- * GET /api/booking/tables-status
+ * Move a reservation through its lifecycle (staff only)
+ * PUT /api/booking/reservation/:reservationId/status
+ */
+export const updateReservationStatus = async (req, res) => {
+  try {
+    const { reservationId } = req.params;
+    const { status, note, staffName, spend } = req.body;
+    const userIP = req.userIP;
+
+    if (!Object.values(RESERVATION_STATUSES).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${Object.values(RESERVATION_STATUSES).join(", ")}`
+      });
+    }
+
+    const reservation = await repository.reservations.get(reservationId);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        error: "Reservation not found",
+        reservationId: reservationId
+      });
+    }
+
+    if (!canTransition(reservation.status, status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot move a reservation from ${reservation.status} to ${status}`,
+        status: reservation.status,
+        allowedTransitions: getAllowedTransitions(reservation.status)
+      });
+    }
+
+    const freesTable = holdsTable(reservation.status) && !holdsTable(status);
+
+    // Staff confirming a deposit hold either verified an offline payment or waived the deposit
+    if (reservation.status === RESERVATION_STATUSES.PENDING_PAYMENT && status === RESERVATION_STATUSES.CONFIRMED && reservation.deposit) {
+      const payment = reservation.deposit.paymentId ? await repository.payments.get(reservation.deposit.paymentId) : null;
+      if (payment && payment.status === "pending_verification") {
+        payment.status = "completed";
+        payment.verifiedAt = new Date().toISOString();
+        await repository.payments.save(payment);
+        reservation.deposit.status = "paid";
+        reservation.deposit.paidAt = payment.verifiedAt;
+      } else if (reservation.deposit.status !== "paid") {
+        reservation.deposit.status = "waived";
+      }
+    }
+
+    applyTransition(reservation, status, { by: staffName || "staff", note: note });
+    if (status === RESERVATION_STATUSES.COMPLETED && Number(spend) > 0) {
+      reservation.spend = Number(spend);
+    }
+    await repository.reservations.save(reservation);
+    // Seating a party holds its table past the usual seating duration
+    invalidateAvailabilityCache(reservation.date, getLocationId(reservation));
+
+    // Visits, no-shows, cancellations and spend feed the guest profile
+    await recordGuestOutcome(reservation, status, { spend: spend });
+
+    logger.log(`🛎️  [${userIP}] Reservation ${reservationId} -> ${status}`);
+
+    // Completed tables, no-shows and staff cancellations free capacity for the waitlist
+    if (freesTable) {
+      await offerFreedCapacity(reservation.date, getLocationId(reservation));
+    }
+
+    if (status === RESERVATION_STATUSES.CANCELLED) {
+      await notifyCancellation(reservation);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Reservation marked ${status}`,
+      reservation: reservation,
+      allowedTransitions: getAllowedTransitions(status)
+    });
+
+  } catch (error) {
+    logger.error("❌ Reservation status error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to update reservation status"
+    });
+  }
+};
+
+/**
+ * Override how long a reservation keeps its table(s), e.g. a tasting menu (staff only)
+ * Send minutes: null to go back to the standard turn time
+ * PUT /api/booking/reservation/:reservationId/turn-time
+ */
+export const overrideTurnTime = async (req, res) => {
+  try {
+    const { reservationId } = req.params;
+    const { minutes, note, staffName } = req.body;
+    const userIP = req.userIP;
+
+    if (minutes !== null) {
+      const validationError = validateTurnTimeOverride(minutes);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError,
+          example: { minutes: 180, note: "Tasting menu", staffName: "Maria" }
+        });
+      }
+    }
+
+    const reservation = await repository.reservations.get(reservationId);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        error: "Reservation not found",
+        reservationId: reservationId
+      });
+    }
+
+    if (!holdsTable(reservation.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `A ${reservation.status} reservation no longer holds a table`,
+        status: reservation.status
+      });
+    }
+
+    const previousMinutes = reservation.seatingDuration || RESTAURANT_TABLES.seatingDuration;
+    const locationId = getLocationId(reservation);
+
+    // Check the longer window against the table's later bookings under the date's lock
+    const outcome = await withLock(tableLockKey(reservation.date, locationId), async () => {
+      const { periods } = await getServicePeriods(reservation.date, locationId);
+      const newMinutes = minutes ?? getTurnTime(reservation.numGuests, findServicePeriod(periods, reservation.time));
+
+      const booked = await getBookedTableIds(reservation.date, reservation.time, { reservationId: reservation.id }, newMinutes, locationId);
+      const tableIds = reservation.tableIds || [reservation.tableId];
+      const conflicts = tableIds
+        .filter(tableId => booked.has(tableId))
+        .map(tableId => ({ tableId: tableId, ...booked.get(tableId) }));
+
+      if (conflicts.length > 0) return { conflicts: conflicts, minutes: newMinutes };
+
+      reservation.seatingDuration = newMinutes;
+      reservation.turnTimeOverride = minutes === null
+        ? null
+        : {
+            minutes: minutes,
+            previousMinutes: previousMinutes,
+            note: note || null,
+            by: staffName || "staff",
+            at: new Date().toISOString()
+          };
+      reservation.updatedAt = new Date().toISOString();
+      await repository.reservations.save(reservation);
+      return { minutes: newMinutes };
+    });
+
+    if (outcome.conflicts) {
+      return res.status(409).json({
+        success: false,
+        error: `The table is booked again within ${outcome.minutes} minutes of ${reservation.time}`,
+        conflicts: outcome.conflicts
+      });
+    }
+
+    logger.log(`⏱️  [${userIP}] Reservation ${reservationId} turn time ${previousMinutes} -> ${outcome.minutes} min`);
+
+    // A shorter turn frees the table earlier for the waitlist
+    if (outcome.minutes < previousMinutes) {
+      await offerFreedCapacity(reservation.date, locationId);
+    } else {
+      invalidateAvailabilityCache(reservation.date, locationId);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Table held for ${outcome.minutes} minutes from ${reservation.time}`,
+      reservation: reservation
+    });
+
+  } catch (error) {
+    if (error.code === LOCK_TIMEOUT) {
+      return res.status(409).json({
+        success: false,
+        error: "Tables for this date are being updated. Please try again."
+      });
+    }
+    logger.error("❌ Turn time override error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to override turn time"
+    });
+  }
+};
+
+/**
+ * Get all tables status at a location at a moment (defaults to the current date/time)
+ * GET /api/booking/tables-status?date=YYYY-MM-DD&time=HH:MM&locationId=ID
  */
 export const getTablesStatus = async (req, res) => {
   try {
     const userIP = req.userIP;
+    const location = req.location;
 
-    logger.log(`📊 [${userIP}] Fetching tables status`);
+    const dateTimeError = validateDateTime(req.query.date, req.query.time);
+    if (dateTimeError) {
+      return res.status(400).json({
+        success: false,
+        error: dateTimeError
+      });
+    }
 
-    const tableStatus = RESTAURANT_TABLES.tables.map(table => ({
-      id: table.id,
-      seats: table.seats,
-      location: table.location,
-      available: table.available,
-      status: table.available ? "🟢 Available" : "🔴 Booked"
-    }));
+    const currentSlot = getCurrentSlot(getLocationTimeZone(location));
+    const date = req.query.date || currentSlot.date;
+    const time = req.query.time || currentSlot.time;
+
+    logger.log(`📊 [${userIP}] Fetching tables status at ${location.name} for ${date} at ${time}`);
+
+    const tables = await getTables({ locationId: location.id });
+    // Occupancy at that moment (a one-minute window), not over a new booking's turn time
+    const bookedTableIds = await getBookedTableIds(date, time, {}, 1, location.id);
+
+    const tableStatus = tables.map(table => {
+      const holder = bookedTableIds.get(table.id);
+      const available = !holder;
+      const joinedWith = available
+        ? []
+        : holder.tableIds.filter(id => id !== table.id);
+      return {
+        id: table.id,
+        seats: table.seats,
+        minCovers: table.minCovers,
+        maxCovers: table.maxCovers,
+        location: table.location,
+        accessible: table.accessible,
+        highChair: table.highChair,
+        available: available,
+        joinedWith: joinedWith,
+        reservationStatus: holder?.status || null,
+        status: `${TABLE_STATUS_LABELS[holder?.status || "available"] || "🔴 Booked"}${joinedWith.length > 0 ? " (joined)" : ""}`
+      };
+    });
 
     const availability = {
       total: tableStatus.length,
       available: tableStatus.filter(t => t.available).length,
       booked: tableStatus.filter(t => !t.available).length,
+      seated: tableStatus.filter(t => t.reservationStatus === RESERVATION_STATUSES.SEATED).length,
       tables: tableStatus,
-      hours: RESTAURANT_TABLES.operatingHours
+      date: date,
+      time: time,
+      locationId: location.id,
+      turnTimes: RESTAURANT_TABLES.turnTimes,
+      hours: (await getServicePeriods(date, location.id)).periods
     };
 
     res.status(200).json({
@@ -491,31 +1246,55 @@ export const getTablesStatus = async (req, res) => {
 
 /**
  * Get restaurant info (hours, location, etc.)
- * GET /api/booking/restaurant-info
+ * GET /api/booking/restaurant-info?locationId=ID
  */
 export const getRestaurantInfo = async (req, res) => {
   try {
+    const location = req.location;
+
+    // Publish holidays, buyouts and special hours for the next 60 days
+    const today = getCurrentSlot(getLocationTimeZone(location)).date;
+    const exceptions = await getCalendarExceptions(today, addDays(today, 60), location.id);
+    const tables = await getTables({ locationId: location.id });
+    const combinations = getTableCombinations(tables);
+
     res.status(200).json({
       success: true,
       restaurant: {
-        name: "NOIR",
-        cuisine: "Fine Dining - Contemporary French",
-        location: "Downtown District",
-        phone: "+1 (555) 123-4567",
-        email: "reservations@noir-restaurant.com",
-        hours: RESTAURANT_TABLES.operatingHours,
+        locationId: location.id,
+        name: location.name,
+        cuisine: location.cuisine,
+        location: location.address,
+        phone: location.phone,
+        email: location.email,
+        website: location.website,
+        // Booking dates and times are local to this zone
+        timeZone: getLocationTimeZone(location),
+        hours: {
+          weekly: getOperatingHours(location),
+          exceptions: exceptions
+        },
+        turnTimes: RESTAURANT_TABLES.turnTimes,
+        bookingRules: {
+          minimumLeadTime: RESTAURANT_TABLES.minimumLeadTime,
+          lastSeatingBuffer: RESTAURANT_TABLES.lastSeatingBuffer,
+          cancellationPolicy: RESTAURANT_TABLES.cancellationPolicy,
+          depositPolicy: RESTAURANT_TABLES.depositPolicy,
+          pacing: RESTAURANT_TABLES.pacing,
+          reasonCodes: Object.values(REASON_CODES)
+        },
         capacity: {
           minPartySize: 1,
           maxPartySize: 20,
-          totalTables: RESTAURANT_TABLES.tables.length,
-          totalSeats: RESTAURANT_TABLES.tables.reduce((sum, t) => sum + t.seats, 0)
+          totalTables: tables.length,
+          totalSeats: tables.reduce((sum, t) => sum + t.seats, 0),
+          accessibleTables: tables.filter(t => t.accessible).length,
+          highChairTables: tables.filter(t => t.highChair).length,
+          // Areas of this venue guests can ask for (preferredLocation)
+          locations: [...new Set(tables.map(t => t.location))],
+          combinableTables: combinations.map(c => c.tableIds)
         },
-        specialties: [
-          "French Cuisine",
-          "Fine Dining Experience",
-          "Private Events",
-          "Wine Pairing"
-        ]
+        specialties: location.specialties
       }
     });
 
@@ -0,0 +1,190 @@
+import { logger } from "../utils/logger.js";
+import repository from "../repository/index.js";
+import {
+  validatePeriods,
+  getServicePeriods,
+  getCalendarExceptions,
+  getExceptionId
+} from "../utils/calendar.js";
+import { getOperatingHours } from "../utils/locations.js";
+import { isValidDate } from "../utils/timezone.js";
+import { invalidateAvailabilityCache } from "../utils/availabilityCache.js";
+
+// ==================== CALENDAR CONTROLLERS ====================
+// Every route is for one location (req.location, from ?locationId= - the default location without one)
+
+/**
+ * Get a location's weekly hours and dated exceptions
+ * GET /api/admin/calendar?from=YYYY-MM-DD&to=YYYY-MM-DD&locationId=ID
+ */
+export const getCalendar = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({
+        success: false,
+        error: "from and to must be dates in YYYY-MM-DD format"
+      });
+    }
+
+    const exceptions = await getCalendarExceptions(from, to, req.location.id);
+
+    res.status(200).json({
+      success: true,
+      locationId: req.location.id,
+      weekly: getOperatingHours(req.location),
+      exceptions: exceptions
+    });
+
+  } catch (error) {
+    logger.error("❌ Get calendar error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to get calendar"
+    });
+  }
+};
+
+/**
+ * Get effective service periods for a single date
+ * GET /api/admin/calendar/:date
+ */
+export const getCalendarDay = async (req, res) => {
+  try {
+    const { date } = req.params;
+
+    if (!isValidDate(date)) {
+      return res.status(400).json({
+        success: false,
+        error: "date must be in YYYY-MM-DD format"
+      });
+    }
+
+    const day = await getServicePeriods(date, req.location.id);
+
+    res.status(200).json({
+      success: true,
+      day: { ...day, locationId: req.location.id, open: day.periods.length > 0 }
+    });
+
+  } catch (error) {
+    logger.error("❌ Get calendar day error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to get calendar day"
+    });
+  }
+};
+
+/**
+ * Create or replace the exception for a date
+ * PUT /api/admin/calendar/exceptions/:date
+ */
+export const upsertCalendarException = async (req, res) => {
+  try {
+    const { date } = req.params;
+    const { type, periods, reason } = req.body;
+    const userIP = req.userIP;
+
+    if (!isValidDate(date)) {
+      return res.status(400).json({
+        success: false,
+        error: "date must be in YYYY-MM-DD format"
+      });
+    }
+
+    if (!["closed", "hours"].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: "type must be 'closed' or 'hours'",
+        example: {
+          closed: { type: "closed", reason: "Christmas Day" },
+          hours: { type: "hours", periods: [{ name: "All Day", open: "11:00", close: "23:30" }], reason: "Bastille Day" }
+        }
+      });
+    }
+
+    if (type === "hours") {
+      const periodError = validatePeriods(periods);
+      if (periodError) {
+        return res.status(400).json({
+          success: false,
+          error: periodError
+        });
+      }
+    }
+
+    const location = req.location;
+    const existing = await repository.calendarExceptions.get(getExceptionId(date, location.id));
+
+    const exception = {
+      id: getExceptionId(date, location.id),
+      date: date,
+      locationId: location.id,
+      type: type,
+      periods: type === "hours" ? periods.map(p => ({ name: p.name || null, open: p.open, close: p.close, lastSeating: p.lastSeating || null })) : [],
+      reason: reason || "",
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    await repository.calendarExceptions.save(exception);
+    invalidateAvailabilityCache(date, location.id);
+
+    logger.log(`📆 [${userIP}] Calendar exception ${existing ? "updated" : "created"} at ${location.name} for ${date}: ${type}`);
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: `Calendar exception ${existing ? "updated" : "created"} for ${date}`,
+      exception: exception
+    });
+
+  } catch (error) {
+    logger.error("❌ Calendar exception error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to save calendar exception"
+    });
+  }
+};
+
+/**
+ * Remove the exception for a date (back to the weekly schedule)
+ * DELETE /api/admin/calendar/exceptions/:date
+ */
+export const deleteCalendarException = async (req, res) => {
+  try {
+    const { date } = req.params;
+    const userIP = req.userIP;
+
+    const location = req.location;
+    const existing = await repository.calendarExceptions.get(getExceptionId(date, location.id));
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "No calendar exception for this date",
+        date: date
+      });
+    }
+
+    await repository.calendarExceptions.delete(existing.id);
+    invalidateAvailabilityCache(date, location.id);
+
+    logger.log(`🗑️  [${userIP}] Calendar exception removed at ${location.name} for ${date}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Calendar exception removed for ${date}`,
+      exception: existing
+    });
+
+  } catch (error) {
+    logger.error("❌ Delete calendar exception error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to delete calendar exception"
+    });
+  }
+};
@@ -1,5 +1,6 @@
 import { logger } from "../utils/logger.js";
-import { VoxAISystemPrompt, VoxAIInstructions } from "../config/voxai-system-prompt.js";
+import { buildVoxAISystemPrompt } from "../config/voxai-system-prompt.js";
+import { findGuest, describeGuestForAgent } from "../utils/guests.js";
 
 // ==================== DOGRAH.AI CONFIGURATION ====================
 const DOGRAH_API_KEY = process.env.DOGRAH_API_KEY;
@@ -10,9 +11,6 @@ const DOGRAH_API_URL = process.env.DOGRAH_API_URL || "https://api.dograh.ai/v1";
 // ==================== VOXAI AGENT CONFIGURATION ====================
 const AGENT_CONFIG = {
   name: "VoxAI",
-  systemPrompt: VoxAISystemPrompt,
-  instructions: VoxAIInstructions,
-  restaurant: "NOIR",
   language: "English",
   voice: {
     tone: "friendly-professional",
@@ -31,11 +29,9 @@ logger.log("   ✅ API URL:", DOGRAH_API_URL);
 // Log VoxAI Agent Configuration
 logger.log("🎤 VoxAI Agent Configuration:");
 logger.log("   ✅ Agent Name:", AGENT_CONFIG.name);
-logger.log("   ✅ Restaurant:", AGENT_CONFIG.restaurant);
 logger.log("   ✅ Language:", AGENT_CONFIG.language);
 logger.log("   ✅ Voice Tone:", AGENT_CONFIG.voice.tone);
-logger.log("   ✅ System Prompt Loaded:", "YES");
-logger.log("   ✅ Instructions Loaded:", "YES");
+logger.log("   ✅ System Prompt:", "built per call for the call's location");
 
 // Store call sessions
 const CALL_SESSIONS = new Map(); // { callId: { details } }
@@ -82,12 +78,13 @@ const initializeDograhAgent = async () => {
 /**
  * Initiate an inbound call with Dograh.ai
  * Includes VoxAI system prompt for natural conversation
- * POST /api/dograh/initiate-call
+ * POST /api/dograh/initiate-call (staff only - the response and prompt carry guest profile details)
  */
 export const initiateDograhCall = async (req, res) => {
   try {
     const { phoneNumber, callbackUrl, context = {} } = req.body;
     const userIP = req.userIP;
+    const location = req.location;
 
     if (!phoneNumber) {
       return res.status(400).json({
@@ -97,22 +94,32 @@ export const initiateDograhCall = async (req, res) => {
     }
 
     logger.log(`📞 [${userIP}] Initiating Dograh.ai call to ${phoneNumber}`);
-    logger.log(`🎤 [${userIP}] Using VoxAI agent: ${AGENT_CONFIG.name}`);
+    logger.log(`🎤 [${userIP}] Using VoxAI agent: ${AGENT_CONFIG.name} for ${location.name}`);
 
     const callId = generateCallId();
 
+    // Recognise returning guests by the number we're calling
+    const guest = await findGuest({ phone: phoneNumber });
+    const guestContext = guest ? describeGuestForAgent(guest) : null;
+    if (guest) {
+      logger.log(`👤 [${userIP}] Calling returning guest ${guest.id}`);
+    }
+
     // Create call session with VoxAI configuration
+    const systemPrompt = buildVoxAISystemPrompt(location);
     const callSession = {
       id: callId,
+      locationId: location.id,
       phoneNumber: phoneNumber,
       status: "initiating",
       userIP: userIP,
       agent: {
         name: AGENT_CONFIG.name,
-        systemPrompt: AGENT_CONFIG.systemPrompt,
+        systemPrompt: guestContext ? `${systemPrompt}\n\n${guestContext}` : systemPrompt,
         voice: AGENT_CONFIG.voice
       },
       context: context,
+      guestId: guest ? guest.id : null,
       callbackUrl: callbackUrl || null,
       createdAt: new Date().toISOString(),
       transcript: [],
@@ -134,7 +141,7 @@ export const initiateDograhCall = async (req, res) => {
     //   body: JSON.stringify({
     //     agentId: DOGRAH_AGENT_ID,
     //     agentName: AGENT_CONFIG.name,
-    //     systemPrompt: AGENT_CONFIG.systemPrompt,
+    //     systemPrompt: callSession.agent.systemPrompt,
     //     phoneNumber: phoneNumber,
     //     context: context,
     //     voiceConfig: AGENT_CONFIG.voice
@@ -147,6 +154,8 @@ export const initiateDograhCall = async (req, res) => {
       callId: callId,
       phoneNumber: phoneNumber,
       agent: AGENT_CONFIG.name,
+      locationId: location.id,
+      returningGuest: guest ? { name: guest.name, visits: guest.stats.visits } : null,
       status: "initiating"
     });
   } catch (error) {
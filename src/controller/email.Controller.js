@@ -1,5 +1,11 @@
 import nodemailer from "nodemailer";
 import { logger } from "../utils/logger.js";
+import { RESTAURANT_TABLES } from "../config/restaurant.js";
+import { getManageBookingUrl, getWaitlistOfferUrl } from "../utils/reservationAccess.js";
+import { describeCancellationPolicy } from "../utils/cancellation.js";
+import { getCalendarAttachment } from "../utils/icalendar.js";
+import { getLocationFor, getLocationTimeZone } from "../utils/locations.js";
+import { formatInstant, formatDate } from "../utils/timezone.js";
 
 // ==================== EMAIL CONFIGURATION ====================
 const EMAIL_CONFIG = {
@@ -50,17 +56,19 @@ const initializeTransporter = () => {
 
 /**
  * Generate reservation confirmation HTML email
+ * @param {object} location - The reservation's venue (name, contact details in the email)
+ * @param {object} options - { updated } to say the booking was changed rather than confirmed
  */
-const getReservationConfirmationTemplate = (reservation, paymentInfo) => {
-  const confirmationDate = new Date(reservation.createdAt).toLocaleDateString('en-US', {
+const getReservationConfirmationTemplate = (reservation, paymentInfo, location, { updated = false } = {}) => {
+  const confirmationDate = formatInstant(reservation.createdAt, {
     year: 'numeric',
     month: 'long',
     day: 'numeric',
     hour: '2-digit',
     minute: '2-digit'
-  });
+  }, getLocationTimeZone(location));
 
-  const reservationDate = new Date(reservation.date).toLocaleDateString('en-US', {
+  const reservationDate = formatDate(reservation.date, {
     year: 'numeric',
     month: 'long',
     day: 'numeric'
@@ -273,17 +281,28 @@ const getReservationConfirmationTemplate = (reservation, paymentInfo) => {
         <div class="container">
           <!-- Header -->
           <div class="header">
-            <h1>NOIR</h1>
-            <p>FINE DINING EXPERIENCE</p>
+            <h1>${location.name}</h1>
+            <p>${location.tagline.toUpperCase()}</p>
           </div>
 
           <!-- Content -->
           <div class="content">
             <p class="greeting">Hello ${reservation.customerName},</p>
 
-            <div class="confirmation-message">
-              ✅ Your reservation at NOIR has been confirmed! We're delighted to have you join us.
-            </div>
+            ${reservation.status === 'pending_payment' && reservation.deposit ? `
+              <div class="confirmation-message">
+                ⏳ Your table is held! Please pay the $${reservation.deposit.amount} deposit (${reservation.deposit.description}, $${reservation.deposit.perGuest} per guest)
+                by ${formatInstant(reservation.deposit.dueBy, { dateStyle: 'medium', timeStyle: 'short' }, getLocationTimeZone(location))} to confirm your reservation, or the table will be released.
+              </div>
+            ` : updated ? `
+              <div class="confirmation-message">
+                ✏️ Your reservation at ${location.name} has been updated. Here are your new details - the attached calendar event replaces the old one.
+              </div>
+            ` : `
+              <div class="confirmation-message">
+                ✅ Your reservation at ${location.name} has been confirmed! We're delighted to have you join us.
+              </div>
+            `}
 
             <!-- Reservation Details -->
             <div class="reservation-details">
@@ -305,21 +324,22 @@ const getReservationConfirmationTemplate = (reservation, paymentInfo) => {
               </div>
               <div class="detail-row">
                 <span class="detail-label">📋 Status</span>
-                <span class="detail-value">${reservation.status.charAt(0).toUpperCase() + reservation.status.slice(1)}</span>
+                <span class="detail-value">${reservation.status.charAt(0).toUpperCase() + reservation.status.slice(1).replace('_', ' ')}</span>
               </div>
             </div>
 
             <!-- Reservation ID -->
             <div class="reservation-id">
-              <div class="label">YOUR RESERVATION ID</div>
-              <div class="code">${reservation.id}</div>
-              <div class="label" style="font-size: 11px; margin-top: 8px;">Please mention this ID upon arrival</div>
+              <div class="label">YOUR CONFIRMATION CODE</div>
+              <div class="code">${reservation.confirmationCode || reservation.id}</div>
+              <div class="label" style="font-size: 11px; margin-top: 8px;">Please mention this code upon arrival</div>
+              <div style="margin-top: 12px;"><a href="${getManageBookingUrl(reservation.id)}" style="color: #b8860b;">View, change or cancel your booking</a></div>
             </div>
 
             <!-- Table Information -->
             <div class="table-info">
               <p style="color: #999; font-weight: 600;">Your Reserved Table</p>
-              <div class="table-number">Table #${reservation.tableId}</div>
+              <div class="table-number">${reservation.tableIds?.length > 1 ? `Tables ${reservation.tableIds.map(id => `#${id}`).join(' + ')}` : `Table #${reservation.tableId}`}</div>
               <div class="location">${reservation.tableLocation} Area • ${reservation.tableLocation === 'Window' ? '🪟 Window View' : reservation.tableLocation === 'Patio' ? '🌳 Outdoor Seating' : reservation.tableLocation === 'Private' ? '🔒 Private Dining' : '🍽️ Dining Area'}</div>
             </div>
 
@@ -333,7 +353,7 @@ const getReservationConfirmationTemplate = (reservation, paymentInfo) => {
             ` : paymentInfo ? `
               <div class="payment-status pending">
                 <h3>⏳ Payment Pending Verification</h3>
-                <p>We received your ${paymentInfo.method === 'bank_transfer' ? 'bank transfer payment details' : 'CashApp payment confirmation'}. We will verify and confirm within 24 hours.</p>
+                <p>We received your ${paymentInfo.method === 'bank_transfer' ? 'bank transfer payment details' : 'CashApp payment confirmation'}. We will verify and confirm within ${RESTAURANT_TABLES.depositPolicy.verificationWindowHours} hours.</p>
               </div>
             ` : ''}
 
@@ -342,7 +362,7 @@ const getReservationConfirmationTemplate = (reservation, paymentInfo) => {
               <h3>📌 Important Information</h3>
               <ol>
                 <li><strong>Arrival Time:</strong> Please arrive 10-15 minutes before your reservation time.</li>
-                <li><strong>Cancellation:</strong> To cancel or modify your reservation, please contact us at least 24 hours in advance.</li>
+                <li><strong>Cancellation:</strong> To cancel or modify your reservation, use the link above or your confirmation code with this email address. ${describeCancellationPolicy()}</li>
                 <li><strong>Dress Code:</strong> Business casual to elegant attire required.</li>
                 <li><strong>Special Requests:</strong> If you have any dietary restrictions or special occasions, please let us know.</li>
                 <li><strong>Contact:</strong> In case of any issues, reach out to us immediately.</li>
@@ -351,20 +371,20 @@ const getReservationConfirmationTemplate = (reservation, paymentInfo) => {
 
             <!-- Restaurant Info -->
             <div class="restaurant-info">
-              <strong>NOIR Fine Dining Restaurant</strong><br>
-              📍 Downtown District<br>
-              📞 +1 (555) 123-4567<br>
-              📧 reservations@noir-restaurant.com<br>
-              🌐 www.noir-restaurant.com
+              <strong>${location.fullName}</strong><br>
+              📍 ${location.address}<br>
+              📞 ${location.phone}<br>
+              📧 ${location.email}<br>
+              🌐 ${location.website}
             </div>
 
             <!-- Call to Action -->
             <div style="text-align: center;">
-              <a href="http://localhost:5173" class="cta-button">View Reservation Online</a>
+              <a href="${getManageBookingUrl(reservation.id)}" class="cta-button">View Reservation Online</a>
             </div>
 
             <p style="color: #999; font-size: 13px; text-align: center; margin-top: 30px;">
-              We look forward to providing you with an unforgettable fine dining experience at NOIR.
+              We look forward to providing you with an unforgettable fine dining experience at ${location.name}.
             </p>
           </div>
 
@@ -372,9 +392,9 @@ const getReservationConfirmationTemplate = (reservation, paymentInfo) => {
           <div class="footer">
             <p class="footer-text">
               This is an automated confirmation email. Please do not reply to this email.<br>
-              For reservations or inquiries, contact: reservations@noir-restaurant.com<br>
+              For reservations or inquiries, contact: ${location.email}<br>
               <br>
-              © 2026 NOIR Fine Dining. All rights reserved.
+              © ${new Date().getFullYear()} ${location.fullName}. All rights reserved.
             </p>
           </div>
         </div>
@@ -404,14 +424,19 @@ export const sendReservationConfirmation = async (reservation, paymentInfo = nul
 
     logger.log(`📧 Sending confirmation email to: ${reservation.email}`);
 
-    const htmlContent = getReservationConfirmationTemplate(reservation, paymentInfo);
+    const location = await getLocationFor(reservation);
+    const htmlContent = getReservationConfirmationTemplate(reservation, paymentInfo, location);
 
     const mailOptions = {
       from: EMAIL_CONFIG.from,
       to: reservation.email,
-      subject: `🎉 Reservation Confirmed - NOIR Restaurant | ID: ${reservation.id}`,
+      subject: reservation.status === "pending_payment"
+        ? `⏳ Deposit Required - ${location.name} Restaurant | ID: ${reservation.id}`
+        : `🎉 Reservation Confirmed - ${location.name} Restaurant | ID: ${reservation.id}`,
       html: htmlContent,
-      replyTo: "reservations@noir-restaurant.com"
+      replyTo: location.email,
+      // Add-to-calendar event
+      attachments: [await getCalendarAttachment(reservation, location)]
     };
 
     const info = await emailTransporter.sendMail(mailOptions);
@@ -455,14 +480,15 @@ export const sendPaymentConfirmation = async (reservation, paymentInfo) => {
 
     logger.log(`📧 Sending payment confirmation to: ${reservation.email}`);
 
-    const htmlContent = getReservationConfirmationTemplate(reservation, paymentInfo);
+    const location = await getLocationFor(reservation);
+    const htmlContent = getReservationConfirmationTemplate(reservation, paymentInfo, location);
 
     const mailOptions = {
       from: EMAIL_CONFIG.from,
       to: reservation.email,
-      subject: `💳 Payment Confirmed - NOIR Restaurant | ID: ${reservation.id}`,
+      subject: `💳 Payment Confirmed - ${location.name} Restaurant | ID: ${reservation.id}`,
       html: htmlContent,
-      replyTo: "reservations@noir-restaurant.com"
+      replyTo: location.email
     };
 
     const info = await emailTransporter.sendMail(mailOptions);
@@ -483,10 +509,59 @@ export const sendPaymentConfirmation = async (reservation, paymentInfo) => {
   }
 };
 
+/**
+ * Send reservation updated email (date, time or party size changed)
+ * The attached event has a higher SEQUENCE so calendar apps replace the original
+ */
+export const sendReservationUpdateEmail = async (reservation) => {
+  try {
+    const emailTransporter = initializeTransporter();
+
+    if (!emailTransporter) {
+      return { success: false, message: "Email service not configured" };
+    }
+
+    if (!reservation.email) {
+      return { success: false, message: "No email address provided" };
+    }
+
+    logger.log(`📧 Sending reservation update to: ${reservation.email}`);
+
+    const location = await getLocationFor(reservation);
+
+    const mailOptions = {
+      from: EMAIL_CONFIG.from,
+      to: reservation.email,
+      subject: `✏️ Reservation Updated - ${location.name} Restaurant | ID: ${reservation.id}`,
+      html: getReservationConfirmationTemplate(reservation, null, location, { updated: true }),
+      replyTo: location.email,
+      attachments: [await getCalendarAttachment(reservation, location)]
+    };
+
+    const info = await emailTransporter.sendMail(mailOptions);
+
+    logger.log("✅ Reservation update email sent");
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    logger.error("❌ Failed to send reservation update email:", error.message);
+    return { success: false, message: error.message };
+  }
+};
+
+/**
+ * Why a reservation was cancelled, for the cancellation email ("...has been cancelled <reason>")
+ */
+const describeCancellationReason = (reservation) => {
+  if (reservation.deposit?.status === "expired") return "because the deposit was not received in time";
+  const cancelled = (reservation.statusHistory || []).filter(entry => entry.to === "cancelled").pop();
+  return !cancelled || cancelled.by === "guest" ? "as requested" : "by the restaurant";
+};
+
 /**
  * Send cancellation email
+ * @param {object} cancellationFee - { amount, currency, paymentId } when a late-cancellation fee applies
  */
-export const sendCancellationEmail = async (reservation) => {
+export const sendCancellationEmail = async (reservation, cancellationFee = null) => {
   try {
     const emailTransporter = initializeTransporter();
 
@@ -500,6 +575,8 @@ export const sendCancellationEmail = async (reservation) => {
 
     logger.log(`📧 Sending cancellation email to: ${reservation.email}`);
 
+    const location = await getLocationFor(reservation);
+
     const cancellationHtml = `
       <!DOCTYPE html>
       <html>
@@ -518,20 +595,25 @@ export const sendCancellationEmail = async (reservation) => {
         <body>
           <div class="container">
             <div class="header">
-              <h1>NOIR</h1>
-              <p>FINE DINING EXPERIENCE</p>
+              <h1>${location.name}</h1>
+              <p>${location.tagline.toUpperCase()}</p>
             </div>
             <div class="content">
               <h2>Reservation Cancelled</h2>
               <p>Dear ${reservation.customerName},</p>
               <div class="alert">
-                Your reservation (ID: <strong>${reservation.id}</strong>) has been cancelled as requested.
+                Your reservation (ID: <strong>${reservation.id}</strong>) has been cancelled ${describeCancellationReason(reservation)}.
               </div>
-              <p>We would love to welcome you to NOIR in the future. Feel free to make another reservation anytime.</p>
-              <p>If you have any questions, please contact us at reservations@noir-restaurant.com</p>
+              ${cancellationFee ? `
+                <p>As this cancellation was made inside our free cancellation window, a late-cancellation fee of
+                <strong>$${cancellationFee.amount} ${cancellationFee.currency}</strong> has been applied
+                (payment reference <strong>${cancellationFee.paymentId}</strong>).</p>
+              ` : `<p>No cancellation fee has been charged.</p>`}
+              <p>We would love to welcome you to ${location.name} in the future. Feel free to make another reservation anytime.</p>
+              <p>If you have any questions, please contact us at ${location.email}</p>
             </div>
             <div class="footer">
-              <p>© 2026 NOIR Fine Dining. All rights reserved.</p>
+              <p>© ${new Date().getFullYear()} ${location.fullName}. All rights reserved.</p>
             </div>
           </div>
         </body>
@@ -541,9 +623,11 @@ export const sendCancellationEmail = async (reservation) => {
     const mailOptions = {
       from: EMAIL_CONFIG.from,
       to: reservation.email,
-      subject: `Reservation Cancelled - NOIR Restaurant | ID: ${reservation.id}`,
+      subject: `Reservation Cancelled - ${location.name} Restaurant | ID: ${reservation.id}`,
       html: cancellationHtml,
-      replyTo: "reservations@noir-restaurant.com"
+      replyTo: location.email,
+      // Removes the event from the guest's calendar
+      attachments: [await getCalendarAttachment(reservation, location, { method: "CANCEL" })]
     };
 
     const info = await emailTransporter.sendMail(mailOptions);
@@ -555,3 +639,101 @@ export const sendCancellationEmail = async (reservation) => {
     return { success: false, message: error.message };
   }
 };
+
+/**
+ * Tell a guest their reservation was cancelled - by them, by staff or because a deposit lapsed
+ * The email carries a METHOD:CANCEL event so the booking leaves their calendar too
+ */
+export const notifyCancellation = async (reservation, cancellationFee = null) => {
+  if (!reservation.email) return;
+
+  const emailResult = await sendCancellationEmail(reservation, cancellationFee);
+  if (!emailResult.success) {
+    logger.warn("⚠️  Failed to send cancellation email:", emailResult.message);
+  }
+};
+
+/**
+ * Send waitlist offer email (a freed slot is being held for the guest)
+ */
+export const sendWaitlistOfferEmail = async (entry) => {
+  try {
+    const emailTransporter = initializeTransporter();
+
+    if (!emailTransporter) {
+      return { success: false, message: "Email service not configured" };
+    }
+
+    if (!entry.email) {
+      return { success: false, message: "No email address provided" };
+    }
+
+    logger.log(`📧 Sending waitlist offer email to: ${entry.email}`);
+
+    const location = await getLocationFor(entry);
+
+    const holdUntil = formatInstant(entry.hold.expiresAt, {
+      hour: '2-digit',
+      minute: '2-digit'
+    }, getLocationTimeZone(location));
+
+    const offerHtml = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="UTF-8">
+          <style>
+            body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: #f5f5f5; }
+            .container { max-width: 600px; margin: 20px auto; background: white; border-radius: 12px; overflow: hidden; box-shadow: 0 5px 20px rgba(0,0,0,0.1); }
+            .header { background: linear-gradient(135deg, #d4a574 0%, #b8860b 100%); padding: 40px 20px; text-align: center; color: white; }
+            .header h1 { font-size: 36px; font-weight: 300; letter-spacing: 4px; margin-bottom: 10px; }
+            .content { padding: 40px; }
+            .alert { background: #e8f5e9; border-left: 4px solid #4caf50; padding: 16px; margin: 20px 0; border-radius: 4px; }
+            .footer { background: #f9f9f9; padding: 30px 40px; text-align: center; border-top: 1px solid #e0e0e0; font-size: 13px; color: #999; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${location.name}</h1>
+              <p>${location.tagline.toUpperCase()}</p>
+            </div>
+            <div class="content">
+              <h2>A Table Is Available</h2>
+              <p>Dear ${entry.customerName},</p>
+              <div class="alert">
+                Good news! A table for ${entry.numGuests} at ${location.name} on <strong>${entry.date}</strong> at <strong>${entry.time}</strong> has opened up.
+                We are holding it for you until <strong>${holdUntil}</strong>.
+              </div>
+              <p>To confirm, complete your booking with waitlist ID <strong>${entry.id}</strong> before the hold expires.
+              After that, the table will be offered to the next guest on the waitlist.</p>
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${getWaitlistOfferUrl(entry.id)}" style="display: inline-block; background: #d4a574; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: 600;">Book Now</a>
+              </div>
+              <p>If you have any questions, please contact us at ${location.email}</p>
+            </div>
+            <div class="footer">
+              <p>© ${new Date().getFullYear()} ${location.fullName}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const mailOptions = {
+      from: EMAIL_CONFIG.from,
+      to: entry.email,
+      subject: `⏳ A Table Is Available - ${location.name} Restaurant | Waitlist ID: ${entry.id}`,
+      html: offerHtml,
+      replyTo: location.email
+    };
+
+    const info = await emailTransporter.sendMail(mailOptions);
+
+    logger.log("✅ Waitlist offer email sent");
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    logger.error("❌ Failed to send waitlist offer email:", error.message);
+    return { success: false, message: error.message };
+  }
+};
@@ -0,0 +1,152 @@
+import { logger } from "../utils/logger.js";
+import repository from "../repository/index.js";
+import { findGuest, normalizeEmail, normalizePhone, toList } from "../utils/guests.js";
+
+// ==================== GUEST CONTROLLERS ====================
+
+/**
+ * Find a guest profile by email or phone
+ * GET /api/booking/guests?email=&phone=
+ */
+export const findGuestProfile = async (req, res) => {
+  try {
+    const { email, phone } = req.query;
+
+    if (!email && !phone) {
+      return res.status(400).json({
+        success: false,
+        error: "email or phone is required"
+      });
+    }
+
+    const guest = await findGuest({ email, phone });
+
+    if (!guest) {
+      return res.status(404).json({
+        success: false,
+        error: "No guest profile matches that email or phone"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      guest: guest
+    });
+
+  } catch (error) {
+    logger.error("❌ Find guest error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to find guest"
+    });
+  }
+};
+
+/**
+ * Get a guest profile with their reservation history
+ * GET /api/booking/guests/:guestId
+ */
+export const getGuestProfile = async (req, res) => {
+  try {
+    const { guestId } = req.params;
+
+    const guest = await repository.guests.get(guestId);
+
+    if (!guest) {
+      return res.status(404).json({
+        success: false,
+        error: "Guest not found",
+        guestId: guestId
+      });
+    }
+
+    const reservations = (await repository.reservations.find({ guestId: guestId }))
+      .sort((a, b) => `${b.date} ${b.time}`.localeCompare(`${a.date} ${a.time}`));
+
+    res.status(200).json({
+      success: true,
+      guest: guest,
+      reservations: reservations
+    });
+
+  } catch (error) {
+    logger.error("❌ Get guest error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to get guest"
+    });
+  }
+};
+
+/**
+ * Update a guest's contact details, preferences and notes
+ * Lists (dietaryRestrictions, allergies, seatingPreferences) replace the stored values
+ * PUT /api/booking/guests/:guestId
+ */
+export const updateGuestProfile = async (req, res) => {
+  try {
+    const { guestId } = req.params;
+    const { name, email, phone, dietaryRestrictions, allergies, seatingPreferences, occasions, notes } = req.body;
+    const userIP = req.userIP;
+
+    const guest = await repository.guests.get(guestId);
+
+    if (!guest) {
+      return res.status(404).json({
+        success: false,
+        error: "Guest not found",
+        guestId: guestId
+      });
+    }
+
+    // Contact details are the match keys, so they can't be taken from another profile
+    const duplicate = await findGuest({ email, phone });
+    if (duplicate && duplicate.id !== guestId) {
+      return res.status(409).json({
+        success: false,
+        error: "Another guest profile already uses that email or phone",
+        guestId: duplicate.id
+      });
+    }
+
+    if (occasions !== undefined && !Array.isArray(occasions)) {
+      return res.status(400).json({
+        success: false,
+        error: "occasions must be an array of { type, date }"
+      });
+    }
+
+    if (name) guest.name = name;
+    if (email !== undefined) {
+      guest.email = email || null;
+      guest.emailKey = normalizeEmail(email);
+    }
+    if (phone !== undefined) {
+      guest.phone = phone || null;
+      guest.phoneKey = normalizePhone(phone);
+    }
+    if (dietaryRestrictions !== undefined) guest.dietaryRestrictions = toList(dietaryRestrictions);
+    if (allergies !== undefined) guest.allergies = toList(allergies);
+    if (seatingPreferences !== undefined) guest.seatingPreferences = toList(seatingPreferences);
+    if (occasions !== undefined) guest.occasions = occasions;
+    if (notes !== undefined) guest.notes = notes;
+    guest.updatedAt = new Date().toISOString();
+
+    await repository.guests.save(guest);
+
+    logger.log(`👤 [${userIP}] Guest profile updated: ${guestId}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Guest profile updated",
+      guest: guest
+    });
+
+  } catch (error) {
+    logger.error("❌ Update guest error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to update guest"
+    });
+  }
+};
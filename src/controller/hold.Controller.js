@@ -0,0 +1,271 @@
+import crypto from "crypto";
+import { logger } from "../utils/logger.js";
+import repository from "../repository/index.js";
+import { RESTAURANT_TABLES } from "../config/restaurant.js";
+import {
+  getAvailableTables,
+  selectSeating,
+  findAlternativeSlots,
+  parsePartySize,
+  PARTY_SIZE,
+  REASON_CODES
+} from "../utils/availability.js";
+import { getDepositRequirement } from "../utils/deposits.js";
+import { validateSeatingPreferences, normalizeSeatingPreferences, getPreferenceMatch } from "../utils/seatingPreferences.js";
+import { offerFreedCapacity } from "./waitlist.Controller.js";
+import { withLock, tableLockKey, LOCK_TIMEOUT } from "../utils/locks.js";
+import { invalidateAvailabilityCache } from "../utils/availabilityCache.js";
+import { validateDateTime } from "../utils/timezone.js";
+import { getLocationId } from "../utils/locations.js";
+
+// Checkout hold lifecycle:
+// active (table held for checkoutHoldMinutes) -> converted (booked via create-reservation)
+//                                             \-> released (guest gave it up)
+//                                             \-> expired (ran out - released by the hold sweeper)
+
+// ==================== UTILITY FUNCTIONS ====================
+
+/**
+ * Generate an unguessable hold token (the token is the hold's ID)
+ */
+const generateHoldToken = () => {
+  return `HLD-${crypto.randomBytes(18).toString("base64url")}`;
+};
+
+/**
+ * Whether a hold still reserves its table
+ */
+export const isHoldActive = (hold, now = new Date()) => {
+  return hold.status === "active" && new Date(hold.expiresAt) > now;
+};
+
+/**
+ * Hold details returned to the client
+ */
+const toHoldResponse = (hold) => {
+  const secondsRemaining = Math.max(0, Math.floor((new Date(hold.expiresAt) - new Date()) / 1000));
+
+  return {
+    holdToken: hold.id,
+    locationId: getLocationId(hold),
+    // An active hold past its expiry is expired even if the sweeper hasn't run yet
+    status: hold.status === "active" && secondsRemaining === 0 ? "expired" : hold.status,
+    numGuests: hold.numGuests,
+    date: hold.date,
+    time: hold.time,
+    tableIds: hold.tableIds,
+    tableLocation: hold.tableLocation,
+    seatingPreferences: hold.seatingPreferences || null,
+    preferenceMatch: hold.preferenceMatch || null,
+    expiresAt: hold.expiresAt,
+    secondsRemaining: secondsRemaining,
+    reservationId: hold.reservationId || null
+  };
+};
+
+// ==================== HOLD CONTROLLERS ====================
+
+/**
+ * Hold a table for a few minutes while the guest completes their booking
+ * POST /api/booking/hold
+ */
+export const createHold = async (req, res) => {
+  try {
+    const { date, time } = req.body;
+    const userIP = req.userIP;
+    const location = req.location;
+
+    if (!req.body.numGuests || !date || !time) {
+      return res.status(400).json({
+        success: false,
+        error: "numGuests, date, and time are required",
+        example: { numGuests: 4, date: "2026-02-14", time: "19:00" }
+      });
+    }
+
+    const dateTimeError = validateDateTime(date, time);
+    if (dateTimeError) {
+      return res.status(400).json({
+        success: false,
+        error: dateTimeError
+      });
+    }
+
+    const numGuests = parsePartySize(req.body.numGuests);
+    if (numGuests === null) {
+      return res.status(400).json({
+        success: false,
+        error: `Party size must be a whole number between ${PARTY_SIZE.min} and ${PARTY_SIZE.max} guests`
+      });
+    }
+
+    const preferenceError = validateSeatingPreferences(req.body);
+    if (preferenceError) {
+      return res.status(400).json({
+        success: false,
+        error: preferenceError
+      });
+    }
+    const preferences = normalizeSeatingPreferences(req.body);
+
+    logger.log(`⏳ [${userIP}] Holding a table at ${location.name} for ${numGuests} guests on ${date} at ${time}`);
+
+    const availability = await getAvailableTables(numGuests, date, time, {}, null, location.id);
+
+    if (!availability.available) {
+      return res.status(400).json({
+        success: false,
+        error: "No tables available for your requested date and time",
+        reasonCode: availability.reasonCode,
+        reason: availability.reason,
+        message: availability.message,
+        alternatives: await findAlternativeSlots(numGuests, date, time, {}, location.id),
+        waitlistAvailable: availability.reasonCode === REASON_CODES.NO_TABLES
+      });
+    }
+
+    // Re-check and hold under the date's lock so two guests can't hold the same table
+    const hold = await withLock(tableLockKey(date, location.id), async () => {
+      const current = await getAvailableTables(numGuests, date, time, {}, null, location.id);
+      if (!current.available) return null;
+
+      const seating = selectSeating(current, null, preferences);
+      const now = new Date();
+
+      const hold = {
+        id: generateHoldToken(),
+        locationId: location.id,
+        numGuests: numGuests,
+        date: date,
+        time: time,
+        tableIds: seating.tableIds,
+        tableLocation: seating.location,
+        seatingPreferences: preferences,
+        preferenceMatch: await getPreferenceMatch(seating.tableIds, preferences),
+        status: "active",
+        reservationId: null,
+        userIP: userIP,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + RESTAURANT_TABLES.checkoutHoldMinutes * 60 * 1000).toISOString()
+      };
+
+      await repository.holds.save(hold);
+      return hold;
+    });
+
+    if (!hold) {
+      return res.status(409).json({
+        success: false,
+        error: "That table was just taken by someone else. Please choose another time.",
+        reasonCode: REASON_CODES.NO_TABLES,
+        alternatives: await findAlternativeSlots(numGuests, date, time, {}, location.id),
+        waitlistAvailable: true
+      });
+    }
+
+    invalidateAvailabilityCache(date, location.id);
+    logger.log(`✅ [${userIP}] Table(s) ${hold.tableIds.join(", ")} held until ${hold.expiresAt}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Table held for ${RESTAURANT_TABLES.checkoutHoldMinutes} minutes. Complete your booking with the hold token before it expires.`,
+      ...toHoldResponse(hold),
+      // Deposit the booking will need once created (null if none)
+      deposit: getDepositRequirement(numGuests, date, time)
+    });
+
+  } catch (error) {
+    if (error.code === LOCK_TIMEOUT) {
+      return res.status(409).json({
+        success: false,
+        error: "Tables for this date are being updated. Please try again."
+      });
+    }
+    logger.error("❌ Create hold error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to hold table"
+    });
+  }
+};
+
+/**
+ * Get a hold and the time left on it
+ * GET /api/booking/hold/:holdToken
+ */
+export const getHold = async (req, res) => {
+  try {
+    const { holdToken } = req.params;
+
+    const hold = await repository.holds.get(holdToken);
+
+    if (!hold) {
+      return res.status(404).json({
+        success: false,
+        error: "Hold not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      hold: toHoldResponse(hold)
+    });
+
+  } catch (error) {
+    logger.error("❌ Get hold error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to get hold"
+    });
+  }
+};
+
+/**
+ * Give up a hold early so the table can be booked by someone else
+ * DELETE /api/booking/hold/:holdToken
+ */
+export const releaseHold = async (req, res) => {
+  try {
+    const { holdToken } = req.params;
+    const userIP = req.userIP;
+
+    const hold = await repository.holds.get(holdToken);
+
+    if (!hold) {
+      return res.status(404).json({
+        success: false,
+        error: "Hold not found"
+      });
+    }
+
+    if (!isHoldActive(hold)) {
+      return res.status(409).json({
+        success: false,
+        error: "This hold is no longer active",
+        hold: toHoldResponse(hold)
+      });
+    }
+
+    hold.status = "released";
+    hold.updatedAt = new Date().toISOString();
+    await repository.holds.save(hold);
+
+    logger.log(`↩️  [${userIP}] Hold released: table(s) ${hold.tableIds.join(", ")} on ${hold.date} at ${hold.time}`);
+
+    // Offer the released table to the waitlist
+    await offerFreedCapacity(hold.date, getLocationId(hold));
+
+    res.status(200).json({
+      success: true,
+      message: "Hold released",
+      hold: toHoldResponse(hold)
+    });
+
+  } catch (error) {
+    logger.error("❌ Release hold error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to release hold"
+    });
+  }
+};
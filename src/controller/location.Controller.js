@@ -0,0 +1,177 @@
+import { logger } from "../utils/logger.js";
+import repository from "../repository/index.js";
+import { WEEKDAYS, validatePeriods } from "../utils/calendar.js";
+import {
+  getLocations,
+  getLocation,
+  getOperatingHours,
+  normalizeLocation,
+  validateLocation,
+  DEFAULT_LOCATION_ID
+} from "../utils/locations.js";
+import { invalidateAvailabilityCache } from "../utils/availabilityCache.js";
+
+// Fields an admin may set on a location (id is fixed once created)
+const EDITABLE_FIELDS = [
+  "name", "fullName", "pronunciation", "tagline", "cuisine", "specialties", "address",
+  "phone", "email", "website", "operatingHours", "timeZone", "payment", "active"
+];
+
+/**
+ * Pick editable fields from a request body
+ */
+const pickLocationFields = (body = {}) => {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+/**
+ * Validate a weekly schedule - days left out are closed, an empty list closes a day
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateOperatingHours = (operatingHours) => {
+  if (operatingHours === null) return null;
+
+  if (typeof operatingHours !== "object" || Array.isArray(operatingHours)) {
+    return "operatingHours must map weekdays to service periods, or be null for the group's schedule";
+  }
+
+  for (const [dayName, periods] of Object.entries(operatingHours)) {
+    if (!WEEKDAYS.includes(dayName)) {
+      return `operatingHours has an unknown day "${dayName}" - use ${WEEKDAYS.join(", ")}`;
+    }
+    if (Array.isArray(periods) && periods.length === 0) continue;
+
+    const periodError = validatePeriods(periods);
+    if (periodError) return `${dayName}: ${periodError}`;
+  }
+
+  return null;
+};
+
+// ==================== LOCATION CONTROLLERS ====================
+
+/**
+ * List the venues guests can book (pass one's id as locationId to the booking endpoints)
+ * GET /api/booking/locations
+ */
+export const listLocations = async (req, res) => {
+  try {
+    const locations = await getLocations();
+
+    res.status(200).json({
+      success: true,
+      count: locations.length,
+      locations: locations.map(location => ({
+        id: location.id,
+        name: location.name,
+        fullName: location.fullName,
+        tagline: location.tagline,
+        cuisine: location.cuisine,
+        address: location.address,
+        phone: location.phone,
+        email: location.email,
+        website: location.website,
+        hours: getOperatingHours(location)
+      }))
+    });
+
+  } catch (error) {
+    logger.error("❌ List locations error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to list locations"
+    });
+  }
+};
+
+/**
+ * Get every location with its full settings, including inactive ones
+ * GET /api/admin/locations
+ */
+export const listAllLocations = async (req, res) => {
+  try {
+    const locations = await getLocations({ includeInactive: true });
+
+    res.status(200).json({
+      success: true,
+      defaultLocationId: DEFAULT_LOCATION_ID,
+      locations: locations
+    });
+
+  } catch (error) {
+    logger.error("❌ List all locations error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to list locations"
+    });
+  }
+};
+
+/**
+ * Add a location, or update one - only the fields sent are changed
+ * PUT /api/admin/locations/:locationId
+ */
+export const upsertLocation = async (req, res) => {
+  try {
+    const { locationId } = req.params;
+    const userIP = req.userIP;
+
+    const existing = await getLocation(locationId);
+    const fields = pickLocationFields(req.body);
+
+    const location = normalizeLocation({
+      ...(existing || {}),
+      ...fields,
+      id: locationId,
+      updatedAt: new Date().toISOString()
+    });
+
+    const validationError = validateLocation(location) || validateOperatingHours(location.operatingHours);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+        example: {
+          name: "NOIR Riverside",
+          address: "12 Quay Street",
+          phone: "+1 (555) 987-6543",
+          email: "riverside@noir-restaurant.com",
+          timeZone: "America/Chicago",
+          operatingHours: { Wednesday: [{ name: "Dinner", open: "18:00", close: "23:00", lastSeating: "21:30" }] },
+          payment: { cashApp: { tag: "$noir-riverside", displayName: "NOIR Riverside" } }
+        }
+      });
+    }
+
+    // Requests without a locationId go to the default, so it must keep taking bookings
+    if (locationId === DEFAULT_LOCATION_ID && !location.active) {
+      return res.status(400).json({
+        success: false,
+        error: "The default location cannot be deactivated"
+      });
+    }
+
+    await repository.locations.save(location);
+    // Hours may have changed
+    invalidateAvailabilityCache();
+
+    logger.log(`📍 [${userIP}] Location ${locationId} ${existing ? `updated: ${Object.keys(fields).join(", ")}` : `added (${location.name})`}`);
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: `Location ${locationId} ${existing ? "updated" : "added"}`,
+      location: location
+    });
+
+  } catch (error) {
+    logger.error("❌ Upsert location error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to save location"
+    });
+  }
+};
@@ -0,0 +1,322 @@
+import { logger } from "../utils/logger.js";
+import repository from "../repository/index.js";
+import { RESTAURANT_TABLES } from "../config/restaurant.js";
+import { getServicePeriods } from "../utils/calendar.js";
+import { isValidDate, formatInstant } from "../utils/timezone.js";
+import { findServicePeriod, getPacingInterval, toMinutes, toTime } from "../utils/availability.js";
+import { RESERVATION_STATUSES } from "../utils/reservationStatus.js";
+import { isAtLocation, getLocationSlug, getLocationTimeZone } from "../utils/locations.js";
+import { loadGuestsForReservations, mergeLists } from "../utils/guests.js";
+
+// Daily manifest for front-of-house: every reservation at a location for a date (or one service),
+// grouped by arrival time and by table, with covers per interval.
+// Formats: json (default), csv (spreadsheets), html (print-friendly)
+
+const MANIFEST_FORMATS = ["json", "csv", "html"];
+
+// ==================== UTILITY FUNCTIONS ====================
+
+/**
+ * Get the arrival interval a time falls in - the service's pacing interval, else the slot interval
+ */
+const getIntervalBounds = (period, time) => {
+  const pacing = getPacingInterval(period, time);
+  if (pacing) return { start: toTime(pacing.start), end: toTime(pacing.end) };
+
+  const interval = RESTAURANT_TABLES.slotInterval;
+  const origin = period ? toMinutes(period.open) : 0;
+  const start = origin + Math.floor((toMinutes(time) - origin) / interval) * interval;
+  return { start: toTime(start), end: toTime(start + interval) };
+};
+
+/**
+ * Manifest row for a reservation
+ * Allergies and dietary restrictions combine the booking with the guest's profile,
+ * so known allergies of returning guests reach the kitchen even if not repeated when booking
+ * @param {object|null} guest - Linked guest profile
+ */
+const toManifestRow = (reservation, period, guest = null) => {
+  return {
+    reservationId: reservation.id,
+    confirmationCode: reservation.confirmationCode || null,
+    time: reservation.time,
+    service: period?.name || null,
+    tableIds: reservation.tableIds || [reservation.tableId],
+    tableLocation: reservation.tableLocation,
+    customerName: reservation.customerName,
+    // Stored as a string by some older clients - covers are summed
+    numGuests: Number(reservation.numGuests),
+    status: reservation.status,
+    phone: reservation.phone || null,
+    occasion: reservation.occasion || null,
+    allergies: mergeLists(reservation.allergies || [], guest?.allergies || []),
+    dietaryRestrictions: mergeLists(reservation.dietaryRestrictions || [], guest?.dietaryRestrictions || []),
+    notes: reservation.notes || "",
+    guestNotes: guest?.notes || "",
+    seatingPreference: reservation.seatingPreference || null,
+    seatingPreferences: reservation.seatingPreferences || null,
+    turnTime: reservation.seatingDuration || RESTAURANT_TABLES.seatingDuration,
+    deposit: reservation.deposit ? reservation.deposit.status : null
+  };
+};
+
+/**
+ * Sort rows by time, then by first table
+ */
+const compareRows = (a, b) => a.time.localeCompare(b.time) || a.tableIds[0] - b.tableIds[0];
+
+/**
+ * Build a location's manifest for a date
+ * @param {object} location - Location the manifest is for
+ * @param {object} options - { service (period name), includeCancelled }
+ */
+const buildManifest = async (date, location, { service = null, includeCancelled = false } = {}) => {
+  const { dayName, periods } = await getServicePeriods(date, location.id);
+  const reservations = (await repository.reservations.find({ date: date }))
+    .filter(reservation => isAtLocation(reservation, location.id))
+    .filter(reservation => includeCancelled || reservation.status !== RESERVATION_STATUSES.CANCELLED);
+  const guests = await loadGuestsForReservations(reservations);
+
+  const rows = reservations
+    .map(reservation => toManifestRow(reservation, findServicePeriod(periods, reservation.time), guests.get(reservation.guestId)))
+    .filter(row => !service || row.service === service)
+    .sort(compareRows);
+
+  // Live bookings count towards covers; cancelled/no-show rows are listed for reference only
+  const countsTowardsCovers = (row) =>
+    row.status !== RESERVATION_STATUSES.CANCELLED && row.status !== RESERVATION_STATUSES.NO_SHOW;
+
+  const byTime = new Map();
+  const byTable = new Map();
+  const intervals = new Map();
+
+  for (const row of rows) {
+    if (!byTime.has(row.time)) byTime.set(row.time, { time: row.time, covers: 0, reservations: [] });
+    const slot = byTime.get(row.time);
+    slot.reservations.push(row);
+
+    for (const tableId of row.tableIds) {
+      if (!byTable.has(tableId)) byTable.set(tableId, { tableId: tableId, reservations: [] });
+      byTable.get(tableId).reservations.push(row);
+    }
+
+    if (!countsTowardsCovers(row)) continue;
+    slot.covers += row.numGuests;
+
+    const bounds = getIntervalBounds(findServicePeriod(periods, row.time), row.time);
+    if (!intervals.has(bounds.start)) intervals.set(bounds.start, { ...bounds, covers: 0, parties: 0 });
+    const interval = intervals.get(bounds.start);
+    interval.covers += row.numGuests;
+    interval.parties++;
+  }
+
+  const live = rows.filter(countsTowardsCovers);
+  const byStatus = {};
+  for (const row of rows) byStatus[row.status] = (byStatus[row.status] || 0) + 1;
+
+  return {
+    date: date,
+    dayName: dayName,
+    locationId: location.id,
+    locationName: location.name,
+    timeZone: getLocationTimeZone(location),
+    service: service,
+    periods: periods.filter(period => !service || period.name === service),
+    totals: {
+      reservations: live.length,
+      covers: live.reduce((sum, row) => sum + row.numGuests, 0),
+      byStatus: byStatus
+    },
+    intervals: [...intervals.values()].sort((a, b) => a.start.localeCompare(b.start)),
+    byTime: [...byTime.values()],
+    byTable: [...byTable.values()].sort((a, b) => a.tableId - b.tableId),
+    generatedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Quote a CSV cell (RFC 4180), neutralising spreadsheet formulas in guest-entered text
+ */
+const csvCell = (value) => {
+  let text = Array.isArray(value) ? value.join("; ") : value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Manifest as CSV - one row per reservation, then covers per interval
+ */
+const manifestToCsv = (manifest) => {
+  const header = [
+    "Time", "Service", "Tables", "Location", "Guest", "Covers", "Status", "Phone",
+    "Occasion", "Allergies", "Dietary", "Notes", "Guest notes", "Seating request", "Confirmation code"
+  ];
+
+  const rows = manifest.byTime.flatMap(slot => slot.reservations).map(row => [
+    row.time, row.service, row.tableIds.join("+"), row.tableLocation, row.customerName, row.numGuests, row.status, row.phone,
+    row.occasion, row.allergies, row.dietaryRestrictions, row.notes, row.guestNotes, row.seatingPreference, row.confirmationCode
+  ]);
+
+  const intervalRows = manifest.intervals.map(interval => [`${interval.start}-${interval.end}`, interval.parties, interval.covers]);
+
+  return [
+    header,
+    ...rows,
+    [],
+    ["Interval", "Parties", "Covers"],
+    ...intervalRows,
+    ["Total", manifest.totals.reservations, manifest.totals.covers]
+  ].map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+};
+
+/**
+ * Escape guest-entered text for HTML
+ */
+const escapeHtml = (value) => {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+};
+
+/**
+ * Manifest as a print-friendly HTML page
+ */
+const manifestToHtml = (manifest) => {
+  const title = `${manifest.locationName} Manifest - ${manifest.dayName} ${manifest.date}${manifest.service ? ` (${manifest.service})` : ""}`;
+
+  const reservationRow = (row) => `
+          <tr class="${row.status === RESERVATION_STATUSES.CANCELLED || row.status === RESERVATION_STATUSES.NO_SHOW ? "inactive" : ""}">
+            <td>${escapeHtml(row.tableIds.join(" + "))}<div class="muted">${escapeHtml(row.tableLocation)}</div></td>
+            <td><strong>${escapeHtml(row.customerName)}</strong><div class="muted">${escapeHtml(row.phone || "")}</div></td>
+            <td class="num">${row.numGuests}</td>
+            <td>${escapeHtml(row.status.replace("_", " "))}</td>
+            <td>${row.occasion ? `<span class="tag">${escapeHtml(row.occasion)}</span>` : ""}</td>
+            <td class="alert">${escapeHtml(row.allergies.join(", "))}</td>
+            <td>${escapeHtml(row.dietaryRestrictions.join(", "))}</td>
+            <td>${escapeHtml([row.notes, row.guestNotes, row.seatingPreference].filter(Boolean).join(" / "))}</td>
+          </tr>`;
+
+  const timeSection = (slot) => `
+      <h2>${escapeHtml(slot.time)} <span class="muted">${slot.covers} covers</span></h2>
+      <table>
+        <thead>
+          <tr><th>Table</th><th>Guest</th><th>Covers</th><th>Status</th><th>Occasion</th><th>Allergies</th><th>Dietary</th><th>Notes</th></tr>
+        </thead>
+        <tbody>${slot.reservations.map(reservationRow).join("")}
+        </tbody>
+      </table>`;
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body { font-family: Georgia, 'Times New Roman', serif; color: #111; margin: 24px; font-size: 13px; }
+      h1 { font-size: 20px; margin-bottom: 4px; }
+      h2 { font-size: 15px; margin: 18px 0 6px; border-bottom: 1px solid #111; }
+      table { width: 100%; border-collapse: collapse; }
+      th, td { text-align: left; vertical-align: top; padding: 4px 6px; border-bottom: 1px solid #ccc; }
+      th { font-size: 11px; text-transform: uppercase; }
+      .num { text-align: right; }
+      .muted { color: #666; font-size: 11px; font-weight: normal; }
+      .alert { color: #b00020; font-weight: bold; }
+      .tag { border: 1px solid #111; border-radius: 3px; padding: 0 4px; font-size: 11px; }
+      .inactive { color: #999; text-decoration: line-through; }
+      .totals { width: auto; margin-top: 8px; }
+      @media print { body { margin: 0; } h2 { page-break-after: avoid; } tr { page-break-inside: avoid; } }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(title)}</h1>
+    <div class="muted">${manifest.totals.reservations} reservations, ${manifest.totals.covers} covers - printed ${escapeHtml(formatInstant(manifest.generatedAt, { dateStyle: "medium", timeStyle: "short" }, manifest.timeZone))}</div>
+    ${manifest.byTime.length === 0 ? "<p>No reservations.</p>" : manifest.byTime.map(timeSection).join("")}
+    <h2>Covers per interval</h2>
+    <table class="totals">
+      <thead><tr><th>Interval</th><th>Parties</th><th>Covers</th></tr></thead>
+      <tbody>${manifest.intervals.map(interval => `
+        <tr><td>${interval.start} - ${interval.end}</td><td class="num">${interval.parties}</td><td class="num">${interval.covers}</td></tr>`).join("")}
+        <tr><th>Total</th><th class="num">${manifest.totals.reservations}</th><th class="num">${manifest.totals.covers}</th></tr>
+      </tbody>
+    </table>
+  </body>
+</html>
+`;
+};
+
+// ==================== MANIFEST CONTROLLERS ====================
+
+/**
+ * Get the reservation manifest for a location on a date (staff only)
+ * GET /api/booking/manifest?date=YYYY-MM-DD&locationId=&service=&format=json|csv|html
+ */
+export const getManifest = async (req, res) => {
+  try {
+    const { date, service, format = "json", includeCancelled } = req.query;
+    const userIP = req.userIP;
+    const location = req.location;
+
+    if (!date || !isValidDate(date)) {
+      return res.status(400).json({
+        success: false,
+        error: "date is required (YYYY-MM-DD)",
+        example: "/api/booking/manifest?date=2026-11-14&service=Dinner&format=html"
+      });
+    }
+
+    if (!MANIFEST_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: ${MANIFEST_FORMATS.join(", ")}`
+      });
+    }
+
+    if (service) {
+      const { periods } = await getServicePeriods(date, location.id);
+      if (!periods.some(period => period.name === service)) {
+        return res.status(400).json({
+          success: false,
+          error: `No ${service} service on ${date}`,
+          services: periods.map(period => period.name)
+        });
+      }
+    }
+
+    logger.log(`🧾 [${userIP}] Manifest for ${location.name} on ${date}${service ? ` (${service})` : ""} as ${format}`);
+
+    const manifest = await buildManifest(date, location, {
+      service: service || null,
+      includeCancelled: includeCancelled === "true"
+    });
+
+    const filename = `${getLocationSlug(location)}-manifest-${location.id}-${date}${service ? `-${service.toLowerCase()}` : ""}`;
+
+    if (format === "csv") {
+      res.set({
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${filename}.csv"`
+      });
+      return res.status(200).send(manifestToCsv(manifest));
+    }
+
+    if (format === "html") {
+      res.set("Content-Type", "text/html; charset=utf-8");
+      return res.status(200).send(manifestToHtml(manifest));
+    }
+
+    res.status(200).json({
+      success: true,
+      manifest: manifest
+    });
+
+  } catch (error) {
+    logger.error("❌ Manifest error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to build manifest"
+    });
+  }
+};
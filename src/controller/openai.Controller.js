@@ -1,4 +1,20 @@
 import { logger } from "../utils/logger.js";
+import { RESTAURANT_TABLES } from "../config/restaurant.js";
+import { createReservation as createBookingReservation } from "./booking.Controller.js";
+import { describeWeeklyHours } from "../utils/calendar.js";
+import { getOperatingHours, getLocationTimeZone } from "../utils/locations.js";
+import { getAvailableTables, findAlternativeSlots, parsePartySize, PARTY_SIZE } from "../utils/availability.js";
+import { findGuestByManageToken } from "../utils/reservationAccess.js";
+import { describeGuestForAgent } from "../utils/guests.js";
+import { getDepositRequirement, describeDepositPolicy } from "../utils/deposits.js";
+import { describeTurnTimes } from "../utils/turnTimes.js";
+import { validateDateTime, describeRestaurantNow } from "../utils/timezone.js";
+import {
+  validateSeatingPreferences,
+  normalizeSeatingPreferences,
+  rankByPreference,
+  describeSeatingPreferences
+} from "../utils/seatingPreferences.js";
 
 const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
 const OPENROUTER_API_URL = "https://openrouter.ai/api/v1/chat/completions";
@@ -10,54 +26,68 @@ logger.log("   ✅ Key Format:", OPENROUTER_API_KEY?.startsWith("sk-") ? "VALID
 logger.log("   ✅ Key Length:", OPENROUTER_API_KEY?.length || 0, "characters");
 logger.log("   ✅ API URL:", OPENROUTER_API_URL);
 
-// Restaurant context for the AI
-// Mock table availability data (in production, query your database)
-const RESTAURANT_TABLES = {
-  tables: [
-    { id: 1, seats: 2, available: true },
-    { id: 2, seats: 2, available: true },
-    { id: 3, seats: 4, available: true },
-    { id: 4, seats: 4, available: false },
-    { id: 5, seats: 6, available: true },
-    { id: 6, seats: 8, available: true }
-  ]
-};
+// Check table availability against the location's floor plan and bookings (same as the booking API)
+// With seating preferences, options are ranked best match first
+const checkTableAvailability = async (numGuests, date, time, preferences = null, locationId) => {
+  const found = await getAvailableTables(numGuests, date, time, {}, null, locationId);
+  const availability = preferences ? rankByPreference(found, preferences) : found;
+  const optionCount = availability.tables.length + availability.combinations.length;
+  const [bestOption] = [...availability.tables, ...availability.combinations];
+  const preferenceMatch = bestOption?.preferenceMatch || null;
+
+  // Bookings that need a deposit are held as pending_payment until it's paid - say so before booking
+  const deposit = availability.available ? getDepositRequirement(numGuests, date, time) : null;
+  const depositNote = deposit
+    ? ` This booking needs a $${deposit.amount} deposit (${deposit.description}), paid within ${RESTAURANT_TABLES.depositPolicy.paymentWindowMinutes} minutes of booking.`
+    : "";
+
+  // Tell the guest up front whether their seating request can be met
+  const preferenceNote = preferenceMatch
+    ? preferenceMatch.honored
+      ? ` We can offer ${describeSeatingPreferences(preferences)}.`
+      : ` We can't offer ${describeSeatingPreferences(Object.fromEntries(preferenceMatch.unmet.map(name => [name, preferences[name]])))} at that time.`
+    : "";
 
-// Check table availability
-const checkTableAvailability = (numGuests, date, time) => {
-  // In production: Query Firebase/database for real availability
-  const availableTables = RESTAURANT_TABLES.tables.filter(
-    table => table.seats >= numGuests && table.available
-  );
-  
   return {
-    available: availableTables.length > 0,
-    tables: availableTables,
+    available: availability.available,
+    tables: availability.tables,
+    combinations: availability.combinations,
+    preferences: preferences,
+    preferenceMatch: preferenceMatch,
     date: date,
     time: time,
-    message: availableTables.length > 0 
-      ? `✅ We have ${availableTables.length} table(s) available for ${numGuests} guest(s) on ${date} at ${time}`
-      : `❌ Unfortunately, we don't have availability for ${numGuests} guest(s) on ${date} at ${time}. Would you like to try another time?`
+    reasonCode: availability.reasonCode,
+    deposit: deposit,
+    alternatives: availability.available ? null : await findAlternativeSlots(numGuests, date, time, {}, locationId),
+    message: availability.available
+      ? `✅ We have ${optionCount} table option(s) available for ${numGuests} guest(s) on ${date} at ${time}.${preferenceNote}${depositNote}`
+      : `❌ Unfortunately, we don't have availability for ${numGuests} guest(s) on ${date} at ${time}. ${availability.reason || "Would you like to try another time?"}`
   };
 };
 
-const RESTAURANT_CONTEXT = `
-You are a friendly, professional restaurant front-desk assistant for NOIR, an upscale fine dining restaurant.
+/**
+ * Build the assistant's system prompt for a location (its name, hours and address)
+ */
+const buildRestaurantContext = (location) => `
+You are a friendly, professional restaurant front-desk assistant for ${location.name}, an upscale fine dining restaurant.
 
-Your primary responsibility is to represent NOIR with elegance and professionalism while assisting guests with:
+Your primary responsibility is to represent ${location.name} with elegance and professionalism while assisting guests with:
 - Booking table reservations
 - Checking table availability
 - Managing existing reservations
 - Handling complaints politely and responsibly
 - Answering general restaurant inquiries
 
-🍽️ NOIR Restaurant Details:
-- Cuisine: Fine Dining (Contemporary French)
-- Hours: 11:00 AM – 11:00 PM
-- Closed: Mondays
-- Location: Downtown District
-- Specialty: Contemporary French cuisine with modern twists
+🍽️ ${location.name} Restaurant Details:
+- Cuisine: ${location.cuisine}
+- Hours (special closures and holiday hours may apply):
+${describeWeeklyHours(getOperatingHours(location))}
+- Location: ${location.address}
+- Phone: ${location.phone}
+- Specialties: ${location.specialties.join(", ")}
 - Atmosphere: Upscale, elegant, ideal for special occasions
+- Deposits: ${describeDepositPolicy()}
+- Table times (how long the table is reserved): ${describeTurnTimes()}
 
 ────────────────────────
 CONVERSATION GUIDELINES
@@ -79,6 +109,8 @@ When a guest wants to make a reservation, follow this process strictly:
    - Number of guests (seats)
    - Reservation date
    - Reservation time
+   - Seating preference (optional): ask whether they'd like a particular area (e.g. window, patio, bar,
+     private room), need a wheelchair-accessible table, or need a high chair
 
 2. If any information is missing, ask ONLY for what is missing.
 3. Never assume or guess any booking detail.
@@ -94,6 +126,8 @@ AVAILABILITY RULES
 
 • If tables ARE available:
   - Clearly confirm availability
+  - If the guest asked for a seating preference, say whether it can be met (the availability check reports this);
+    never promise a particular table or area it didn't confirm
   - Repeat the booking details
   - Ask the guest to confirm the reservation
   - Once confirmed, provide a clear booking confirmation including:
@@ -104,7 +138,8 @@ AVAILABILITY RULES
 • If tables are NOT available:
   - Apologize politely
   - Inform the guest the requested slot is unavailable
-  - Suggest alternative times or dates (e.g. 7:30 PM or 8:15 PM)
+  - Suggest only the alternative times or dates returned by the availability check (same-day times first, then the same time on other days)
+  - Never invent alternative times
   - Wait for the guest’s response before proceeding
 
 ────────────────────────
@@ -113,7 +148,7 @@ FINAL CONFIRMATION
 
 Before ending the conversation:
 - Clearly restate the final reservation details
-- Thank the guest for choosing NOIR
+- Thank the guest for choosing ${location.name}
 - End the conversation politely
 
 ────────────────────────
@@ -148,7 +183,7 @@ TONE & STYLE
 - Warm, polite, and professional
 - Simple, easy-to-understand language
 - Short and clear responses
-- Consistent with NOIR’s upscale brand voice
+- Consistent with ${location.name}’s upscale brand voice
 
 ────────────────────────
 STRICT RULES (MANDATORY)
@@ -159,7 +194,7 @@ You are NOT allowed to:
 - Provide false or assumed availability
 - Ask unnecessary or repetitive questions
 - Make up menu items, services, or policies
-- Confirm reservations outside operating hours or on Mondays
+- Confirm reservations outside operating hours or on closed days
 `;
 
 
@@ -167,9 +202,11 @@ You are NOT allowed to:
  * Generate a response using OpenAI GPT-4
  * @param {string} userMessage - User's message
  * @param {array} conversationHistory - Previous messages for context
+ * @param {string} guestContext - Known preferences of a returning guest (optional)
+ * @param {object} location - Location the assistant is booking for
  * @returns {Promise<string>} - AI response
  */
-export const generateAIResponse = async (userMessage, conversationHistory = []) => {
+export const generateAIResponse = async (userMessage, conversationHistory = [], guestContext = null, location) => {
   try {
     if (!OPENROUTER_API_KEY) {
       logger.error("❌ OPENROUTER_API_KEY is not configured");
@@ -183,8 +220,11 @@ export const generateAIResponse = async (userMessage, conversationHistory = [])
     const messages = [
       {
         role: "system",
-        content: RESTAURANT_CONTEXT
+        content: buildRestaurantContext(location)
       },
+      // Lets the assistant resolve "tonight" or "next Friday" to a restaurant-local date
+      { role: "system", content: describeRestaurantNow(getLocationTimeZone(location)) },
+      ...(guestContext ? [{ role: "system", content: guestContext }] : []),
       ...conversationHistory.map(msg => ({
         role: msg.type === 'user' ? 'user' : 'assistant',
         content: msg.text
@@ -261,7 +301,7 @@ export const generateAIResponse = async (userMessage, conversationHistory = [])
  */
 export const chatWithAI = async (req, res) => {
   try {
-    const { message, conversationHistory = [] } = req.body;
+    const { message, conversationHistory = [], manageToken } = req.body;
     const userIP = req.userIP; // From middleware
 
     if (!message || typeof message !== 'string') {
@@ -273,14 +313,22 @@ export const chatWithAI = async (req, res) => {
 
     logger.log(`💬 [${userIP}] Processing chat message:`, message.substring(0, 50) + "...");
 
+    // Greet returning guests with their known preferences
+    const guest = await findGuestByManageToken(manageToken);
+    if (guest) {
+      logger.log(`👤 [${userIP}] Chatting with returning guest ${guest.id}`);
+    }
+
     // Generate response using OpenRouter
-    const aiResponse = await generateAIResponse(message, conversationHistory);
+    const aiResponse = await generateAIResponse(message, conversationHistory, guest ? describeGuestForAgent(guest) : null, req.location);
 
     logger.log(`✅ [${userIP}] Response generated`);
 
     res.status(200).json({
       success: true,
       message: aiResponse,
+      returningGuest: guest ? { name: guest.name, visits: guest.stats.visits } : null,
+      locationId: req.location.id,
       sessionId: userIP, // Return IP as session identifier
       timestamp: new Date().toISOString()
     });
@@ -299,18 +347,43 @@ export const chatWithAI = async (req, res) => {
  */
 export const checkAvailability = async (req, res) => {
   try {
-    const { numGuests, date, time } = req.body;
+    const { date, time } = req.body;
 
-    if (!numGuests || !date || !time) {
+    if (!req.body.numGuests || !date || !time) {
       return res.status(400).json({
         success: false,
         error: "numGuests, date, and time are required"
       });
     }
 
-    logger.log("📅 [Availability Check] Checking tables for:", { numGuests, date, time });
+    const numGuests = parsePartySize(req.body.numGuests);
+    if (numGuests === null) {
+      return res.status(400).json({
+        success: false,
+        error: `Party size must be a whole number between ${PARTY_SIZE.min} and ${PARTY_SIZE.max} guests`
+      });
+    }
+
+    const dateTimeError = validateDateTime(date, time);
+    if (dateTimeError) {
+      return res.status(400).json({
+        success: false,
+        error: dateTimeError
+      });
+    }
+
+    const preferenceError = validateSeatingPreferences(req.body);
+    if (preferenceError) {
+      return res.status(400).json({
+        success: false,
+        error: preferenceError
+      });
+    }
+    const preferences = normalizeSeatingPreferences(req.body);
+
+    logger.log("📅 [Availability Check] Checking tables for:", { locationId: req.location.id, numGuests, date, time, preferences });
 
-    const availability = checkTableAvailability(numGuests, date, time);
+    const availability = await checkTableAvailability(numGuests, date, time, preferences, req.location.id);
 
     logger.log("📅 [Availability Check] Result:", availability.message);
 
@@ -318,7 +391,10 @@ export const checkAvailability = async (req, res) => {
       success: true,
       available: availability.available,
       message: availability.message,
-      availableTables: availability.tables.length,
+      availableTables: availability.tables.length + availability.combinations.length,
+      preferenceMatch: availability.preferenceMatch,
+      deposit: availability.deposit,
+      alternatives: availability.alternatives,
       details: availability
     });
 
@@ -332,59 +408,16 @@ export const checkAvailability = async (req, res) => {
 };
 
 /**
- * Create a reservation
+ * Create a reservation for a guest the assistant has collected details from
+ * Goes through the booking API's createReservation, so the table is allocated under the lock,
+ * the booking is stored (pending_payment when a deposit applies) and the guest is emailed
+ * The chat widget reads the stored reservation as booking
  */
 export const createReservation = async (req, res) => {
-  try {
-    const { customerName, numGuests, date, time, email, phone } = req.body;
+  const json = res.json.bind(res);
+  res.json = (body) => json(body?.reservation ? { ...body, booking: body.reservation } : body);
 
-    if (!customerName || !numGuests || !date || !time) {
-      return res.status(400).json({
-        success: false,
-        error: "customerName, numGuests, date, and time are required"
-      });
-    }
-
-    // Check availability first
-    const availability = checkTableAvailability(numGuests, date, time);
-
-    if (!availability.available) {
-      return res.status(400).json({
-        success: false,
-        error: "No tables available for the requested date and time",
-        suggested: "Please try different time slots"
-      });
-    }
-
-    // Create booking (in production, save to Firebase)
-    const reservationId = `RES-${Date.now()}`;
-    const booking = {
-      id: reservationId,
-      customerName,
-      numGuests,
-      date,
-      time,
-      email,
-      phone,
-      status: "confirmed",
-      createdAt: new Date().toISOString()
-    };
-
-    logger.log("✅ [Reservation] Booking confirmed:", booking);
-
-    res.status(201).json({
-      success: true,
-      message: `Reservation confirmed! Booking ID: ${reservationId}`,
-      booking: booking
-    });
-
-  } catch (error) {
-    logger.error("❌ Reservation error:", error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message || "Failed to create reservation"
-    });
-  }
+  return createBookingReservation(req, res);
 };
 
 /**
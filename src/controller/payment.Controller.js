@@ -1,25 +1,17 @@
 import { logger } from "../utils/logger.js";
-import { sendPaymentConfirmation } from "./email.Controller.js";
+import { sendPaymentConfirmation, notifyCancellation } from "./email.Controller.js";
+import { offerFreedCapacity } from "./waitlist.Controller.js";
+import repository from "../repository/index.js";
+import { RESTAURANT_TABLES } from "../config/restaurant.js";
+import { withLock, tableLockKey, LOCK_TIMEOUT } from "../utils/locks.js";
+import { isDepositOverdue, expireUnpaidDeposits, getVerificationDeadline } from "../utils/deposits.js";
+import { RESERVATION_STATUSES, applyTransition } from "../utils/reservationStatus.js";
+import { getLocationId, getLocationFor } from "../utils/locations.js";
+import { authorizeReservationAccess } from "../utils/reservationAccess.js";
 
 // ==================== MOCK PAYMENT PROCESSOR ====================
 // In production: Stripe, Razorpay, PayPal, Square integration
-
-const PAYMENT_CONFIG = {
-  bankTransfer: {
-    accountName: "NOIR Fine Dining Restaurant",
-    accountNumber: "1234567890",
-    routingNumber: "021000021",
-    bankName: "International Bank",
-    swift: "IBUSUSBB"
-  },
-  cashApp: {
-    tag: "$noir-restaurant",
-    displayName: "NOIR Restaurant"
-  }
-};
-
-// Store all payments (in production: use database)
-const PAYMENTS = new Map(); // { paymentId: { details } }
+// Bank and CashApp details are per location (location.payment) - each venue is paid into its own account
 
 // ==================== UTILITY FUNCTIONS ====================
 
@@ -101,13 +93,13 @@ const processCardPayment = async (cardDetails, amount) => {
 };
 
 /**
- * Get bank transfer details
+ * Get a location's bank transfer details
  */
-const getBankTransferDetails = () => {
+const getBankTransferDetails = (location) => {
   return {
     success: true,
     method: "Bank Transfer",
-    details: PAYMENT_CONFIG.bankTransfer,
+    details: location.payment.bankTransfer,
     instructions: [
       "1. Transfer the amount to the bank account details provided",
       "2. Use your reservation ID as the reference/memo",
@@ -118,15 +110,15 @@ const getBankTransferDetails = () => {
 };
 
 /**
- * Get CashApp details
+ * Get a location's CashApp details
  */
-const getCashAppDetails = () => {
+const getCashAppDetails = (location) => {
   return {
     success: true,
     method: "CashApp",
-    details: PAYMENT_CONFIG.cashApp,
+    details: location.payment.cashApp,
     instructions: [
-      `1. Open CashApp and search for ${PAYMENT_CONFIG.cashApp.tag}`,
+      `1. Open CashApp and search for ${location.payment.cashApp.tag}`,
       "2. Send the payment amount",
       "3. Include your reservation ID in the message",
       "4. Payment confirmation will be instant"
@@ -134,10 +126,127 @@ const getCashAppDetails = () => {
   };
 };
 
+/**
+ * Record a late-cancellation fee as a pending payment against the reservation
+ * Called by the booking controller when a reservation is cancelled inside the free window
+ * @returns {Promise<object>} - Stored payment record
+ */
+export const recordCancellationFee = async (reservation, cancellation, userIP) => {
+  const payment = {
+    id: generatePaymentId(),
+    reservationId: reservation.id,
+    locationId: getLocationId(reservation),
+    type: "late_cancellation_fee",
+    method: null,
+    amount: cancellation.fee,
+    currency: cancellation.currency,
+    status: "pending",
+    notes: `${reservation.numGuests} guest(s) x $${cancellation.lateFeePerGuest} (${cancellation.policy} policy, cancelled ${cancellation.hoursBefore}h before)`,
+    userIP: userIP,
+    createdAt: new Date().toISOString()
+  };
+
+  await repository.payments.save(payment);
+  logger.log(`💸 Late-cancellation fee recorded: ${payment.id} ($${payment.amount}) for ${reservation.id}`);
+
+  return payment;
+};
+
+/**
+ * Work out what a reservation owes: an unpaid deposit, or a pending late-cancellation fee
+ * Amounts always come from the reservation, never from the client
+ * @returns {Promise<object|null>} - { purpose, amount, currency, paymentId? }, or null if nothing is due
+ */
+const getAmountDue = async (reservation) => {
+  if (reservation.status === RESERVATION_STATUSES.PENDING_PAYMENT && reservation.deposit?.status === "unpaid") {
+    return { purpose: "deposit", amount: reservation.deposit.amount, currency: reservation.deposit.currency };
+  }
+
+  const [fee] = await repository.payments.find({
+    reservationId: reservation.id,
+    type: "late_cancellation_fee",
+    status: "pending"
+  });
+  if (fee) {
+    return { purpose: "late_cancellation_fee", amount: fee.amount, currency: fee.currency, paymentId: fee.id };
+  }
+
+  return null;
+};
+
+/**
+ * Check a reservation can be paid for right now
+ * Expired deposit holds are released here so the guest isn't charged for a table they no longer have
+ * @returns {Promise<object>} - { due } or { status, body, released? (cancelled reservations) } to send back
+ */
+const checkPayable = async (reservation) => {
+  if (isDepositOverdue(reservation)) {
+    const released = await expireUnpaidDeposits(reservation.date, getLocationId(reservation));
+    return {
+      status: 409,
+      released: released,
+      body: {
+        success: false,
+        error: "The deposit payment window has closed and the table was released. Please make a new booking.",
+        dueBy: reservation.deposit.dueBy
+      }
+    };
+  }
+
+  const due = await getAmountDue(reservation);
+  if (!due) {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: "No payment is due for this reservation",
+        status: reservation.status
+      }
+    };
+  }
+
+  return { due };
+};
+
+/**
+ * Tell guests whose deposit holds checkPayable released, then offer the tables to the waitlist
+ * Runs after the table lock is let go
+ */
+const announceReleasedHolds = async (released) => {
+  for (const reservation of released) {
+    await notifyCancellation(reservation);
+  }
+  if (released.length > 0) {
+    await offerFreedCapacity(released[0].date, getLocationId(released[0]));
+  }
+};
+
+/**
+ * Apply a payment to what it was for: confirm a deposit-held reservation, or settle the fee
+ * @param {object} payment - Stored payment record
+ */
+const applyPaymentToReservation = async (reservation, due, payment) => {
+  if (due.purpose !== "deposit") return;
+
+  reservation.deposit.paymentId = payment.id;
+  if (payment.status === "completed") {
+    reservation.deposit.status = "paid";
+    reservation.deposit.paidAt = payment.paidAt;
+    applyTransition(reservation, RESERVATION_STATUSES.CONFIRMED, { by: "system", note: `Deposit paid (${payment.id})` });
+  } else {
+    // Offline payments keep the hold until staff confirm the reservation - or the verification window closes
+    reservation.deposit.status = "pending_verification";
+    reservation.deposit.verifyBy = getVerificationDeadline();
+    reservation.updatedAt = new Date().toISOString();
+  }
+  await repository.reservations.save(reservation);
+};
+
 // ==================== PAYMENT CONTROLLERS ====================
 
 /**
- * Process card payment
+ * Process card payment for a reservation's deposit or late-cancellation fee
+ * The amount is checked against what the reservation owes
  * POST /api/payment/process-card
  */
 export const processCardPaymentHandler = async (req, res) => {
@@ -157,76 +266,122 @@ export const processCardPaymentHandler = async (req, res) => {
       `💳 [${userIP}] Card payment attempt for reservation ${reservationId}`
     );
 
-    // Process payment
-    const paymentResult = await processCardPayment(cardDetails, amount);
+    const reservation = await repository.reservations.get(reservationId);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        error: "Reservation not found",
+        reservationId: reservationId
+      });
+    }
+
+    // Check, charge and record under the date's table lock so a deposit hold
+    // can't expire (and its table be rebooked) halfway through the payment
+    const outcome = await withLock(tableLockKey(reservation.date, getLocationId(reservation)), async () => {
+      const current = await repository.reservations.get(reservationId);
+
+      const payable = await checkPayable(current);
+      if (!payable.due) return payable;
+      const due = payable.due;
+
+      if (Number(amount) !== due.amount || currency !== due.currency) {
+        return {
+          status: 400,
+          body: {
+            success: false,
+            error: `Amount does not match the ${due.purpose === "deposit" ? "deposit" : "cancellation fee"} due`,
+            amountDue: due.amount,
+            currency: due.currency,
+            purpose: due.purpose
+          }
+        };
+      }
 
-    if (paymentResult.success) {
-      const paymentId = generatePaymentId();
+      // Process payment
+      const paymentResult = await processCardPayment(cardDetails, due.amount);
+
+      if (!paymentResult.success) {
+        logger.warn(`❌ [${userIP}] Card payment failed: ${paymentResult.error}`);
+        return {
+          status: 402,
+          body: {
+            success: false,
+            error: paymentResult.error,
+            status: "failed"
+          }
+        };
+      }
 
-      // Store payment record
-      PAYMENTS.set(paymentId, {
-        id: paymentId,
+      // Store payment record (a late fee settles the pending fee record)
+      const existing = due.paymentId ? await repository.payments.get(due.paymentId) : null;
+      const payment = {
+        ...(existing || {}),
+        id: existing ? existing.id : generatePaymentId(),
         reservationId: reservationId,
+        locationId: getLocationId(current),
+        type: due.purpose,
         method: "card",
-        amount: amount,
-        currency: currency,
+        amount: due.amount,
+        currency: due.currency,
         status: "completed",
         maskedCard: paymentResult.maskedCard,
         transactionId: paymentResult.transactionId,
         userIP: userIP,
-        createdAt: new Date().toISOString()
-      });
+        createdAt: existing ? existing.createdAt : new Date().toISOString(),
+        paidAt: new Date().toISOString()
+      };
+      await repository.payments.save(payment);
+      await applyPaymentToReservation(current, due, payment);
 
-      logger.log(`✅ [${userIP}] Card payment successful: ${paymentId}`);
-
-      // Send payment confirmation email if email provided
-      if (email) {
-        logger.log(`📧 Sending payment confirmation to ${email}`);
-        
-        // Create a mock reservation object for email (in production, fetch from database)
-        const reservationForEmail = {
-          id: reservationId,
-          email: email,
-          customerName: "Guest",
-          tableId: "TBD",
-          tableLocation: "TBD",
-          date: new Date().toISOString(),
-          time: "TBD",
-          numGuests: 0,
-          status: "confirmed",
-          createdAt: new Date().toISOString()
-        };
+      return { payment: payment, paymentResult: paymentResult, reservation: current };
+    });
 
-        const paymentInfo = {
-          method: "card",
-          amount: amount,
-          transactionId: paymentResult.transactionId,
-          status: "completed"
-        };
+    if (!outcome.payment) {
+      if (outcome.released) await announceReleasedHolds(outcome.released);
+      return res.status(outcome.status).json(outcome.body);
+    }
 
-        await sendPaymentConfirmation(reservationForEmail, paymentInfo);
-      }
+    const { payment, paymentResult } = outcome;
+
+    logger.log(`✅ [${userIP}] Card payment successful: ${payment.id} (${payment.type})`);
 
-      return res.status(201).json({
-        success: true,
-        message: "Payment processed successfully" + (email ? " - Confirmation email sent" : ""),
-        paymentId: paymentId,
+    // Send payment confirmation email
+    const recipient = email || outcome.reservation.email;
+    if (recipient) {
+      logger.log(`📧 Sending payment confirmation to ${recipient}`);
+
+      const paymentInfo = {
+        method: "card",
+        amount: payment.amount,
         transactionId: paymentResult.transactionId,
-        amount: amount,
-        currency: currency,
-        maskedCard: paymentResult.maskedCard,
         status: "completed"
-      });
-    } else {
-      logger.warn(`❌ [${userIP}] Card payment failed: ${paymentResult.error}`);
+      };
+
+      await sendPaymentConfirmation({ ...outcome.reservation, email: recipient }, paymentInfo);
+    }
 
-      return res.status(402).json({
+    return res.status(201).json({
+      success: true,
+      message: "Payment processed successfully" +
+        (payment.type === "deposit" ? " - Your reservation is confirmed" : "") +
+        (recipient ? " - Confirmation email sent" : ""),
+      paymentId: payment.id,
+      transactionId: paymentResult.transactionId,
+      purpose: payment.type,
+      amount: payment.amount,
+      currency: payment.currency,
+      maskedCard: paymentResult.maskedCard,
+      status: "completed",
+      reservationStatus: outcome.reservation.status
+    });
+  } catch (error) {
+    if (error.code === LOCK_TIMEOUT) {
+      return res.status(409).json({
         success: false,
-        error: paymentResult.error,
-        status: "failed"
+        error: "The reservation is being updated. Please try again."
       });
     }
-  } catch (error) {
     logger.error("❌ Card payment error:", error.message);
     res.status(500).json({
       success: false,
@@ -236,7 +391,7 @@ export const processCardPaymentHandler = async (req, res) => {
 };
 
 /**
- * Get bank transfer details
+ * Get bank transfer details for the reservation's location
  * GET /api/payment/bank-transfer/:reservationId
  */
 export const getBankTransferHandler = async (req, res) => {
@@ -246,7 +401,24 @@ export const getBankTransferHandler = async (req, res) => {
 
     logger.log(`🏦 [${userIP}] Requesting bank transfer details for ${reservationId}`);
 
-    const details = getBankTransferDetails();
+    const reservation = await repository.reservations.get(reservationId);
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        error: "Reservation not found",
+        reservationId: reservationId
+      });
+    }
+
+    const location = await getLocationFor(reservation);
+    if (!location.payment.bankTransfer) {
+      return res.status(400).json({
+        success: false,
+        error: `Bank transfer is not available at ${location.name}`
+      });
+    }
+
+    const details = getBankTransferDetails(location);
 
     res.status(200).json({
       success: true,
@@ -264,7 +436,7 @@ export const getBankTransferHandler = async (req, res) => {
 };
 
 /**
- * Get CashApp details
+ * Get CashApp details for the reservation's location
  * GET /api/payment/cashapp/:reservationId
  */
 export const getCashAppHandler = async (req, res) => {
@@ -274,7 +446,24 @@ export const getCashAppHandler = async (req, res) => {
 
     logger.log(`💰 [${userIP}] Requesting CashApp details for ${reservationId}`);
 
-    const details = getCashAppDetails();
+    const reservation = await repository.reservations.get(reservationId);
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        error: "Reservation not found",
+        reservationId: reservationId
+      });
+    }
+
+    const location = await getLocationFor(reservation);
+    if (!location.payment.cashApp) {
+      return res.status(400).json({
+        success: false,
+        error: `CashApp is not available at ${location.name}`
+      });
+    }
+
+    const details = getCashAppDetails(location);
 
     res.status(200).json({
       success: true,
@@ -292,7 +481,8 @@ export const getCashAppHandler = async (req, res) => {
 };
 
 /**
- * Confirm offline payment (Bank Transfer / CashApp)
+ * Confirm offline payment (Bank Transfer / CashApp) for a reservation's deposit or late-cancellation fee
+ * The amount recorded is what the reservation owes
  * POST /api/payment/confirm-offline
  */
 export const confirmOfflinePaymentHandler = async (req, res) => {
@@ -319,31 +509,77 @@ export const confirmOfflinePaymentHandler = async (req, res) => {
       `📝 [${userIP}] Confirming ${method} payment for ${reservationId}`
     );
 
-    const paymentId = generatePaymentId();
+    // Only the guest can claim an offline payment - it keeps the table held while staff verify it
+    const access = await authorizeReservationAccess(req, reservationId);
+    if (access.error) {
+      return res.status(access.status).json({
+        success: false,
+        error: access.error,
+        reservationId: reservationId
+      });
+    }
+    const reservation = access.reservation;
 
-    // Store payment record
-    PAYMENTS.set(paymentId, {
-      id: paymentId,
-      reservationId: reservationId,
-      method: method,
-      status: "pending_verification",
-      notes: notes || "",
-      userIP: userIP,
-      createdAt: new Date().toISOString(),
-      verifiedAt: null
+    // Same lock as card payments - the hold must still be live when the payment is recorded
+    const outcome = await withLock(tableLockKey(reservation.date, getLocationId(reservation)), async () => {
+      const current = await repository.reservations.get(reservationId);
+
+      const payable = await checkPayable(current);
+      if (!payable.due) return payable;
+      const due = payable.due;
+
+      // Store payment record (a late fee updates the pending fee record)
+      const existing = due.paymentId ? await repository.payments.get(due.paymentId) : null;
+      const payment = {
+        ...(existing || {}),
+        id: existing ? existing.id : generatePaymentId(),
+        reservationId: reservationId,
+        locationId: getLocationId(current),
+        type: due.purpose,
+        method: method,
+        amount: due.amount,
+        currency: due.currency,
+        status: "pending_verification",
+        notes: notes || existing?.notes || "",
+        userIP: userIP,
+        createdAt: existing ? existing.createdAt : new Date().toISOString(),
+        verifiedAt: null
+      };
+      await repository.payments.save(payment);
+      await applyPaymentToReservation(current, due, payment);
+
+      return { payment: payment, reservation: current };
     });
 
-    logger.log(`✅ [${userIP}] Offline payment recorded: ${paymentId}`);
+    if (!outcome.payment) {
+      if (outcome.released) await announceReleasedHolds(outcome.released);
+      return res.status(outcome.status).json(outcome.body);
+    }
+
+    const { payment } = outcome;
+
+    logger.log(`✅ [${userIP}] Offline payment recorded: ${payment.id} (${payment.type})`);
 
     res.status(201).json({
       success: true,
-      message: `${method === "bank_transfer" ? "Bank transfer" : "CashApp"} payment recorded. We'll verify and confirm your reservation within 24 hours.`,
-      paymentId: paymentId,
+      message: `${method === "bank_transfer" ? "Bank transfer" : "CashApp"} payment recorded. We'll verify and confirm your reservation within ${RESTAURANT_TABLES.depositPolicy.verificationWindowHours} hours.`,
+      paymentId: payment.id,
       reservationId: reservationId,
       method: method,
-      status: "pending_verification"
+      purpose: payment.type,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: "pending_verification",
+      // Deposit holds are released if staff haven't verified the payment by then
+      verifyBy: payment.type === "deposit" ? outcome.reservation.deposit.verifyBy : null
     });
   } catch (error) {
+    if (error.code === LOCK_TIMEOUT) {
+      return res.status(409).json({
+        success: false,
+        error: "The reservation is being updated. Please try again."
+      });
+    }
     logger.error("❌ Offline payment error:", error.message);
     res.status(500).json({
       success: false,
@@ -363,7 +599,7 @@ export const getPaymentStatusHandler = async (req, res) => {
 
     logger.log(`🔍 [${userIP}] Checking payment status: ${paymentId}`);
 
-    const payment = PAYMENTS.get(paymentId);
+    const payment = await repository.payments.get(paymentId);
 
     if (!payment) {
       return res.status(404).json({
@@ -373,12 +609,13 @@ export const getPaymentStatusHandler = async (req, res) => {
       });
     }
 
-    // Verify ownership by IP
-    if (payment.userIP !== userIP) {
+    // Same access as the reservation it pays for: manage token, or confirmation code plus email/phone
+    const access = await authorizeReservationAccess(req, payment.reservationId);
+    if (access.error) {
       logger.warn(`⚠️  [${userIP}] Unauthorized access to payment ${paymentId}`);
-      return res.status(403).json({
+      return res.status(access.status).json({
         success: false,
-        error: "Unauthorized: Cannot access this payment"
+        error: access.error
       });
     }
 
@@ -396,13 +633,16 @@ export const getPaymentStatusHandler = async (req, res) => {
 };
 
 /**
- * Get payment methods info
- * GET /api/payment/methods
+ * Get payment methods info for a location (only methods the location has set up)
+ * GET /api/payment/methods?locationId=ID
  */
 export const getPaymentMethodsHandler = async (req, res) => {
   try {
+    const { bankTransfer, cashApp } = req.location.payment;
+
     res.status(200).json({
       success: true,
+      locationId: req.location.id,
       paymentMethods: [
         {
           id: "card",
@@ -411,24 +651,24 @@ export const getPaymentMethodsHandler = async (req, res) => {
           description: "Process payment immediately with your card",
           instantPayment: true
         },
-        {
+        ...(cashApp ? [{
           id: "cashapp",
           name: "CashApp",
           icon: "💰",
-          description: `Send to ${PAYMENT_CONFIG.cashApp.tag}`,
+          description: `Send to ${cashApp.tag}`,
           instantPayment: true
-        },
-        {
+        }] : []),
+        ...(bankTransfer ? [{
           id: "bank_transfer",
           name: "Bank Transfer",
           icon: "🏦",
           description: "Transfer to our bank account",
           instantPayment: false,
           estimatedTime: "1-3 business days"
-        }
+        }] : [])
       ],
-      bankDetails: PAYMENT_CONFIG.bankTransfer,
-      cashAppTag: PAYMENT_CONFIG.cashApp.tag
+      bankDetails: bankTransfer,
+      cashAppTag: cashApp?.tag || null
     });
   } catch (error) {
     logger.error("❌ Get payment methods error:", error.message);
@@ -0,0 +1,250 @@
+import { logger } from "../utils/logger.js";
+import repository from "../repository/index.js";
+import { isValidDate } from "../utils/timezone.js";
+import { normalizeEmail, normalizePhone, toList } from "../utils/guests.js";
+import { RESERVATION_STATUSES } from "../utils/reservationStatus.js";
+import { getLocation, getLocations, isAtLocation, DEFAULT_LOCATION_ID } from "../utils/locations.js";
+
+// Staff reservation search - for finding a booking from what a guest remembers over the phone
+// ("under Smith, sometime next week"). Every filter is optional and they combine with AND.
+// Results are paged with an opaque cursor: pass nextCursor back, with the same filters and sort,
+// to get the following page. Cursors point after the last result rather than at an offset,
+// so bookings made between requests don't shift or repeat rows.
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Sort key for each sortable field - ties are broken by reservation ID so the order is total
+const SORT_KEYS = {
+  date: (reservation) => `${reservation.date} ${reservation.time}`,
+  createdAt: (reservation) => reservation.createdAt || "",
+  customerName: (reservation) => (reservation.customerName || "").toLowerCase(),
+  numGuests: (reservation) => Number(reservation.numGuests)
+};
+
+const SORT_ORDERS = ["asc", "desc"];
+
+// ==================== UTILITY FUNCTIONS ====================
+
+/**
+ * Parse a whole number query parameter (null when absent, NaN when invalid)
+ */
+const parseInteger = (value) => {
+  if (value === undefined || value === "") return null;
+  return /^\d+$/.test(String(value)) ? parseInt(value) : NaN;
+};
+
+/**
+ * Read and validate the search filters from a query string
+ * @returns {object} - { filters } or { error }
+ */
+const parseFilters = (query) => {
+  const filters = {
+    name: query.name ? String(query.name).trim().toLowerCase() : null,
+    email: normalizeEmail(query.email),
+    phone: null,
+    confirmationCode: query.confirmationCode ? String(query.confirmationCode).trim().toUpperCase() : null,
+    from: query.from || null,
+    to: query.to || null,
+    statuses: toList(query.status),
+    tableId: parseInteger(query.tableId),
+    numGuests: parseInteger(query.numGuests),
+    minGuests: parseInteger(query.minGuests),
+    maxGuests: parseInteger(query.maxGuests),
+    locationId: query.locationId || null
+  };
+
+  if (query.phone) {
+    filters.phone = normalizePhone(query.phone);
+    if (!filters.phone) return { error: "phone must contain digits" };
+  }
+
+  for (const field of ["from", "to"]) {
+    if (filters[field] && !isValidDate(filters[field])) {
+      return { error: `${field} must be a date (YYYY-MM-DD)` };
+    }
+  }
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { error: "from must be on or before to" };
+  }
+
+  const unknownStatus = filters.statuses.find(status => !Object.values(RESERVATION_STATUSES).includes(status));
+  if (unknownStatus) {
+    return { error: `Unknown status "${unknownStatus}" - use ${Object.values(RESERVATION_STATUSES).join(", ")}` };
+  }
+
+  for (const field of ["tableId", "numGuests", "minGuests", "maxGuests"]) {
+    if (Number.isNaN(filters[field])) return { error: `${field} must be a whole number` };
+  }
+  if (filters.minGuests !== null && filters.maxGuests !== null && filters.minGuests > filters.maxGuests) {
+    return { error: "minGuests must not be more than maxGuests" };
+  }
+
+  return { filters: filters };
+};
+
+/**
+ * Check whether a reservation matches every filter given
+ */
+const matchesFilters = (reservation, filters) => {
+  if (filters.name && !(reservation.customerName || "").toLowerCase().includes(filters.name)) return false;
+  if (filters.email && !(normalizeEmail(reservation.email) || "").includes(filters.email)) return false;
+  // Partial numbers match too, e.g. the last four digits
+  if (filters.phone && !(normalizePhone(reservation.phone) || "").includes(filters.phone)) return false;
+  if (filters.confirmationCode && reservation.confirmationCode !== filters.confirmationCode) return false;
+  if (filters.from && reservation.date < filters.from) return false;
+  if (filters.to && reservation.date > filters.to) return false;
+  if (filters.statuses.length > 0 && !filters.statuses.includes(reservation.status)) return false;
+  if (filters.tableId !== null && !(reservation.tableIds || [reservation.tableId]).includes(filters.tableId)) return false;
+  // Older records may hold the party size as a string
+  const numGuests = Number(reservation.numGuests);
+  if (filters.numGuests !== null && numGuests !== filters.numGuests) return false;
+  if (filters.minGuests !== null && numGuests < filters.minGuests) return false;
+  if (filters.maxGuests !== null && numGuests > filters.maxGuests) return false;
+  if (filters.locationId && !isAtLocation(reservation, filters.locationId)) return false;
+  return true;
+};
+
+/**
+ * Compare two sort positions ({ key, id }) in ascending order
+ */
+const comparePositions = (a, b) => {
+  if (a.key < b.key) return -1;
+  if (a.key > b.key) return 1;
+  return a.id.localeCompare(b.id);
+};
+
+/**
+ * Encode the position after a result as a cursor
+ */
+const encodeCursor = (sort, order, position) => {
+  return Buffer.from(JSON.stringify({ sort: sort, order: order, key: position.key, id: position.id })).toString("base64url");
+};
+
+/**
+ * Decode a cursor, checking it was issued for the same sort
+ * @returns {object|null} - { key, id }, or null if the cursor is invalid
+ */
+const decodeCursor = (cursor, sort, order) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (decoded.sort !== sort || decoded.order !== order || typeof decoded.id !== "string") return null;
+    return { key: decoded.key, id: decoded.id };
+  } catch {
+    return null;
+  }
+};
+
+// ==================== SEARCH CONTROLLERS ====================
+
+/**
+ * Search reservations by guest, date range, status, table and party size (staff only)
+ * GET /api/booking/reservations/search?name=&email=&phone=&confirmationCode=&from=&to=&status=
+ *     &tableId=&numGuests=&minGuests=&maxGuests=&locationId=&sort=&order=&limit=&cursor=
+ */
+export const searchReservations = async (req, res) => {
+  try {
+    const { sort = "date", order = "asc", cursor } = req.query;
+    const userIP = req.userIP;
+
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error,
+        example: "/api/booking/reservations/search?name=smith&from=2026-11-16&to=2026-11-22&status=confirmed,reminded"
+      });
+    }
+
+    if (!SORT_KEYS[sort]) {
+      return res.status(400).json({
+        success: false,
+        error: `sort must be one of: ${Object.keys(SORT_KEYS).join(", ")}`
+      });
+    }
+
+    if (!SORT_ORDERS.includes(order)) {
+      return res.status(400).json({
+        success: false,
+        error: `order must be one of: ${SORT_ORDERS.join(", ")}`
+      });
+    }
+
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : parseInteger(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be between 1 and ${MAX_LIMIT}`
+      });
+    }
+
+    const after = cursor ? decodeCursor(cursor, sort, order) : null;
+    if (cursor && !after) {
+      return res.status(400).json({
+        success: false,
+        error: "cursor is invalid or was issued for a different sort - start again without a cursor"
+      });
+    }
+
+    // Inactive venues still have bookings staff may need to find
+    if (filters.locationId && !(await getLocation(filters.locationId))) {
+      const locations = await getLocations({ includeInactive: true });
+      return res.status(404).json({
+        success: false,
+        error: `Unknown location "${filters.locationId}"`,
+        locations: locations.map(location => location.id)
+      });
+    }
+
+    // Filter names only - the values are guest names, emails and phone numbers
+    const used = Object.keys(req.query).filter(field => req.query[field] !== undefined && req.query[field] !== "");
+    logger.log(`🔎 [${userIP}] Reservation search by ${used.length > 0 ? used.join(", ") : "no filters"}`);
+
+    // Narrow the stored query, then apply every filter here. Firestore needs a composite index
+    // to mix a range with equality on other fields, so it gets the date range alone or, without one,
+    // the exact-match fields
+    const storedFilters = {};
+    if (filters.from || filters.to) {
+      storedFilters.date = {
+        ...(filters.from && { gte: filters.from }),
+        ...(filters.to && { lte: filters.to })
+      };
+    } else {
+      if (filters.confirmationCode) storedFilters.confirmationCode = filters.confirmationCode;
+      if (filters.statuses.length === 1) storedFilters.status = filters.statuses[0];
+      // Records without a locationId belong to the default location, so only other venues can be matched in storage
+      if (filters.locationId && filters.locationId !== DEFAULT_LOCATION_ID) storedFilters.locationId = filters.locationId;
+    }
+
+    const direction = order === "desc" ? -1 : 1;
+    const getKey = SORT_KEYS[sort];
+
+    const matches = (await repository.reservations.find(storedFilters))
+      .filter(reservation => matchesFilters(reservation, filters))
+      .map(reservation => ({ reservation: reservation, position: { key: getKey(reservation), id: reservation.id } }))
+      .sort((a, b) => direction * comparePositions(a.position, b.position));
+
+    const remaining = after
+      ? matches.filter(match => direction * comparePositions(match.position, after) > 0)
+      : matches;
+    const page = remaining.slice(0, limit);
+    const hasMore = remaining.length > limit;
+
+    res.status(200).json({
+      success: true,
+      total: matches.length,
+      count: page.length,
+      sort: sort,
+      order: order,
+      reservations: page.map(match => match.reservation),
+      nextCursor: hasMore ? encodeCursor(sort, order, page[page.length - 1].position) : null
+    });
+
+  } catch (error) {
+    logger.error("❌ Reservation search error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to search reservations"
+    });
+  }
+};
@@ -0,0 +1,224 @@
+import { logger } from "../utils/logger.js";
+import repository from "../repository/index.js";
+import { getCurrentSlot } from "../utils/availability.js";
+import { holdsTable } from "../utils/reservationStatus.js";
+import {
+  getTables,
+  getTable,
+  getTableCombinations,
+  normalizeTable,
+  validateTable,
+  syncAdjacency
+} from "../utils/tables.js";
+import { invalidateAvailabilityCache } from "../utils/availabilityCache.js";
+import { getLocationId, getLocationFor, getLocationTimeZone } from "../utils/locations.js";
+
+// Fields an admin may set on a table (id and locationId are fixed once created)
+const EDITABLE_FIELDS = ["seats", "minCovers", "maxCovers", "location", "combinableWith", "accessible", "highChair", "active"];
+
+/**
+ * Pick editable fields from a request body
+ */
+const pickTableFields = (body = {}) => {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+// ==================== TABLE CONTROLLERS ====================
+
+/**
+ * Get a location's floor plan (including inactive tables) and joinable groups
+ * GET /api/admin/tables?locationId=ID
+ */
+export const listTables = async (req, res) => {
+  try {
+    const tables = await getTables({ includeInactive: true, locationId: req.location.id });
+
+    res.status(200).json({
+      success: true,
+      locationId: req.location.id,
+      tables: tables,
+      combinations: getTableCombinations(tables).map(c => ({ tableIds: c.tableIds, seats: c.seats, location: c.location }))
+    });
+
+  } catch (error) {
+    logger.error("❌ List tables error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to list tables"
+    });
+  }
+};
+
+/**
+ * Add a table to a location's floor plan
+ * POST /api/admin/tables
+ */
+export const createTable = async (req, res) => {
+  try {
+    const userIP = req.userIP;
+    const location = req.location;
+
+    // Table IDs are unique across locations
+    const allTables = await getTables({ includeInactive: true });
+    const tables = allTables.filter(t => t.locationId === location.id);
+
+    const id = req.body.id ?? Math.max(0, ...allTables.map(t => t.id)) + 1;
+
+    if (allTables.some(t => t.id === id)) {
+      return res.status(409).json({
+        success: false,
+        error: `Table ${id} already exists`
+      });
+    }
+
+    const table = normalizeTable({ ...pickTableFields(req.body), id: id, locationId: location.id });
+
+    const validationError = validateTable(table, tables);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+        example: { seats: 4, minCovers: 2, maxCovers: 4, location: "Patio", combinableWith: [6], accessible: true, highChair: true, active: true }
+      });
+    }
+
+    await repository.tables.save(table);
+    await syncAdjacency(table, tables);
+    invalidateAvailabilityCache();
+
+    logger.log(`🪑 [${userIP}] Table ${table.id} added at ${location.name} (${table.seats} seats, ${table.location})`);
+
+    res.status(201).json({
+      success: true,
+      message: `Table ${table.id} added`,
+      table: table
+    });
+
+  } catch (error) {
+    logger.error("❌ Create table error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to create table"
+    });
+  }
+};
+
+/**
+ * Update a table (seats, covers, location, combinability, accessibility, active)
+ * PUT /api/admin/tables/:tableId
+ */
+export const updateTable = async (req, res) => {
+  try {
+    const tableId = Number(req.params.tableId);
+    const userIP = req.userIP;
+
+    const existing = await getTable(tableId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Table not found",
+        tableId: req.params.tableId
+      });
+    }
+
+    const fields = pickTableFields(req.body);
+
+    // Changing seats resets maxCovers to match unless it is set explicitly
+    if (fields.seats !== undefined && fields.maxCovers === undefined && existing.maxCovers === existing.seats) {
+      fields.maxCovers = fields.seats;
+    }
+
+    const table = normalizeTable({ ...existing, ...fields, updatedAt: new Date().toISOString() });
+
+    const tables = await getTables({ includeInactive: true, locationId: getLocationId(existing) });
+    const validationError = validateTable(table, tables);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    await repository.tables.save(table);
+    await syncAdjacency(table, tables);
+    invalidateAvailabilityCache();
+
+    logger.log(`🪑 [${userIP}] Table ${tableId} updated: ${Object.keys(fields).join(", ")}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Table ${tableId} updated`,
+      table: table
+    });
+
+  } catch (error) {
+    logger.error("❌ Update table error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to update table"
+    });
+  }
+};
+
+/**
+ * Remove a table from the floor plan
+ * Tables with upcoming bookings can only be deactivated, not removed
+ * DELETE /api/admin/tables/:tableId
+ */
+export const deleteTable = async (req, res) => {
+  try {
+    const tableId = Number(req.params.tableId);
+    const userIP = req.userIP;
+
+    const existing = await getTable(tableId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Table not found",
+        tableId: req.params.tableId
+      });
+    }
+
+    const today = getCurrentSlot(getLocationTimeZone(await getLocationFor(existing))).date;
+    const upcoming = (await repository.reservations.find()).filter(reservation =>
+      holdsTable(reservation.status) &&
+      reservation.date >= today &&
+      (reservation.tableIds || [reservation.tableId]).includes(tableId)
+    );
+
+    if (upcoming.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Table ${tableId} has ${upcoming.length} upcoming reservation(s). Set active: false to stop new bookings instead.`,
+        reservationIds: upcoming.map(r => r.id)
+      });
+    }
+
+    // Unlink from neighbours before removing
+    const tables = await getTables({ includeInactive: true, locationId: getLocationId(existing) });
+    await syncAdjacency({ ...existing, combinableWith: [] }, tables);
+    await repository.tables.delete(tableId);
+    invalidateAvailabilityCache();
+
+    logger.log(`🗑️  [${userIP}] Table ${tableId} removed`);
+
+    res.status(200).json({
+      success: true,
+      message: `Table ${tableId} removed`,
+      table: existing
+    });
+
+  } catch (error) {
+    logger.error("❌ Delete table error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to delete table"
+    });
+  }
+};
@@ -1,6 +1,8 @@
 import dotenv from "dotenv";
 import admin from "firebase-admin";
 import { decryptPayload } from "../utils/encryption.js";
+import { findGuestByManageToken } from "../utils/reservationAccess.js";
+import { describeGuestForAgent } from "../utils/guests.js";
 
 // Load env vars immediately
 dotenv.config();
@@ -101,6 +103,8 @@ validateVapiConfig();
  * Request Body:
  * {
  *   userId: string (optional),
+ *   manageToken: string (optional - greets the returning guest behind this booking),
+ *   locationId: string (optional - the venue the assistant speaks for, default location without one),
  *   timestamp: string (optional)
  * }
  * 
@@ -108,6 +112,8 @@ validateVapiConfig();
  * {
  *   success: boolean,
  *   callId: string,
+ *   locationId: string,
+ *   returningGuest: { name, visits } | null,
  *   timestamp: string
  * }
  */
@@ -122,7 +128,13 @@ export const makeVapiCall = async (req, res) => {
       });
     }
 
-    const { userId = "web-user" } = req.body;
+    const { userId = "web-user", manageToken } = req.body;
+
+    // Returning guests get greeted by name with their known preferences
+    const guest = await findGuestByManageToken(manageToken);
+    if (guest) {
+      console.log(`👤 [Make Call] Returning guest: ${guest.id}`);
+    }
 
     // Make the API call to Vapi
 const vapiResponse = await fetch("https://api.vapi.ai/call/web", {
@@ -134,7 +146,17 @@ const vapiResponse = await fetch("https://api.vapi.ai/call/web", {
   body: JSON.stringify({
     assistantId: VAPI_ASSISTANT_ID,
     customer: {
-      name: userId
+      name: guest ? guest.name : userId
+    },
+    assistantOverrides: {
+      variableValues: {
+        restaurantName: req.location.name,
+        locationId: req.location.id,
+        ...(guest ? {
+          guestName: guest.name,
+          guestContext: describeGuestForAgent(guest)
+        } : {})
+      }
     }
   })
 });
@@ -149,6 +171,8 @@ console.log("Vapi call started:", data);
     res.status(200).json({
       success: true,
       callId: vapiResponse.callId || `call_${Date.now()}`,
+      locationId: req.location.id,
+      returningGuest: guest ? { name: guest.name, visits: guest.stats.visits } : null,
       timestamp: new Date().toISOString(),
       vapiResponse: vapiResponse
     });
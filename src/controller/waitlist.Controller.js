@@ -0,0 +1,337 @@
+import { logger } from "../utils/logger.js";
+import repository from "../repository/index.js";
+import { RESTAURANT_TABLES } from "../config/restaurant.js";
+import { getAvailableTables, selectSeating, parsePartySize, PARTY_SIZE, REASON_CODES } from "../utils/availability.js";
+import { sendWaitlistOfferEmail } from "./email.Controller.js";
+import { withLock, tableLockKey } from "../utils/locks.js";
+import { invalidateAvailabilityCache } from "../utils/availabilityCache.js";
+import { validateDateTime } from "../utils/timezone.js";
+import { getLocationId, isAtLocation, DEFAULT_LOCATION_ID } from "../utils/locations.js";
+import { authorizeWaitlistAccess } from "../utils/reservationAccess.js";
+
+// Waitlist entry lifecycle:
+// waiting -> offered (slot held for waitlistHoldMinutes) -> booked
+//                    \-> expired (hold ran out, next guest is offered)
+// waiting/offered -> left (guest removed themselves)
+
+// ==================== UTILITY FUNCTIONS ====================
+
+/**
+ * Generate unique waitlist ID
+ */
+const generateWaitlistId = () => {
+  return `WL-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+};
+
+/**
+ * Get a location's waiting entries for a date in first-come, first-served order
+ */
+const getWaitingEntries = async (date, locationId) => {
+  const entries = await repository.waitlist.find({ date: date, status: "waiting" });
+  return entries
+    .filter(entry => isAtLocation(entry, locationId))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+/**
+ * Get 1-based queue position of a waiting entry (null once it has left the queue)
+ */
+const getQueuePosition = async (entry) => {
+  if (entry.status !== "waiting") return null;
+  const waiting = await getWaitingEntries(entry.date, getLocationId(entry));
+  return waiting.findIndex(e => e.id === entry.id) + 1;
+};
+
+/**
+ * Mark a location's offers whose hold has run out as expired
+ */
+const expireStaleOffers = async (date, locationId) => {
+  const offers = (await repository.waitlist.find({ date: date, status: "offered" }))
+    .filter(entry => isAtLocation(entry, locationId));
+  const now = new Date();
+
+  for (const entry of offers) {
+    if (new Date(entry.hold.expiresAt) > now) continue;
+
+    entry.status = "expired";
+    entry.updatedAt = now.toISOString();
+    await repository.waitlist.save(entry);
+    logger.log(`⌛ Waitlist offer expired: ${entry.id}`);
+  }
+};
+
+/**
+ * Hold tables for every waiting guest whose slot is now available (queue order)
+ * Must run under the location's table lock for the date
+ */
+const holdTablesForWaiting = async (date, locationId) => {
+  const held = [];
+  const waiting = await getWaitingEntries(date, locationId);
+
+  for (const entry of waiting) {
+    const availability = await getAvailableTables(entry.numGuests, entry.date, entry.time, {}, null, locationId);
+    if (!availability.available) continue;
+
+    const seating = selectSeating(availability);
+    const now = new Date();
+
+    entry.status = "offered";
+    entry.hold = {
+      tableIds: seating.tableIds,
+      location: seating.location,
+      expiresAt: new Date(now.getTime() + RESTAURANT_TABLES.waitlistHoldMinutes * 60 * 1000).toISOString()
+    };
+    entry.offeredAt = now.toISOString();
+    entry.updatedAt = now.toISOString();
+    await repository.waitlist.save(entry);
+
+    logger.log(`🎟️  Waitlist offer: ${entry.id} held table(s) ${seating.tableIds.join(", ")} until ${entry.hold.expiresAt}`);
+
+    held.push(entry);
+  }
+
+  return held;
+};
+
+/**
+ * Offer freed capacity at a location on a date to its waitlisted guests
+ * Walks the queue in order and holds a table for every guest whose slot is now available
+ * Called whenever a cancellation/modification frees tables or an offer lapses
+ * Holds are allocated under the date's table lock so they can't collide with new bookings
+ * Also drops the date's cached month calendar, since its availability has changed
+ */
+export const offerFreedCapacity = async (date, locationId = DEFAULT_LOCATION_ID) => {
+  try {
+    invalidateAvailabilityCache(date, locationId);
+    await expireStaleOffers(date, locationId);
+
+    const offered = await withLock(tableLockKey(date, locationId), () => holdTablesForWaiting(date, locationId));
+    if (offered.length > 0) invalidateAvailabilityCache(date, locationId);
+
+    for (const entry of offered) {
+      if (!entry.email) continue;
+
+      const emailResult = await sendWaitlistOfferEmail(entry);
+      if (!emailResult.success) {
+        logger.warn("⚠️  Failed to send waitlist offer email:", emailResult.message);
+      }
+    }
+
+    return offered;
+  } catch (error) {
+    logger.error("❌ Waitlist offer error:", error.message);
+    return [];
+  }
+};
+
+// ==================== WAITLIST CONTROLLERS ====================
+
+/**
+ * Join the waitlist for a fully booked slot
+ * POST /api/booking/waitlist
+ */
+export const joinWaitlist = async (req, res) => {
+  try {
+    const { customerName, date, time, email, phone, notes } = req.body;
+    const userIP = req.userIP;
+    const location = req.location;
+
+    // Validate required fields
+    if (!customerName || !req.body.numGuests || !date || !time) {
+      return res.status(400).json({
+        success: false,
+        error: "customerName, numGuests, date, and time are required",
+        example: {
+          customerName: "John Doe",
+          numGuests: 4,
+          date: "2026-02-14",
+          time: "19:00",
+          email: "john@example.com"
+        }
+      });
+    }
+
+    const dateTimeError = validateDateTime(date, time);
+    if (dateTimeError) {
+      return res.status(400).json({
+        success: false,
+        error: dateTimeError
+      });
+    }
+
+    if (!email && !phone) {
+      return res.status(400).json({
+        success: false,
+        error: "email or phone is required so we can contact you when a table opens up"
+      });
+    }
+
+    const numGuests = parsePartySize(req.body.numGuests);
+    if (numGuests === null) {
+      return res.status(400).json({
+        success: false,
+        error: `Party size must be a whole number between ${PARTY_SIZE.min} and ${PARTY_SIZE.max} guests`
+      });
+    }
+
+    logger.log(`📝 [${userIP}] Joining waitlist at ${location.name}: ${customerName} (${numGuests} guests) on ${date} at ${time}`);
+
+    const availability = await getAvailableTables(numGuests, date, time, {}, null, location.id);
+
+    // Only fully booked slots can be waitlisted - not closed or past ones
+    if (!availability.available && availability.reasonCode !== REASON_CODES.NO_TABLES) {
+      return res.status(400).json({
+        success: false,
+        error: "Cannot join the waitlist for this date and time",
+        reasonCode: availability.reasonCode,
+        reason: availability.reason
+      });
+    }
+
+    if (availability.available) {
+      return res.status(409).json({
+        success: false,
+        error: "Tables are available for this slot - please book directly",
+        available: true,
+        tables: availability.tables,
+        combinations: availability.combinations
+      });
+    }
+
+    const entry = {
+      id: generateWaitlistId(),
+      locationId: location.id,
+      customerName: customerName,
+      email: email || null,
+      phone: phone || null,
+      numGuests: numGuests,
+      date: date,
+      time: time,
+      notes: notes || "",
+      status: "waiting",
+      hold: null,
+      reservationId: null,
+      userIP: userIP,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    await repository.waitlist.save(entry);
+
+    const position = await getQueuePosition(entry);
+
+    logger.log(`✅ [${userIP}] Waitlist entry created: ${entry.id} (position ${position})`);
+
+    res.status(201).json({
+      success: true,
+      message: `You're #${position} on the waitlist. We'll hold a table for ${RESTAURANT_TABLES.waitlistHoldMinutes} minutes and notify you if one opens up.`,
+      waitlistEntry: entry,
+      position: position
+    });
+
+  } catch (error) {
+    logger.error("❌ Join waitlist error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to join waitlist"
+    });
+  }
+};
+
+/**
+ * Get waitlist entry and queue position
+ * GET /api/booking/waitlist/:waitlistId
+ */
+export const getWaitlistEntry = async (req, res) => {
+  try {
+    const { waitlistId } = req.params;
+    const userIP = req.userIP;
+
+    logger.log(`🔍 [${userIP}] Retrieving waitlist entry: ${waitlistId}`);
+
+    // Waitlist ID plus the email or phone used to join
+    const access = await authorizeWaitlistAccess(req, waitlistId);
+    if (access.error) {
+      return res.status(access.status).json({
+        success: false,
+        error: access.error,
+        waitlistId: waitlistId
+      });
+    }
+    let entry = access.entry;
+
+    // Lapse stale offers and pass freed holds along before reporting
+    await offerFreedCapacity(entry.date, getLocationId(entry));
+    entry = await repository.waitlist.get(waitlistId);
+
+    res.status(200).json({
+      success: true,
+      waitlistEntry: entry,
+      position: await getQueuePosition(entry)
+    });
+
+  } catch (error) {
+    logger.error("❌ Get waitlist entry error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to retrieve waitlist entry"
+    });
+  }
+};
+
+/**
+ * Leave the waitlist
+ * DELETE /api/booking/waitlist/:waitlistId
+ */
+export const leaveWaitlist = async (req, res) => {
+  try {
+    const { waitlistId } = req.params;
+    const userIP = req.userIP;
+
+    logger.log(`🚪 [${userIP}] Leaving waitlist: ${waitlistId}`);
+
+    // Waitlist ID plus the email or phone used to join
+    const access = await authorizeWaitlistAccess(req, waitlistId);
+    if (access.error) {
+      return res.status(access.status).json({
+        success: false,
+        error: access.error,
+        waitlistId: waitlistId
+      });
+    }
+    const entry = access.entry;
+
+    if (!["waiting", "offered"].includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Waitlist entry is already ${entry.status}`
+      });
+    }
+
+    const wasOffered = entry.status === "offered";
+
+    entry.status = "left";
+    entry.updatedAt = new Date().toISOString();
+    await repository.waitlist.save(entry);
+
+    // A declined offer frees its held table for the next guest
+    if (wasOffered) {
+      await offerFreedCapacity(entry.date, getLocationId(entry));
+    }
+
+    logger.log(`✅ [${userIP}] Left waitlist: ${waitlistId}`);
+
+    res.status(200).json({
+      success: true,
+      message: "You have been removed from the waitlist",
+      waitlistEntry: entry
+    });
+
+  } catch (error) {
+    logger.error("❌ Leave waitlist error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to leave waitlist"
+    });
+  }
+};
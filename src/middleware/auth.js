@@ -0,0 +1,76 @@
+import crypto from "crypto";
+import { logger } from "../utils/logger.js";
+
+// ==================== ADMIN AUTHENTICATION ====================
+// Admin routes require the shared secret from ADMIN_API_KEY in the x-admin-key header
+
+/**
+ * Compare two secrets in constant time
+ */
+const secretsMatch = (provided, expected) => {
+  const providedHash = crypto.createHash("sha256").update(String(provided)).digest();
+  const expectedHash = crypto.createHash("sha256").update(String(expected)).digest();
+  return crypto.timingSafeEqual(providedHash, expectedHash);
+};
+
+/**
+ * Require a valid admin key
+ */
+export const requireAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    logger.warn("⚠️  ADMIN_API_KEY not configured. Admin routes are disabled.");
+    return res.status(503).json({
+      success: false,
+      error: "Admin access is not configured on this server"
+    });
+  }
+
+  const providedKey = req.headers["x-admin-key"];
+
+  if (!providedKey || !secretsMatch(providedKey, adminKey)) {
+    logger.warn(`⚠️  [${req.userIP}] Unauthorized admin request: ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({
+      success: false,
+      error: "Unauthorized: valid x-admin-key header required"
+    });
+  }
+
+  next();
+};
+
+// ==================== STAFF AUTHENTICATION ====================
+// Front-of-house routes accept STAFF_API_KEY in the x-staff-key header (the admin key also works)
+
+/**
+ * Require a valid staff (or admin) key
+ */
+export const requireStaff = (req, res, next) => {
+  const staffKey = process.env.STAFF_API_KEY;
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!staffKey && !adminKey) {
+    logger.warn("⚠️  STAFF_API_KEY not configured. Staff routes are disabled.");
+    return res.status(503).json({
+      success: false,
+      error: "Staff access is not configured on this server"
+    });
+  }
+
+  const providedStaffKey = req.headers["x-staff-key"];
+  const providedAdminKey = req.headers["x-admin-key"];
+
+  const isStaff = staffKey && providedStaffKey && secretsMatch(providedStaffKey, staffKey);
+  const isAdmin = adminKey && providedAdminKey && secretsMatch(providedAdminKey, adminKey);
+
+  if (!isStaff && !isAdmin) {
+    logger.warn(`⚠️  [${req.userIP}] Unauthorized staff request: ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({
+      success: false,
+      error: "Unauthorized: valid x-staff-key header required"
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,150 @@
+import crypto from "crypto";
+import { logger } from "../utils/logger.js";
+import repository from "../repository/index.js";
+
+// ==================== IDEMPOTENCY KEYS ====================
+// Clients may send an Idempotency-Key header on mutating routes so retries are safe:
+// - same key + same body  -> the original response is replayed (no second booking/charge)
+// - same key + other body -> 422, the key was reused for a different request
+// - same key while the first request is still running -> 409
+// Only final answers are remembered, for IDEMPOTENCY_TTL_HOURS (default 24): successes and
+// validation errors that the same body would always get. Answers that depend on the moment
+// (no tables, allocation conflicts, declined cards, auth failures, server errors) release the key
+// so a retry runs again. A request that never answers (crashed instance) frees its key after
+// IDEMPOTENCY_IN_PROGRESS_SECONDS (default 60).
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Check whether a response is final for its body, so it can be replayed
+ * Availability answers carry a reasonCode - a table may free up, so they aren't final
+ */
+const isReplayable = (statusCode, body) => {
+  if (statusCode >= 200 && statusCode < 300) return true;
+  return [400, 422].includes(statusCode) && !body?.reasonCode;
+};
+
+/**
+ * Serialize a value with object keys sorted, so key order doesn't change the fingerprint
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+/**
+ * Hash a request body
+ */
+const fingerprintBody = (body) => {
+  return crypto.createHash("sha256").update(stableStringify(body || {})).digest("hex");
+};
+
+/**
+ * Make a route idempotent when the client sends an Idempotency-Key header
+ * @param {string} scope - Route name, so the same key can't collide across routes
+ */
+export const idempotent = (scope) => async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+
+  // Header is optional - requests without it behave as before
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  try {
+    const id = `${scope}:${key}`;
+    const fingerprint = fingerprintBody(req.body);
+    const ttlHours = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+    const inProgressSeconds = parseInt(process.env.IDEMPOTENCY_IN_PROGRESS_SECONDS) || 60;
+    const now = new Date();
+
+    const record = {
+      id: id,
+      scope: scope,
+      fingerprint: fingerprint,
+      status: "in_progress",
+      statusCode: null,
+      body: null,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + inProgressSeconds * 1000).toISOString()
+    };
+
+    // Claim the key atomically; if it's taken, look at what the first request did
+    if (!(await repository.idempotencyKeys.create(record))) {
+      const existing = await repository.idempotencyKeys.get(id);
+
+      if (!existing || new Date(existing.expiresAt) <= now) {
+        // Expired or just released - start over with this request, unless another retry claims it first
+        const claimed = (!existing || await repository.idempotencyKeys.deleteIf(id, { expiresAt: existing.expiresAt })) &&
+          await repository.idempotencyKeys.create(record);
+        if (!claimed) {
+          return res.status(409).json({
+            success: false,
+            error: "A request with this Idempotency-Key is still being processed. Retry shortly."
+          });
+        }
+      } else {
+        if (existing.fingerprint !== fingerprint) {
+          logger.warn(`⚠️  [${req.userIP}] Idempotency-Key reused with a different body on ${scope}`);
+          return res.status(422).json({
+            success: false,
+            error: "Idempotency-Key has already been used with a different request body"
+          });
+        }
+
+        if (existing.status === "in_progress") {
+          return res.status(409).json({
+            success: false,
+            error: "A request with this Idempotency-Key is still being processed. Retry shortly."
+          });
+        }
+
+        logger.log(`🔁 [${req.userIP}] Replaying ${scope} response for Idempotency-Key ${key}`);
+        res.set("Idempotent-Replayed", "true");
+        return res.status(existing.statusCode).json(existing.body);
+      }
+    }
+
+    // Capture the handler's response so it can be replayed
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const statusCode = res.statusCode;
+
+      // Anything that could go differently next time releases the key so the client can retry
+      const completedAt = new Date();
+      const persist = !isReplayable(statusCode, body)
+        ? repository.idempotencyKeys.deleteIf(id, { createdAt: record.createdAt, status: "in_progress" })
+        : repository.idempotencyKeys.save({
+            ...record,
+            status: "completed",
+            statusCode: statusCode,
+            // Round-trip through JSON to drop undefined values (Firestore rejects them)
+            body: JSON.parse(JSON.stringify(body)),
+            completedAt: completedAt.toISOString(),
+            expiresAt: new Date(completedAt.getTime() + ttlHours * 60 * 60 * 1000).toISOString()
+          });
+
+      persist.catch(error => logger.error("❌ Failed to store idempotent response:", error.message));
+
+      return originalJson(body);
+    };
+
+    next();
+  } catch (error) {
+    logger.error("❌ Idempotency check error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to check Idempotency-Key"
+    });
+  }
+};
@@ -0,0 +1,34 @@
+import { logger } from "../utils/logger.js";
+import { getLocation, getLocations, DEFAULT_LOCATION_ID } from "../utils/locations.js";
+
+// ==================== LOCATION ====================
+// Booking, payment, chat and voice requests pick a venue with locationId (body or query string).
+// Requests without one are for the default location. Handlers read the venue from req.location.
+
+/**
+ * Resolve req.location from the request's locationId
+ * @param {object} options - { includeInactive } to allow venues that aren't taking bookings (admin set-up)
+ */
+export const withLocation = ({ includeInactive = false } = {}) => async (req, res, next) => {
+  try {
+    const locationId = req.body?.locationId ?? req.query.locationId ?? DEFAULT_LOCATION_ID;
+    const location = typeof locationId === "string" ? await getLocation(locationId) : null;
+
+    if (!location || (!location.active && !includeInactive)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown location "${locationId}"`,
+        locations: (await getLocations({ includeInactive })).map(l => l.id)
+      });
+    }
+
+    req.location = location;
+    next();
+  } catch (error) {
+    logger.error("❌ Location lookup error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to look up location"
+    });
+  }
+};
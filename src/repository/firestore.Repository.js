@@ -0,0 +1,91 @@
+// ==================== FIRESTORE COLLECTION ====================
+// Persistent storage backed by a Firestore collection (one document per record)
+
+/**
+ * Create a Firestore-backed collection
+ * @param {object} db - Firestore instance from src/config/firbase.js
+ * @param {string} name - Firestore collection name
+ * @returns {object} - Collection with get/save/create/find/delete/deleteIf
+ */
+export const createFirestoreCollection = (db, name) => {
+  const collection = db.collection(name);
+
+  return {
+    name: name,
+
+    /**
+     * Get a record by ID (null if missing)
+     */
+    get: async (id) => {
+      const doc = await collection.doc(String(id)).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    /**
+     * Create or replace a record (keyed by record.id)
+     */
+    save: async (record) => {
+      await collection.doc(String(record.id)).set(record);
+      return record;
+    },
+
+    /**
+     * Create a record only if its ID is unused
+     * @returns {Promise<boolean>} - false if a record with that ID already exists
+     */
+    create: async (record) => {
+      try {
+        await collection.doc(String(record.id)).create(record);
+        return true;
+      } catch (error) {
+        // gRPC ALREADY_EXISTS
+        if (error.code === 6) return false;
+        throw error;
+      }
+    },
+
+    /**
+     * Find records whose fields equal every value in filters
+     * A { gte?, lte? } value matches an inclusive range instead (Firestore allows one range field per query)
+     */
+    find: async (filters = {}) => {
+      let query = collection;
+      for (const [field, value] of Object.entries(filters)) {
+        if (value !== null && typeof value === "object") {
+          if (value.gte !== undefined) query = query.where(field, ">=", value.gte);
+          if (value.lte !== undefined) query = query.where(field, "<=", value.lte);
+        } else {
+          query = query.where(field, "==", value);
+        }
+      }
+      const snapshot = await query.get();
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    /**
+     * Delete a record by ID
+     */
+    delete: async (id) => {
+      await collection.doc(String(id)).delete();
+    },
+
+    /**
+     * Delete a record only if its fields still equal every value in expected
+     * Read and delete run in one transaction, so a concurrent write makes it retry or fail
+     * @returns {Promise<boolean>} - false if the record is missing or has changed
+     */
+    deleteIf: async (id, expected) => {
+      const ref = collection.doc(String(id));
+      return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) return false;
+
+        const record = doc.data();
+        if (!Object.entries(expected).every(([field, value]) => record[field] === value)) return false;
+
+        transaction.delete(ref);
+        return true;
+      });
+    }
+  };
+};
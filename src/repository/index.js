@@ -0,0 +1,62 @@
+import dotenv from "dotenv";
+import { logger } from "../utils/logger.js";
+import { createMemoryCollection } from "./memory.Repository.js";
+import { createFirestoreCollection } from "./firestore.Repository.js";
+
+dotenv.config();
+
+// ==================== STORAGE CONFIGURATION ====================
+// STORAGE_DRIVER=firestore|memory
+// Defaults to Firestore when Firebase credentials are configured, otherwise in-memory
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER ||
+  (process.env.FIREBASE_SERVICE_ACCOUNT ? "firestore" : "memory");
+
+// Firestore collection names
+const COLLECTIONS = {
+  reservations: "reservations",
+  payments: "payments",
+  waitlist: "waitlist",
+  calendarExceptions: "calendarExceptions",
+  idempotencyKeys: "idempotencyKeys",
+  locks: "locks",
+  tables: "tables",
+  guests: "guests",
+  holds: "holds",
+  locations: "locations"
+};
+
+/**
+ * Build the repository for a storage driver
+ * @param {string} driver - "firestore" or "memory"
+ * @returns {Promise<object>} - { driver, reservations, payments, waitlist, calendarExceptions, idempotencyKeys, locks, tables, guests, holds, locations }
+ */
+export const createRepository = async (driver = STORAGE_DRIVER) => {
+  if (driver === "firestore") {
+    // Imported lazily so the in-memory driver works without Firebase credentials
+    const { db } = await import("../config/firbase.js");
+    const repository = { driver: driver };
+    for (const [key, name] of Object.entries(COLLECTIONS)) {
+      repository[key] = createFirestoreCollection(db, name);
+    }
+    return repository;
+  }
+
+  if (driver === "memory") {
+    const repository = { driver: driver };
+    for (const [key, name] of Object.entries(COLLECTIONS)) {
+      repository[key] = createMemoryCollection(name);
+    }
+    return repository;
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use "firestore" or "memory"`);
+};
+
+const repository = await createRepository();
+
+logger.log(`💾 Storage driver: ${repository.driver}`);
+if (repository.driver === "memory") {
+  logger.warn("⚠️  Using in-memory storage. Reservations and payments are lost on restart.");
+}
+
+export default repository;
@@ -0,0 +1,88 @@
+// ==================== IN-MEMORY COLLECTION ====================
+// Process-local storage with the same interface as the Firestore collection.
+// Used for tests and local development - data is lost on restart.
+
+/**
+ * Check a field against a find() filter value - an exact value, or a { gte?, lte? } range
+ */
+const matchesFilter = (fieldValue, value) => {
+  if (value !== null && typeof value === "object") {
+    if (fieldValue === undefined || fieldValue === null) return false;
+    if (value.gte !== undefined && fieldValue < value.gte) return false;
+    if (value.lte !== undefined && fieldValue > value.lte) return false;
+    return true;
+  }
+  return fieldValue === value;
+};
+
+/**
+ * Create an in-memory collection
+ * Records are cloned on the way in and out so callers must save() to persist changes
+ * @param {string} name - Collection name (for logging/debugging only)
+ * @returns {object} - Collection with get/save/create/find/delete/deleteIf
+ */
+export const createMemoryCollection = (name) => {
+  const records = new Map(); // { id: record }
+
+  return {
+    name: name,
+
+    /**
+     * Get a record by ID (null if missing)
+     */
+    get: async (id) => {
+      const record = records.get(id);
+      return record ? structuredClone(record) : null;
+    },
+
+    /**
+     * Create or replace a record (keyed by record.id)
+     */
+    save: async (record) => {
+      records.set(record.id, structuredClone(record));
+      return structuredClone(record);
+    },
+
+    /**
+     * Create a record only if its ID is unused
+     * @returns {Promise<boolean>} - false if a record with that ID already exists
+     */
+    create: async (record) => {
+      if (records.has(record.id)) return false;
+      records.set(record.id, structuredClone(record));
+      return true;
+    },
+
+    /**
+     * Find records whose fields equal every value in filters
+     * A { gte?, lte? } value matches an inclusive range instead (one range field per query, as in Firestore)
+     */
+    find: async (filters = {}) => {
+      const matches = [];
+      for (const record of records.values()) {
+        const isMatch = Object.entries(filters).every(([field, value]) => matchesFilter(record[field], value));
+        if (isMatch) matches.push(structuredClone(record));
+      }
+      return matches;
+    },
+
+    /**
+     * Delete a record by ID
+     */
+    delete: async (id) => {
+      records.delete(id);
+    },
+
+    /**
+     * Delete a record only if its fields still equal every value in expected
+     * @returns {Promise<boolean>} - false if the record is missing or has changed
+     */
+    deleteIf: async (id, expected) => {
+      const record = records.get(id);
+      if (!record) return false;
+      if (!Object.entries(expected).every(([field, value]) => record[field] === value)) return false;
+      records.delete(id);
+      return true;
+    }
+  };
+};
@@ -0,0 +1,123 @@
+import express from "express";
+import { requireAdmin } from "../middleware/auth.js";
+import {
+  getCalendar,
+  getCalendarDay,
+  upsertCalendarException,
+  deleteCalendarException
+} from "../controller/calendar.Controller.js";
+import {
+  listTables,
+  createTable,
+  updateTable,
+  deleteTable
+} from "../controller/table.Controller.js";
+import {
+  listAllLocations,
+  upsertLocation
+} from "../controller/location.Controller.js";
+import { withLocation } from "../middleware/location.js";
+
+const router = express.Router();
+
+// All admin routes require the x-admin-key header
+router.use(requireAdmin);
+
+// Calendar and table routes are for one location: ?locationId= (or body locationId),
+// the default location without one - inactive locations can be set up before they open
+
+// ==================== LOCATION ROUTES ====================
+
+/**
+ * @route   GET /api/admin/locations
+ * @desc    Get every location with its settings (including inactive ones)
+ * @returns { success, defaultLocationId, locations[] }
+ */
+router.get("/locations", listAllLocations);
+
+/**
+ * @route   PUT /api/admin/locations/:locationId
+ * @desc    Add a location or update one - only the fields sent are changed
+ * @params  locationId (lowercase letters, numbers and dashes)
+ * @body    { name, address, phone? | email?, fullName?, pronunciation? (for voice agents), tagline?, cuisine?, specialties?, website?,
+ *            operatingHours? ({ Monday: [{ name?, open, close, lastSeating? }], ... } - days left out are closed; null for the group's schedule),
+ *            timeZone? (IANA zone, e.g. "America/Chicago"; null for the group's),
+ *            payment?: { bankTransfer?: { accountName, accountNumber, routingNumber, bankName, swift? }, cashApp?: { tag, displayName? } },
+ *            active? }
+ * @returns { success, location } (201 when added)
+ */
+router.put("/locations/:locationId", upsertLocation);
+
+// ==================== CALENDAR ROUTES ====================
+
+/**
+ * @route   GET /api/admin/calendar
+ * @desc    Get a location's weekly service periods and dated exceptions
+ * @query   from? (YYYY-MM-DD), to? (YYYY-MM-DD), locationId?
+ * @returns { success, locationId, weekly, exceptions[] }
+ */
+router.get("/calendar", withLocation({ includeInactive: true }), getCalendar);
+
+/**
+ * @route   GET /api/admin/calendar/:date
+ * @desc    Get the effective service periods for a date
+ * @params  date (YYYY-MM-DD)
+ * @query   locationId?
+ * @returns { success, day: { date, dayName, locationId, periods[], exception, open } }
+ */
+router.get("/calendar/:date", withLocation({ includeInactive: true }), getCalendarDay);
+
+/**
+ * @route   PUT /api/admin/calendar/exceptions/:date
+ * @desc    Close a date (holiday, private buyout) or replace its hours (extended/reduced service)
+ * @params  date (YYYY-MM-DD)
+ * @body    { type: "closed" | "hours", periods?: [{ name?, open, close, lastSeating? }], reason?, locationId? }
+ * @returns { success, exception }
+ */
+router.put("/calendar/exceptions/:date", withLocation({ includeInactive: true }), upsertCalendarException);
+
+/**
+ * @route   DELETE /api/admin/calendar/exceptions/:date
+ * @desc    Remove a date's exception and return to the weekly schedule
+ * @params  date (YYYY-MM-DD)
+ * @query   locationId?
+ * @returns { success, exception }
+ */
+router.delete("/calendar/exceptions/:date", withLocation({ includeInactive: true }), deleteCalendarException);
+
+// ==================== TABLE ROUTES ====================
+
+/**
+ * @route   GET /api/admin/tables
+ * @desc    Get a location's floor plan (including inactive tables) and joinable table groups
+ * @query   locationId?
+ * @returns { success, locationId, tables[], combinations[] }
+ */
+router.get("/tables", withLocation({ includeInactive: true }), listTables);
+
+/**
+ * @route   POST /api/admin/tables
+ * @desc    Add a table to a location (table IDs are unique across locations)
+ * @body    { id?, locationId?, seats, minCovers?, maxCovers?, location (area, e.g. Patio), combinableWith?: [tableId], accessible?, highChair?, active? }
+ * @returns { success, table }
+ */
+router.post("/tables", withLocation({ includeInactive: true }), createTable);
+
+/**
+ * @route   PUT /api/admin/tables/:tableId
+ * @desc    Update a table - only the fields sent are changed
+ * @params  tableId
+ * @body    { seats?, minCovers?, maxCovers?, location?, combinableWith?, accessible?, highChair?, active? }
+ * @returns { success, table }
+ */
+router.put("/tables/:tableId", updateTable);
+
+/**
+ * @route   DELETE /api/admin/tables/:tableId
+ * @desc    Remove a table (409 if it has upcoming reservations - deactivate it instead)
+ * @params  tableId
+ * @returns { success, table }
+ */
+router.delete("/tables/:tableId", deleteTable);
+
+export default router;
@@ -1,71 +1,276 @@
 import express from "express";
 import {
   checkAvailability,
+  getAvailabilityCalendar,
   createReservation,
   getReservation,
+  getReservationCalendar,
+  lookupReservation,
   cancelReservation,
   modifyReservation,
+  updateReservationStatus,
+  overrideTurnTime,
   getTablesStatus,
   getRestaurantInfo
 } from "../controller/booking.Controller.js";
+import { listLocations } from "../controller/location.Controller.js";
+import {
+  joinWaitlist,
+  getWaitlistEntry,
+  leaveWaitlist
+} from "../controller/waitlist.Controller.js";
+import {
+  createHold,
+  getHold,
+  releaseHold
+} from "../controller/hold.Controller.js";
+import {
+  findGuestProfile,
+  getGuestProfile,
+  updateGuestProfile
+} from "../controller/guest.Controller.js";
+import { getManifest } from "../controller/manifest.Controller.js";
+import { searchReservations } from "../controller/search.Controller.js";
+import { idempotent } from "../middleware/idempotency.js";
+import { requireStaff } from "../middleware/auth.js";
+import { withLocation } from "../middleware/location.js";
 
 const router = express.Router();
 
 // ==================== BOOKING ROUTES ====================
+// Routes taking locationId (body or query) book that venue - without one they use the default location
+// An unknown or inactive locationId gets 404 { error, locations[] }
+
+/**
+ * @route   GET /api/booking/locations
+ * @desc    List the venues that take bookings
+ * @returns { success, count, locations[]: { id, name, fullName, tagline, cuisine, address, phone, email, website, hours } }
+ */
+router.get("/locations", listLocations);
 
 /**
  * @route   POST /api/booking/check-availability
  * @desc    Check available tables for given date/time/party size
- * @body    { numGuests, date, time }
- * @returns { success, available, tables[], message }
+ * @body    { numGuests, date, time, locationId?, preferredLocation?, accessible?, highChair? }
+ * @returns { success, available, locationId, tables[], combinations[] (joined tables for large parties; both ranked best match first,
+ *            each with preferenceMatch when preferences are given), preferenceMatch (best option), message, reasonCode?, reason?,
+ *            turnTime (minutes the table would be reserved), deposit (amount a booking would need, or null), alternatives: { sameDay[], nextDays[] } (when unavailable) }
+ */
+router.post("/check-availability", withLocation(), checkAvailability);
+
+/**
+ * @route   GET /api/booking/calendar
+ * @desc    Month view of availability for a party size (cached, refreshed when bookings change)
+ * @query   month (YYYY-MM), guests (1-20), locationId?
+ * @returns { success, month, numGuests, locationId, cached, generatedAt,
+ *            days[]: { date, dayName, status: "closed" | "full" | "limited" | "open",
+ *                      periods[] (with pacing limits), slots[] (bookable HH:MM), pacedSlots[] (closed by kitchen pacing),
+ *                      availableSlots, totalSlots, reasonCode?, reason? },
+ *            summary: { closed, full, limited, open } }
  */
-router.post("/check-availability", checkAvailability);
+router.get("/calendar", withLocation(), getAvailabilityCalendar);
 
 /**
  * @route   POST /api/booking/create-reservation
  * @desc    Create a new table reservation
- * @body    { customerName, numGuests, date, time, email?, phone?, notes? }
- * @returns { success, reservation, confirmationDetails }
+ * @header  Idempotency-Key? (retries with the same key and body replay the original response)
+ * @body    { customerName, numGuests, date, time, locationId?, email?, phone?, notes?, occasion?, dietaryRestrictions?, allergies?,
+ *            seatingPreference? (free-text note), preferredLocation?, accessible?, highChair?,
+ *            waitlistId? (to book a waitlist offer - email/phone must match the waitlist entry), holdToken? (to convert a checkout hold) - both must be for the same locationId }
+ * @returns { success, reservation, returningGuest, manageToken, calendarUrl (.ics download), confirmationDetails (incl. confirmationCode),
+ *            depositRequired: { amount, currency, perGuest, reason, dueBy } | null }
+ *          Bookings needing a deposit start as pending_payment and are released if unpaid by dueBy
+ *          409 { reasonCode, alternatives } if a concurrent booking took the table
+ */
+router.post("/create-reservation", idempotent("create-reservation"), withLocation(), createReservation);
+
+/**
+ * @route   POST /api/booking/hold
+ * @desc    Hold a table for a few minutes while the guest finishes booking (e.g. entering details or on a call)
+ * @body    { numGuests, date, time, locationId?, preferredLocation?, accessible?, highChair? }
+ * @returns { success, holdToken, locationId, status, tableIds, preferenceMatch, expiresAt, secondsRemaining, deposit }
+ *          409 { reasonCode, alternatives } if a concurrent booking took the table
+ */
+router.post("/hold", withLocation(), createHold);
+
+/**
+ * @route   GET /api/booking/hold/:holdToken
+ * @desc    Get a checkout hold and the time left on it
+ * @params  holdToken
+ * @returns { success, hold: { status (active | converted | released | expired), expiresAt, secondsRemaining, ... } }
+ */
+router.get("/hold/:holdToken", getHold);
+
+/**
+ * @route   DELETE /api/booking/hold/:holdToken
+ * @desc    Release a checkout hold early
+ * @params  holdToken
+ * @returns { success, hold }
+ */
+router.delete("/hold/:holdToken", releaseHold);
+
+// Manage routes accept a reservation ID or confirmation code, authorized by either
+// the manage token (x-manage-token header or ?token=) or the email/phone used to book
+
+/**
+ * @route   POST /api/booking/reservation/lookup
+ * @desc    Find a reservation by confirmation code and contact, returns a manage token
+ * @body    { confirmationCode, email? | phone? }
+ * @returns { success, reservation, manageToken }
  */
-router.post("/create-reservation", createReservation);
+router.post("/reservation/lookup", lookupReservation);
 
 /**
  * @route   GET /api/booking/reservation/:reservationId
- * @desc    Get specific reservation details (must be owner)
- * @params  reservationId
+ * @desc    Get specific reservation details
+ * @params  reservationId (ID or confirmation code)
+ * @query   token? | email? | phone?
  * @returns { success, reservation }
  */
 router.get("/reservation/:reservationId", getReservation);
 
+/**
+ * @route   GET /api/booking/reservation/:reservationId/calendar.ics
+ * @desc    Download the reservation as an iCalendar (RFC 5545) event with a reminder and manage-booking link
+ *          (the same event is attached to confirmation, update and cancellation emails)
+ * @params  reservationId (ID or confirmation code)
+ * @query   token? | email? | phone?
+ * @returns text/calendar
+ */
+router.get("/reservation/:reservationId/calendar.ics", getReservationCalendar);
+
 /**
  * @route   PUT /api/booking/modify-reservation/:reservationId
  * @desc    Modify an existing reservation (date/time/guests)
- * @params  reservationId
- * @body    { date?, time?, numGuests? }
+ * @params  reservationId (ID or confirmation code)
+ * @body    { date?, time?, numGuests?, email? | phone? (unless using the manage token) }
  * @returns { success, reservation }
+ *          409 { reasonCode, alternatives } if a concurrent booking took the table
  */
 router.put("/modify-reservation/:reservationId", modifyReservation);
 
 /**
  * @route   DELETE /api/booking/cancel-reservation/:reservationId
- * @desc    Cancel an existing reservation
- * @params  reservationId
- * @returns { success, reservation }
+ * @desc    Cancel an existing reservation (late cancellations incur a fee per the cancellation policy)
+ * @params  reservationId (ID or confirmation code)
+ * @query   token? | email? | phone?
+ * @returns { success, reservation, cancellationFee: { amount, currency, perGuest, policy, paymentId, paymentStatusUrl } | null }
  */
 router.delete("/cancel-reservation/:reservationId", cancelReservation);
 
 /**
  * @route   GET /api/booking/tables-status
- * @desc    Get current status of all tables
- * @returns { success, availability: { total, available, booked, tables[] } }
+ * @desc    Get status of a location's tables for a slot (defaults to now)
+ * @query   date? (YYYY-MM-DD), time? (HH:MM), locationId?
+ * @returns { success, availability: { total, available, booked, tables[], date, time, locationId } }
  */
-router.get("/tables-status", getTablesStatus);
+router.get("/tables-status", withLocation(), getTablesStatus);
 
 /**
  * @route   GET /api/booking/restaurant-info
- * @desc    Get restaurant information (hours, capacity, cuisine, etc.)
- * @returns { success, restaurant: { name, hours, capacity, ... } }
+ * @desc    Get a location's information (hours, capacity, cuisine, contact details, etc.)
+ * @query   locationId?
+ * @returns { success, restaurant: { locationId, name, hours, capacity, ... } }
+ */
+router.get("/restaurant-info", withLocation(), getRestaurantInfo);
+
+// ==================== WAITLIST ROUTES ====================
+
+/**
+ * @route   POST /api/booking/waitlist
+ * @desc    Join the waitlist for a fully booked date/time/party size
+ * @body    { customerName, numGuests, date, time, locationId?, email?, phone?, notes? } (email or phone required)
+ * @returns { success, waitlistEntry, position }
+ */
+router.post("/waitlist", withLocation(), joinWaitlist);
+
+/**
+ * @route   GET /api/booking/waitlist/:waitlistId
+ * @desc    Get waitlist entry, queue position and any held offer
+ * @params  waitlistId
+ * @query   email? or phone? (as given when joining)
+ * @returns { success, waitlistEntry, position }
+ */
+router.get("/waitlist/:waitlistId", getWaitlistEntry);
+
+/**
+ * @route   DELETE /api/booking/waitlist/:waitlistId
+ * @desc    Leave the waitlist (releases any held offer to the next guest)
+ * @params  waitlistId
+ * @query   email? or phone? (as given when joining - also accepted in the body)
+ * @returns { success, waitlistEntry }
+ */
+router.delete("/waitlist/:waitlistId", leaveWaitlist);
+
+// ==================== STAFF ROUTES ====================
+// Require the x-staff-key header (or x-admin-key)
+
+/**
+ * @route   PUT /api/booking/reservation/:reservationId/status
+ * @desc    Move a reservation through its lifecycle
+ *          (pending_payment, confirmed, reminded, arrived, seated, completed, no_show, cancelled)
+ * @params  reservationId
+ * @body    { status, note?, staffName?, spend? (completed visits, added to the guest profile) }
+ * @returns { success, reservation (with statusHistory), allowedTransitions[] }
+ *          409 { status, allowedTransitions } if the transition isn't allowed
+ */
+router.put("/reservation/:reservationId/status", requireStaff, updateReservationStatus);
+
+/**
+ * @route   PUT /api/booking/reservation/:reservationId/turn-time
+ * @desc    Override how long a reservation holds its table(s), e.g. a long tasting menu
+ * @params  reservationId
+ * @body    { minutes (30-360, or null for the standard turn time), note?, staffName? }
+ * @returns { success, reservation (seatingDuration, turnTimeOverride) }
+ *          409 { conflicts[] } if a later booking on the same table overlaps the new window
+ */
+router.put("/reservation/:reservationId/turn-time", requireStaff, overrideTurnTime);
+
+/**
+ * @route   GET /api/booking/manifest
+ * @desc    Daily reservation manifest for front-of-house, grouped by time and table, with covers per interval
+ *          Allergies and dietary restrictions include those on each guest's profile
+ * @query   date (YYYY-MM-DD), locationId?, service? (period name, e.g. Dinner), format? (json | csv | html), includeCancelled?
+ * @returns json { success, manifest: { date, service, totals: { reservations, covers, byStatus },
+ *                 intervals[]: { start, end, parties, covers }, byTime[], byTable[] } }
+ *          csv download, or a print-friendly html page
+ */
+router.get("/manifest", requireStaff, withLocation({ includeInactive: true }), getManifest);
+
+/**
+ * @route   GET /api/booking/reservations/search
+ * @desc    Search reservations across locations - all filters optional, combined with AND
+ * @query   name? (partial), email? (partial), phone? (partial digits), confirmationCode?, from? / to? (YYYY-MM-DD),
+ *          status? (comma-separated), tableId?, numGuests? | minGuests? / maxGuests?, locationId?,
+ *          sort? (date | createdAt | customerName | numGuests), order? (asc | desc), limit? (1-100, default 25),
+ *          cursor? (nextCursor from the previous page, with the same filters and sort)
+ * @returns { success, total, count, sort, order, reservations[], nextCursor (null on the last page) }
+ */
+router.get("/reservations/search", requireStaff, searchReservations);
+
+/**
+ * @route   GET /api/booking/guests
+ * @desc    Find a guest profile by email or phone
+ * @query   email? | phone?
+ * @returns { success, guest }
+ */
+router.get("/guests", requireStaff, findGuestProfile);
+
+/**
+ * @route   GET /api/booking/guests/:guestId
+ * @desc    Get a guest profile (preferences, allergies, visit stats) and their reservations
+ * @params  guestId
+ * @returns { success, guest, reservations[] }
+ */
+router.get("/guests/:guestId", requireStaff, getGuestProfile);
+
+/**
+ * @route   PUT /api/booking/guests/:guestId
+ * @desc    Update a guest profile (lists replace the stored values)
+ * @params  guestId
+ * @body    { name?, email?, phone?, dietaryRestrictions?, allergies?, seatingPreferences?, occasions?, notes? }
+ * @returns { success, guest }
  */
-router.get("/restaurant-info", getRestaurantInfo);
+router.put("/guests/:guestId", requireStaff, updateGuestProfile);
 
 export default router;
@@ -8,6 +8,8 @@ import {
   getDograhAgentStatus,
   testDograhIntegration
 } from "../controller/dograh.Controller.js";
+import { withLocation } from "../middleware/location.js";
+import { requireStaff } from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -24,17 +26,19 @@ const router = express.Router();
 // ==================== CALL MANAGEMENT ====================
 
 /**
- * Initiate a call via Dograh.ai
+ * Initiate a call via Dograh.ai (staff only - requires x-staff-key)
  * POST /api/dograh/initiate-call
  * 
  * Body:
  * {
  *   "phoneNumber": "+1234567890",
  *   "callbackUrl": "https://yourdomain.com/callback",
- *   "context": { "reservationId": "123", "message": "Your reservation..." }
+ *   "context": { "reservationId": "123", "message": "Your reservation..." },
+ *   "locationId": "downtown" (optional - the venue the agent speaks for, default location without one)
  * }
+ * Returning guests (matched by phone number) are greeted with their known preferences
  */
-router.post("/initiate-call", initiateDograhCall);
+router.post("/initiate-call", requireStaff, withLocation(), initiateDograhCall);
 
 /**
  * Handle inbound call from Dograh.ai
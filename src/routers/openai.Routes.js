@@ -5,32 +5,40 @@ import {
   checkAvailability,
   createReservation
 } from "../controller/openai.Controller.js";
+import { withLocation } from "../middleware/location.js";
+import { idempotent } from "../middleware/idempotency.js";
 
 const router = express.Router();
 
+// Chat, availability and booking are for one venue: locationId in the body (the default location without one)
+
 /**
  * @route POST /api/openai/chat
  * @description Chat with OpenAI powered by restaurant context
- * @body { message: string, conversationHistory: array }
- * @returns { success: boolean, message: string, timestamp: string }
+ * @body { message: string, conversationHistory: array, manageToken?: string (greets the returning guest behind this booking), locationId?: string }
+ * @returns { success: boolean, message: string, returningGuest: { name, visits } | null, locationId: string, timestamp: string }
  */
-router.post("/chat", chatWithAI);
+router.post("/chat", withLocation(), chatWithAI);
 
 /**
  * @route POST /api/openai/check-availability
  * @description Check table availability
- * @body { numGuests: number, date: string, time: string }
- * @returns { success: boolean, available: boolean, message: string }
+ * @body { numGuests: number, date: string, time: string, locationId?: string, preferredLocation?: string, accessible?: boolean, highChair?: boolean }
+ * @returns { success: boolean, available: boolean, message: string, preferenceMatch: object|null,
+ *            deposit: { amount, perGuest, description } | null (booking would be held as pending_payment until paid) }
  */
-router.post("/check-availability", checkAvailability);
+router.post("/check-availability", withLocation(), checkAvailability);
 
 /**
  * @route POST /api/openai/create-reservation
- * @description Create a table reservation
- * @body { customerName: string, numGuests: number, date: string, time: string, email?: string, phone?: string }
- * @returns { success: boolean, booking: object }
+ * @description Create a table reservation - same allocation, storage and emails as POST /api/booking/create-reservation
+ * @body { customerName: string, numGuests: number, date: string, time: string, locationId?: string, email?: string, phone?: string,
+ *        preferredLocation?: string, accessible?: boolean, highChair?: boolean }
+ * @returns { success: boolean, message: string, booking: object (the stored reservation), manageToken: string,
+ *            confirmationDetails: object, depositRequired: object|null }
+ *          409 { reasonCode, alternatives } if a concurrent booking took the table
  */
-router.post("/create-reservation", createReservation);
+router.post("/create-reservation", idempotent("openai-create-reservation"), withLocation(), createReservation);
 
 /**
  * @route GET /api/openai/health
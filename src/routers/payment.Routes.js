@@ -7,6 +7,8 @@ import {
   getPaymentStatusHandler,
   getPaymentMethodsHandler
 } from "../controller/payment.Controller.js";
+import { idempotent } from "../middleware/idempotency.js";
+import { withLocation } from "../middleware/location.js";
 
 const router = express.Router();
 
@@ -14,22 +16,26 @@ const router = express.Router();
 
 /**
  * @route   GET /api/payment/methods
- * @desc    Get all available payment methods
- * @returns { success, paymentMethods[], bankDetails, cashAppTag }
+ * @desc    Get the payment methods a location accepts
+ * @query   locationId?
+ * @returns { success, locationId, paymentMethods[], bankDetails, cashAppTag }
  */
-router.get("/methods", getPaymentMethodsHandler);
+router.get("/methods", withLocation(), getPaymentMethodsHandler);
 
 /**
  * @route   POST /api/payment/process-card
- * @desc    Process credit/debit card payment
+ * @desc    Pay a reservation's deposit (confirms it) or late-cancellation fee by card
+ * @header  Idempotency-Key? (retries with the same key and body replay the original response)
  * @body    { reservationId, cardDetails: { cardNumber, expiryMonth, expiryYear, cvv, holderName }, amount, currency }
- * @returns { success, paymentId, transactionId, status }
+ * @returns { success, paymentId, transactionId, purpose, amount, status, reservationStatus }
+ *          400 { amountDue } if amount doesn't match what the reservation owes
+ *          409 if nothing is due or the deposit hold has expired
  */
-router.post("/process-card", processCardPaymentHandler);
+router.post("/process-card", idempotent("process-card"), processCardPaymentHandler);
 
 /**
  * @route   GET /api/payment/bank-transfer/:reservationId
- * @desc    Get bank transfer details
+ * @desc    Get bank transfer details for the reservation's location
  * @params  reservationId
  * @returns { success, bankDetails, instructions }
  */
@@ -37,7 +43,7 @@ router.get("/bank-transfer/:reservationId", getBankTransferHandler);
 
 /**
  * @route   GET /api/payment/cashapp/:reservationId
- * @desc    Get CashApp payment details
+ * @desc    Get CashApp payment details for the reservation's location
  * @params  reservationId
  * @returns { success, cashAppTag, instructions }
  */
@@ -45,16 +51,19 @@ router.get("/cashapp/:reservationId", getCashAppHandler);
 
 /**
  * @route   POST /api/payment/confirm-offline
- * @desc    Confirm offline payment (Bank Transfer / CashApp)
- * @body    { reservationId, method: "bank_transfer" | "cashapp", notes? }
- * @returns { success, paymentId, status: "pending_verification" }
+ * @desc    Confirm offline payment (Bank Transfer / CashApp) of a deposit or late-cancellation fee
+ *          (deposit holds stay pending_payment until staff confirm the reservation, or are released at verifyBy)
+ * @body    { reservationId, method: "bank_transfer" | "cashapp", notes?, email? or phone? (as used to book) }
+ * @header  x-manage-token (instead of email/phone)
+ * @returns { success, paymentId, purpose, amount, status: "pending_verification", verifyBy }
  */
 router.post("/confirm-offline", confirmOfflinePaymentHandler);
 
 /**
  * @route   GET /api/payment/status/:paymentId
- * @desc    Get payment status (must be owner)
+ * @desc    Get payment status
  * @params  paymentId
+ * @query   token? (manage token), or email? / phone? (as used to book)
  * @returns { success, payment }
  */
 router.get("/status/:paymentId", getPaymentStatusHandler);
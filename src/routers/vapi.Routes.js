@@ -14,14 +14,16 @@ import {
   // Frontend Logging
   receiveLogs
 } from "../controller/vapi.Controller.js";
+import { withLocation } from "../middleware/location.js";
 
 const router = express.Router();
 
 // ==================== VAPI CALL MANAGEMENT ENDPOINTS ====================
 
 // POST - Make a Vapi call (frontend -> backend -> Vapi)
-// Status: 200 (Success), 400 (Configuration Error), 500 (Server Error)
-router.post("/vapi/make-call", makeVapiCall);
+// Optional locationId in the body picks the venue the assistant speaks for
+// Status: 200 (Success), 400 (Configuration Error), 404 (Unknown Location), 500 (Server Error)
+router.post("/vapi/make-call", withLocation(), makeVapiCall);
 
 // POST - Initiate a new VAPI call
 // Status: 200 (Success), 400 (Configuration Error), 500 (Server Error)
@@ -0,0 +1,490 @@
+import repository from "../repository/index.js";
+import { RESTAURANT_TABLES } from "../config/restaurant.js";
+import { getServicePeriods } from "./calendar.js";
+import { getTables, getTableCombinations } from "./tables.js";
+import { holdsTable, RESERVATION_STATUSES } from "./reservationStatus.js";
+import { isDepositOverdue } from "./deposits.js";
+import { getTurnTime } from "./turnTimes.js";
+import { rankByPreference } from "./seatingPreferences.js";
+import { toRestaurantSlot, RESTAURANT_TIMEZONE } from "./timezone.js";
+import { isAtLocation, DEFAULT_LOCATION_ID } from "./locations.js";
+
+// ==================== AVAILABILITY HELPERS ====================
+// Shared by the booking and waitlist controllers
+// Every check is for one location - its tables, hours and bookings (locationId defaults to the default venue)
+
+// Machine-readable reasons a slot can't be booked (returned as reasonCode)
+export const REASON_CODES = {
+  CLOSED_DAY: "CLOSED_DAY",                         // weekly day off
+  CLOSED_EXCEPTION: "CLOSED_EXCEPTION",             // holiday, private buyout
+  OUTSIDE_SERVICE_HOURS: "OUTSIDE_SERVICE_HOURS",   // not within any service period
+  AFTER_LAST_SEATING: "AFTER_LAST_SEATING",         // within service but past the last seating
+  SLOT_IN_PAST: "SLOT_IN_PAST",
+  INSUFFICIENT_LEAD_TIME: "INSUFFICIENT_LEAD_TIME", // same-day booking made too late
+  PACING_LIMIT: "PACING_LIMIT",                     // tables free, but the kitchen's arrivals for that interval are full
+  NO_TABLES: "NO_TABLES"                            // open, but fully booked
+};
+
+// Party sizes a booking, hold or waitlist entry can be made for
+export const PARTY_SIZE = { min: 1, max: 20 };
+
+/**
+ * Read a party size sent as a number or a numeric string ("4" from chat and voice clients)
+ * @returns {number|null} - Whole number of guests, or null unless it is within PARTY_SIZE
+ */
+export const parsePartySize = (value) => {
+  const guests = typeof value === "string" && /^\s*\d+\s*$/.test(value) ? Number(value) : value;
+  if (!Number.isInteger(guests) || guests < PARTY_SIZE.min || guests > PARTY_SIZE.max) return null;
+  return guests;
+};
+
+/**
+ * Get the latest bookable start time of a service period in minutes
+ */
+export const getLastSeating = (period) => {
+  return period.lastSeating
+    ? toMinutes(period.lastSeating)
+    : toMinutes(period.close) - RESTAURANT_TABLES.lastSeatingBuffer;
+};
+
+/**
+ * Check whether a whole day is closed (no service periods)
+ * @param {object} servicePeriods - Result of getServicePeriods(date)
+ * @returns {object|null} - { open: false, reasonCode, reason }, or null if the day has service
+ */
+export const getClosure = ({ date, dayName, periods, exception }) => {
+  if (periods.length > 0) return null;
+
+  return {
+    open: false,
+    reasonCode: exception ? REASON_CODES.CLOSED_EXCEPTION : REASON_CODES.CLOSED_DAY,
+    reason: exception
+      ? `Restaurant is closed on ${date}${exception.reason ? ` (${exception.reason})` : ""}`
+      : `Restaurant is closed on ${dayName}s`
+  };
+};
+
+/**
+ * Find the service period a start time falls in (null if none)
+ */
+export const findServicePeriod = (periods, time) => {
+  const requestTime = toMinutes(time);
+  return periods.find(p => requestTime >= toMinutes(p.open) && requestTime < toMinutes(p.close)) || null;
+};
+
+/**
+ * Check a time against a day's service periods (from getServicePeriods)
+ * A slot is only bookable between a period's opening and its last seating
+ */
+const checkServiceHours = (servicePeriods, time) => {
+  const { date, periods } = servicePeriods;
+
+  // Check if closed on that day
+  const closure = getClosure(servicePeriods);
+  if (closure) return closure;
+
+  // Check if time falls within one of the day's service periods
+  const requestTime = toMinutes(time);
+  const period = findServicePeriod(periods, time);
+
+  if (!period) {
+    return {
+      open: false,
+      reasonCode: REASON_CODES.OUTSIDE_SERVICE_HOURS,
+      reason: `Restaurant is open ${periods.map(p => `${p.open} - ${p.close}`).join(", ")} on ${date}`,
+      hours: periods
+    };
+  }
+
+  // Kitchen needs time to serve a full meal before close
+  if (requestTime > getLastSeating(period)) {
+    return {
+      open: false,
+      reasonCode: REASON_CODES.AFTER_LAST_SEATING,
+      reason: `Last seating for ${period.name || "this service"} is ${toTime(getLastSeating(period))}`,
+      hours: periods
+    };
+  }
+
+  return { open: true, period: period };
+};
+
+/**
+ * Check if restaurant is open on given date/time
+ * Uses the weekly service periods plus any dated exception (holiday, buyout, extended hours)
+ */
+export const isRestaurantOpen = async (date, time, locationId = DEFAULT_LOCATION_ID) => {
+  return checkServiceHours(await getServicePeriods(date, locationId), time);
+};
+
+/**
+ * Check a slot is far enough in the future to book
+ * Same-day bookings need at least minimumLeadTime minutes notice
+ * @param {string} timeZone - The location's zone (getLocationTimeZone), which decides what "now" is
+ */
+export const checkBookingWindow = (date, time, timeZone = RESTAURANT_TIMEZONE) => {
+  const now = getCurrentSlot(timeZone);
+
+  if (date < now.date || (date === now.date && time <= now.time)) {
+    return {
+      bookable: false,
+      reasonCode: REASON_CODES.SLOT_IN_PAST,
+      reason: "Requested time has already passed"
+    };
+  }
+
+  if (date === now.date && toMinutes(time) - toMinutes(now.time) < RESTAURANT_TABLES.minimumLeadTime) {
+    return {
+      bookable: false,
+      reasonCode: REASON_CODES.INSUFFICIENT_LEAD_TIME,
+      reason: `Same-day reservations must be made at least ${RESTAURANT_TABLES.minimumLeadTime} minutes in advance`
+    };
+  }
+
+  return { bookable: true };
+};
+
+/**
+ * Convert "HH:MM" into minutes since midnight
+ */
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight into "HH:MM"
+ */
+export const toTime = (minutes) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+};
+
+/**
+ * Add days to a "YYYY-MM-DD" date
+ */
+export const addDays = (date, days) => {
+  const dateObj = new Date(`${date}T00:00:00Z`);
+  dateObj.setUTCDate(dateObj.getUTCDate() + days);
+  return dateObj.toISOString().slice(0, 10);
+};
+
+/**
+ * Get current date/time as a booking slot ({ date: "YYYY-MM-DD", time: "HH:MM" })
+ * in the restaurant's time zone, so "today" rolls over at the restaurant's midnight
+ * @param {string} timeZone - A location's zone (getLocationTimeZone), defaults to the group's
+ */
+export const getCurrentSlot = (timeZone = RESTAURANT_TIMEZONE) => {
+  return toRestaurantSlot(new Date(), timeZone);
+};
+
+/**
+ * Load what can occupy a location's tables on a date: reservations, waitlist offers and checkout holds
+ * @returns {Promise<object>} - { reservations, offers, holds }
+ */
+export const loadBookings = async (date, locationId = DEFAULT_LOCATION_ID) => {
+  const atLocation = (record) => isAtLocation(record, locationId);
+  return {
+    reservations: (await repository.reservations.find({ date: date })).filter(atLocation),
+    offers: (await repository.waitlist.find({ date: date, status: "offered" })).filter(atLocation),
+    holds: (await repository.holds.find({ date: date, status: "active" })).filter(atLocation)
+  };
+};
+
+/**
+ * Get tables held by active reservations, waitlist offers and checkout holds overlapping the given slot
+ * Occupancy follows the reservation status: pending/confirmed/reminded/arrived bookings hold
+ * their tables for their turn time, a seated party holds them until marked completed,
+ * and completed, no-show and cancelled bookings free them
+ * Returns a Map of tableId -> { tableIds (all tables of the holding booking), status, reservationId? }
+ * @param {object} exclude - { reservationId?, waitlistId?, holdId? } bookings that shouldn't block themselves
+ * @param {number} turnTime - How long the slot being checked would occupy a table (minutes)
+ * @param {object} snapshot - { servicePeriods?, bookings? } already loaded for the date (see getAvailableTables)
+ */
+export const getBookedTableIds = async (date, time, exclude = {}, turnTime = RESTAURANT_TABLES.seatingDuration, locationId = DEFAULT_LOCATION_ID, snapshot = {}) => {
+  const slotStart = toMinutes(time);
+  const slotEnd = slotStart + turnTime;
+  const bookedTableIds = new Map();
+  const { periods, timeZone } = snapshot.servicePeriods || await getServicePeriods(date, locationId);
+  const now = getCurrentSlot(timeZone);
+  const { reservations, offers, holds } = snapshot.bookings || await loadBookings(date, locationId);
+
+  // Offers and holds occupy the table for the turn time their booking would get
+  const turnTimeFor = (numGuests, startTime) => getTurnTime(numGuests, findServicePeriod(periods, startTime));
+
+  const markIfOverlapping = (startTime, seatingDuration, tableIds, holder) => {
+    const bookingStart = toMinutes(startTime);
+    let bookingEnd = bookingStart + (seatingDuration || RESTAURANT_TABLES.seatingDuration);
+
+    // A seated party that is running over keeps the table until it is completed
+    if (holder.status === RESERVATION_STATUSES.SEATED && date === now.date) {
+      bookingEnd = Math.max(bookingEnd, toMinutes(now.time) + 1);
+    }
+
+    if (slotStart < bookingEnd && bookingStart < slotEnd) {
+      tableIds.forEach(tableId => bookedTableIds.set(tableId, { tableIds: tableIds, ...holder }));
+    }
+  };
+
+  for (const reservation of reservations) {
+    if (reservation.id === exclude.reservationId) continue;
+    if (!holdsTable(reservation.status)) continue;
+    // Unpaid deposit holds stop blocking the table as soon as they're past due
+    if (isDepositOverdue(reservation)) continue;
+
+    // Older reservations only have a single tableId
+    markIfOverlapping(reservation.time, reservation.seatingDuration, reservation.tableIds || [reservation.tableId], {
+      status: reservation.status,
+      reservationId: reservation.id
+    });
+  }
+
+  // Tables offered to waitlisted guests stay held until the offer expires
+  for (const entry of offers) {
+    if (entry.id === exclude.waitlistId) continue;
+    if (new Date(entry.hold.expiresAt) <= new Date()) continue;
+
+    markIfOverlapping(entry.time, turnTimeFor(entry.numGuests, entry.time), entry.hold.tableIds, { status: "held" });
+  }
+
+  // Checkout holds keep the chosen table while the guest finishes booking
+  for (const hold of holds) {
+    if (hold.id === exclude.holdId) continue;
+    if (new Date(hold.expiresAt) <= new Date()) continue;
+
+    markIfOverlapping(hold.time, turnTimeFor(hold.numGuests, hold.time), hold.tableIds, { status: "held" });
+  }
+
+  return bookedTableIds;
+};
+
+/**
+ * Get the arrival interval a start time falls in under a period's pacing rule
+ * @returns {object|null} - { start, end, maxCovers, maxParties } in minutes, or null if the period isn't paced
+ */
+export const getPacingInterval = (period, time) => {
+  const rule = period && RESTAURANT_TABLES.pacing[period.name];
+  if (!rule) return null;
+
+  const open = toMinutes(period.open);
+  const start = open + Math.floor((toMinutes(time) - open) / rule.intervalMinutes) * rule.intervalMinutes;
+
+  return { start: start, end: start + rule.intervalMinutes, maxCovers: rule.maxCovers, maxParties: rule.maxParties };
+};
+
+/**
+ * Check the kitchen's pacing limit for a party arriving at a slot
+ * Counts every booking arriving in the same interval (including ones already seated or completed),
+ * plus waitlist offers and checkout holds that are about to become bookings
+ * @param {object} bookings - The date's bookings if already loaded (loadBookings)
+ * @returns {Promise<object>} - { allowed, covers, parties, interval?, reason? }
+ */
+export const checkPacing = async (numGuests, date, time, period, exclude = {}, locationId = DEFAULT_LOCATION_ID, bookings = null) => {
+  const interval = getPacingInterval(period, time);
+  if (!interval) return { allowed: true };
+
+  const { reservations, offers, holds } = bookings || await loadBookings(date, locationId);
+
+  const inInterval = (startTime) => {
+    const minutes = toMinutes(startTime);
+    return minutes >= interval.start && minutes < interval.end;
+  };
+
+  const arrivals = [];
+  const now = new Date();
+
+  for (const reservation of reservations) {
+    if (reservation.id === exclude.reservationId) continue;
+    if (!holdsTable(reservation.status) && reservation.status !== RESERVATION_STATUSES.COMPLETED) continue;
+    if (isDepositOverdue(reservation)) continue;
+    if (inInterval(reservation.time)) arrivals.push(Number(reservation.numGuests));
+  }
+
+  for (const entry of offers) {
+    if (entry.id === exclude.waitlistId || new Date(entry.hold.expiresAt) <= now) continue;
+    if (inInterval(entry.time)) arrivals.push(Number(entry.numGuests));
+  }
+
+  for (const hold of holds) {
+    if (hold.id === exclude.holdId || new Date(hold.expiresAt) <= now) continue;
+    if (inInterval(hold.time)) arrivals.push(Number(hold.numGuests));
+  }
+
+  const covers = arrivals.reduce((sum, guests) => sum + guests, 0);
+  const parties = arrivals.length;
+  // The first party in an interval always fits, so a party larger than maxCovers can still book a quiet slot
+  const coversAllowed = parties === 0 || covers + Number(numGuests) <= interval.maxCovers;
+  const allowed = coversAllowed && parties + 1 <= interval.maxParties;
+
+  return {
+    allowed: allowed,
+    covers: covers,
+    parties: parties,
+    interval: { ...interval, start: toTime(interval.start), end: toTime(interval.end) },
+    reason: allowed
+      ? undefined
+      : `The kitchen is fully paced for arrivals between ${toTime(interval.start)} and ${toTime(interval.end)}`
+  };
+};
+
+/**
+ * Get available tables for given criteria
+ * Pass exclude ({ reservationId?, waitlistId?, holdId? }) when re-checking an existing booking so it doesn't block itself
+ * Tables must be free for the party's turn time (pass turnTime to use a staff override instead)
+ * The result includes the turnTime a booking of this slot would get
+ * Checking many slots (e.g. a month calendar)? Pass a snapshot ({ servicePeriods, tables, bookings })
+ * loaded once for the date so each slot is worked out in memory
+ */
+export const getAvailableTables = async (numGuests, date, time, exclude = {}, turnTime = null, locationId = DEFAULT_LOCATION_ID, snapshot = {}) => {
+  // First check if restaurant is open
+  const servicePeriods = snapshot.servicePeriods || await getServicePeriods(date, locationId);
+  const openStatus = checkServiceHours(servicePeriods, time);
+  if (!openStatus.open) {
+    return {
+      available: false,
+      reasonCode: openStatus.reasonCode,
+      reason: openStatus.reason,
+      tables: [],
+      combinations: []
+    };
+  }
+
+  const bookingWindow = checkBookingWindow(date, time, servicePeriods.timeZone);
+  if (!bookingWindow.bookable) {
+    return {
+      available: false,
+      reasonCode: bookingWindow.reasonCode,
+      reason: bookingWindow.reason,
+      tables: [],
+      combinations: []
+    };
+  }
+
+  // Free tables don't help if the kitchen can't take more arrivals at that time
+  const bookings = snapshot.bookings || await loadBookings(date, locationId);
+  const pacing = await checkPacing(numGuests, date, time, openStatus.period, exclude, locationId, bookings);
+  if (!pacing.allowed) {
+    return {
+      available: false,
+      reasonCode: REASON_CODES.PACING_LIMIT,
+      reason: pacing.reason,
+      pacing: pacing.interval,
+      tables: [],
+      combinations: []
+    };
+  }
+
+  // Find active tables sized for the party that are free for the whole turn time
+  const seatingDuration = turnTime || getTurnTime(numGuests, openStatus.period);
+  const tables = snapshot.tables || await getTables({ locationId: locationId });
+  const bookedTableIds = await getBookedTableIds(date, time, exclude, seatingDuration, locationId, { ...snapshot, servicePeriods: servicePeriods, bookings: bookings });
+  const suitableTables = tables.filter(
+    table => table.minCovers <= numGuests && numGuests <= table.maxCovers && !bookedTableIds.has(table.id)
+  );
+
+  // Only join tables when no single table can seat the party
+  const combinations = suitableTables.length > 0
+    ? []
+    : getAvailableCombinations(numGuests, tables, bookedTableIds);
+
+  const optionCount = suitableTables.length + combinations.length;
+
+  return {
+    available: optionCount > 0,
+    reasonCode: optionCount > 0 ? undefined : REASON_CODES.NO_TABLES,
+    tables: suitableTables,
+    combinations: combinations,
+    turnTime: seatingDuration,
+    message: suitableTables.length > 0
+      ? `✅ Found ${suitableTables.length} available table(s) for ${numGuests} guest(s)`
+      : combinations.length > 0
+        ? `✅ Found ${combinations.length} joined table option(s) for ${numGuests} guest(s)`
+        : `❌ No tables available for ${numGuests} guest(s) at ${time}`
+  };
+};
+
+/**
+ * Get joinable table groups that seat the party and are completely free
+ */
+const getAvailableCombinations = (numGuests, tables, bookedTableIds) => {
+  return getTableCombinations(tables).filter(combination =>
+    combination.seats >= numGuests &&
+    combination.tableIds.every(id => !bookedTableIds.has(id))
+  );
+};
+
+/**
+ * Pick the seating for a party from an availability result
+ * Prefers the given tables (e.g. from a hold) if still available, then the smallest single table,
+ * then the smallest joined group - with seating preferences, the best-matching option wins
+ */
+export const selectSeating = (availability, preferredTableIds = null, preferences = null) => {
+  if (preferredTableIds) {
+    const key = [...preferredTableIds].sort((a, b) => a - b).join(",");
+    const preferred = [
+      ...availability.tables.map(t => ({ tableIds: [t.id], seats: t.seats, location: t.location })),
+      ...availability.combinations.map(c => ({ tableIds: c.tableIds, seats: c.seats, location: c.location }))
+    ].find(option => [...option.tableIds].sort((a, b) => a - b).join(",") === key);
+    if (preferred) return preferred;
+  }
+
+  const options = preferences
+    ? rankByPreference(availability, preferences)
+    : {
+        tables: [...availability.tables].sort((a, b) => a.seats - b.seats),
+        combinations: [...availability.combinations].sort((a, b) => a.seats - b.seats)
+      };
+
+  const [table] = options.tables;
+  if (table) {
+    return { tableIds: [table.id], seats: table.seats, location: table.location };
+  }
+
+  const [combination] = options.combinations;
+  return { tableIds: combination.tableIds, seats: combination.seats, location: combination.location };
+};
+
+/**
+ * Find bookable alternatives for a party when the requested slot is unavailable
+ * Returns the nearest open times on the same day and the same time on following open days
+ */
+export const findAlternativeSlots = async (numGuests, date, time, exclude = {}, locationId = DEFAULT_LOCATION_ID) => {
+  const { sameDayLimit, nextDaysLimit, searchDays } = RESTAURANT_TABLES.alternatives;
+  const interval = RESTAURANT_TABLES.slotInterval;
+  const requested = toMinutes(time);
+
+  const isBookable = async (slotDate, slotTime) => {
+    const availability = await getAvailableTables(numGuests, slotDate, slotTime, exclude, null, locationId);
+    return availability.available;
+  };
+
+  // Same day: every slot up to each period's last seating, nearest to the requested time first
+  const { periods } = await getServicePeriods(date, locationId);
+  const candidates = [];
+  for (const period of periods) {
+    for (let minutes = toMinutes(period.open); minutes <= getLastSeating(period); minutes += interval) {
+      if (minutes !== requested) candidates.push(minutes);
+    }
+  }
+  candidates.sort((a, b) => Math.abs(a - requested) - Math.abs(b - requested) || a - b);
+
+  const sameDay = [];
+  for (const minutes of candidates) {
+    if (sameDay.length >= sameDayLimit) break;
+    if (await isBookable(date, toTime(minutes))) {
+      sameDay.push({ date: date, time: toTime(minutes) });
+    }
+  }
+  sameDay.sort((a, b) => a.time.localeCompare(b.time));
+
+  // Following days: same time, skipping days the restaurant is closed or full
+  const nextDays = [];
+  for (let offset = 1; offset <= searchDays && nextDays.length < nextDaysLimit; offset++) {
+    const nextDate = addDays(date, offset);
+    if (await isBookable(nextDate, time)) {
+      nextDays.push({ date: nextDate, time: time });
+    }
+  }
+
+  return { sameDay: sameDay, nextDays: nextDays };
+};
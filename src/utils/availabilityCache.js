@@ -0,0 +1,54 @@
+import { RESTAURANT_TABLES } from "../config/restaurant.js";
+
+// ==================== AVAILABILITY CACHE ====================
+// Month calendars check every slot of every day, so results are cached per location, month and party size.
+// Anything that changes table occupancy on a date invalidates that date's month; floor plan and
+// opening-hours changes clear everything. Entries also lapse after cacheSeconds because time
+// moving on (passed slots, lapsing holds) changes availability without any write.
+
+const cache = new Map(); // { "locationId|YYYY-MM|guests": { value, expiresAt } }
+
+const cacheKey = (month, numGuests, locationId) => `${locationId}|${month}|${numGuests}`;
+
+/**
+ * Get a cached month calendar (null if missing or stale)
+ */
+export const getCachedCalendar = (month, numGuests, locationId) => {
+  const entry = cache.get(cacheKey(month, numGuests, locationId));
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    cache.delete(cacheKey(month, numGuests, locationId));
+    return null;
+  }
+
+  return entry.value;
+};
+
+/**
+ * Cache a month calendar
+ */
+export const setCachedCalendar = (month, numGuests, locationId, value) => {
+  cache.set(cacheKey(month, numGuests, locationId), {
+    value: value,
+    expiresAt: Date.now() + RESTAURANT_TABLES.availabilityCalendar.cacheSeconds * 1000
+  });
+};
+
+/**
+ * Drop cached calendars after a change to bookings
+ * @param {string} date - "YYYY-MM-DD" whose month changed, or omit to clear everything
+ * @param {string} locationId - Location whose bookings changed, or omit for every location
+ */
+export const invalidateAvailabilityCache = (date = null, locationId = null) => {
+  if (!date) {
+    cache.clear();
+    return;
+  }
+
+  const month = date.slice(0, 7);
+  for (const key of cache.keys()) {
+    const [keyLocationId, keyMonth] = key.split("|");
+    if (keyMonth === month && (!locationId || keyLocationId === locationId)) cache.delete(key);
+  }
+};
@@ -0,0 +1,181 @@
+import { RESTAURANT_TABLES } from "../config/restaurant.js";
+import repository from "../repository/index.js";
+import { getServicePeriods } from "./calendar.js";
+import { getTables } from "./tables.js";
+import {
+  getClosure,
+  getAvailableTables,
+  getLastSeating,
+  getCurrentSlot,
+  toMinutes,
+  toTime,
+  addDays,
+  REASON_CODES
+} from "./availability.js";
+import { getCachedCalendar, setCachedCalendar } from "./availabilityCache.js";
+import { DEFAULT_LOCATION_ID, isAtLocation, getLocation, getLocationTimeZone } from "./locations.js";
+
+// ==================== AVAILABILITY CALENDAR ====================
+// Month view for date pickers: each day is
+// closed  - no service (weekly closure, exception, or no bookable times left)
+// full    - open, but no table (or kitchen pacing capacity) for the party at any slot
+// limited - limitedThreshold or less of the day's slots still bookable
+// open    - plenty of availability
+
+export const DAY_STATUSES = {
+  CLOSED: "closed",
+  FULL: "full",
+  LIMITED: "limited",
+  OPEN: "open"
+};
+
+/**
+ * Get the number of days in a "YYYY-MM" month
+ */
+const getDaysInMonth = (month) => {
+  const [year, monthNumber] = month.split("-").map(Number);
+  return new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+};
+
+/**
+ * Load a month's tables, reservations, waitlist offers and checkout holds in one pass
+ * @returns {Promise<object>} - { tables, bookingsFor(date) } with bookings shaped like loadBookings()
+ */
+const loadMonth = async (firstDay, lastDay, locationId) => {
+  const inMonth = (record) => isAtLocation(record, locationId) && record.date >= firstDay && record.date <= lastDay;
+
+  const tables = await getTables({ locationId: locationId });
+  const reservations = (await repository.reservations.find({ date: { gte: firstDay, lte: lastDay } })).filter(inMonth);
+  const offers = (await repository.waitlist.find({ status: "offered" })).filter(inMonth);
+  const holds = (await repository.holds.find({ status: "active" })).filter(inMonth);
+
+  const onDate = (records, date) => records.filter(record => record.date === date);
+
+  return {
+    tables: tables,
+    bookingsFor: (date) => ({
+      reservations: onDate(reservations, date),
+      offers: onDate(offers, date),
+      holds: onDate(holds, date)
+    })
+  };
+};
+
+/**
+ * Work out one day's status and bookable start times for a party
+ * Each slot goes through getAvailableTables, so opening hours, the booking window,
+ * bookings and holds are applied exactly as they are for a real booking - against
+ * the month's records loaded up front, so slots are worked out without further reads
+ */
+const buildDay = async (numGuests, date, today, locationId, month) => {
+  const servicePeriods = await getServicePeriods(date, locationId);
+  const { dayName, periods } = servicePeriods;
+
+  const day = {
+    date: date,
+    dayName: dayName,
+    status: DAY_STATUSES.CLOSED,
+    periods: periods.map(period => ({
+      name: period.name,
+      open: period.open,
+      close: period.close,
+      // Arrival limits per interval (null if the period isn't paced)
+      pacing: RESTAURANT_TABLES.pacing[period.name] || null
+    })),
+    slots: [],
+    // Times with free tables that the kitchen's pacing limit closed
+    pacedSlots: [],
+    availableSlots: 0,
+    totalSlots: 0
+  };
+
+  const closure = getClosure(servicePeriods);
+  if (closure) {
+    return { ...day, reasonCode: closure.reasonCode, reason: closure.reason };
+  }
+
+  if (date < today) {
+    return { ...day, reasonCode: REASON_CODES.SLOT_IN_PAST, reason: "Date has already passed" };
+  }
+
+  const snapshot = { servicePeriods: servicePeriods, tables: month.tables, bookings: month.bookingsFor(date) };
+
+  for (const period of periods) {
+    for (let minutes = toMinutes(period.open); minutes <= getLastSeating(period); minutes += RESTAURANT_TABLES.slotInterval) {
+      const time = toTime(minutes);
+      const availability = await getAvailableTables(numGuests, date, time, {}, null, locationId, snapshot);
+
+      // Times that have passed (or are inside the lead time) don't count towards the day's capacity
+      if (availability.reasonCode === REASON_CODES.SLOT_IN_PAST ||
+          availability.reasonCode === REASON_CODES.INSUFFICIENT_LEAD_TIME) {
+        continue;
+      }
+
+      day.totalSlots++;
+      if (availability.available) day.slots.push(time);
+      if (availability.reasonCode === REASON_CODES.PACING_LIMIT) day.pacedSlots.push(time);
+    }
+  }
+
+  day.availableSlots = day.slots.length;
+
+  if (day.totalSlots === 0) {
+    return { ...day, reasonCode: REASON_CODES.SLOT_IN_PAST, reason: "No bookable times left today" };
+  }
+
+  if (day.availableSlots === 0) {
+    const fullyPaced = day.pacedSlots.length === day.totalSlots;
+    return {
+      ...day,
+      status: DAY_STATUSES.FULL,
+      reasonCode: fullyPaced ? REASON_CODES.PACING_LIMIT : REASON_CODES.NO_TABLES,
+      reason: fullyPaced
+        ? "The kitchen is fully paced for arrivals all day"
+        : `Fully booked for ${numGuests} guest(s)`
+    };
+  }
+
+  day.status = day.availableSlots / day.totalSlots <= RESTAURANT_TABLES.availabilityCalendar.limitedThreshold
+    ? DAY_STATUSES.LIMITED
+    : DAY_STATUSES.OPEN;
+
+  return day;
+};
+
+/**
+ * Get availability for every day of a month at a location
+ * Cached per location, month and party size (see availabilityCache.js)
+ * @param {string} month - "YYYY-MM"
+ * @param {number} numGuests - Party size
+ * @param {string} locationId - Location to check
+ * @returns {Promise<object>} - { month, numGuests, locationId, days[], summary, generatedAt, cached }
+ */
+export const getMonthAvailability = async (month, numGuests, locationId = DEFAULT_LOCATION_ID) => {
+  const cached = getCachedCalendar(month, numGuests, locationId);
+  if (cached) return { ...cached, cached: true };
+
+  const today = getCurrentSlot(getLocationTimeZone(await getLocation(locationId))).date;
+  const firstDay = `${month}-01`;
+  const daysInMonth = getDaysInMonth(month);
+  const monthRecords = await loadMonth(firstDay, addDays(firstDay, daysInMonth - 1), locationId);
+  const days = [];
+
+  for (let offset = 0; offset < daysInMonth; offset++) {
+    days.push(await buildDay(numGuests, addDays(firstDay, offset), today, locationId, monthRecords));
+  }
+
+  const summary = Object.fromEntries(Object.values(DAY_STATUSES).map(status => [status, 0]));
+  for (const day of days) summary[day.status]++;
+
+  const calendar = {
+    month: month,
+    numGuests: numGuests,
+    locationId: locationId,
+    days: days,
+    summary: summary,
+    generatedAt: new Date().toISOString()
+  };
+
+  setCachedCalendar(month, numGuests, locationId, calendar);
+  return { ...calendar, cached: false };
+};
@@ -0,0 +1,104 @@
+import repository from "../repository/index.js";
+import { RESTAURANT_TABLES } from "../config/restaurant.js";
+import { isValidTime } from "./timezone.js";
+import { getLocation, getOperatingHours, getLocationTimeZone, isAtLocation, DEFAULT_LOCATION_ID } from "./locations.js";
+
+// ==================== OPENING CALENDAR ====================
+// Weekly service periods come from the location (or config); dated exceptions live in storage
+// Exception: { id, date, locationId, type: "closed" | "hours", periods[], reason }
+//   id is the date for the default location and "<locationId>:<date>" for the others
+//   closed - no service that day (holidays, private buyouts)
+//   hours  - periods replace the weekly schedule for that day (extended or reduced hours)
+
+export const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+/**
+ * Get weekday name for a "YYYY-MM-DD" date
+ */
+export const getDayName = (date) => {
+  return WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+};
+
+/**
+ * Validate a list of service periods
+ * @returns {string|null} - Error message, or null when valid
+ */
+export const validatePeriods = (periods) => {
+  if (!Array.isArray(periods) || periods.length === 0) {
+    return "periods must be a non-empty array of { name?, open: 'HH:MM', close: 'HH:MM', lastSeating?: 'HH:MM' }";
+  }
+
+  for (const period of periods) {
+    if (!isValidTime(period?.open) || !isValidTime(period?.close)) {
+      return "Each period needs open and close times in HH:MM format";
+    }
+    if (period.open >= period.close) {
+      return `Period ${period.open} - ${period.close} must close after it opens`;
+    }
+    if (period.lastSeating !== undefined &&
+        (!isValidTime(period.lastSeating) || period.lastSeating < period.open || period.lastSeating >= period.close)) {
+      return `Last seating for ${period.open} - ${period.close} must be an HH:MM time within the period`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Get the storage ID of a location's exception for a date
+ * The default location keeps plain-date IDs so exceptions stored before locations still apply
+ */
+export const getExceptionId = (date, locationId = DEFAULT_LOCATION_ID) => {
+  return locationId === DEFAULT_LOCATION_ID ? date : `${locationId}:${date}`;
+};
+
+/**
+ * Get the service periods for a date at a location, applying any dated exception
+ * @returns {Promise<object>} - { date, dayName, periods[], exception, timeZone }
+ */
+export const getServicePeriods = async (date, locationId = DEFAULT_LOCATION_ID) => {
+  const dayName = getDayName(date);
+  const location = await getLocation(locationId);
+  const exception = await repository.calendarExceptions.get(getExceptionId(date, locationId));
+
+  let periods = getOperatingHours(location)[dayName] || [];
+  if (exception?.type === "closed") {
+    periods = [];
+  } else if (exception?.type === "hours") {
+    periods = exception.periods;
+  }
+
+  return {
+    date: date,
+    dayName: dayName,
+    periods: periods,
+    exception: exception || null,
+    // Zone the periods' times are in, so callers can tell which of them have passed
+    timeZone: getLocationTimeZone(location)
+  };
+};
+
+/**
+ * Get a location's dated exceptions within an inclusive date range, in date order
+ */
+export const getCalendarExceptions = async (from, to, locationId = DEFAULT_LOCATION_ID) => {
+  const exceptions = await repository.calendarExceptions.find();
+  return exceptions
+    .filter(exception => isAtLocation(exception, locationId))
+    .filter(exception => (!from || exception.date >= from) && (!to || exception.date <= to))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Describe a weekly schedule in plain text (used in AI prompts)
+ * @param {object} operatingHours - Weekly service periods (defaults to the group's schedule)
+ */
+export const describeWeeklyHours = (operatingHours = RESTAURANT_TABLES.operatingHours) => {
+  return WEEKDAYS.map(dayName => {
+    const periods = operatingHours[dayName] || [];
+    if (periods.length === 0) return `${dayName}: Closed`;
+    return `${dayName}: ${periods.map(p =>
+      `${p.name ? p.name + " " : ""}${p.open} – ${p.close}${p.lastSeating ? ` (last seating ${p.lastSeating})` : ""}`
+    ).join(", ")}`;
+  }).join("\n");
+};
@@ -0,0 +1,50 @@
+import { RESTAURANT_TABLES } from "../config/restaurant.js";
+import { getStartInstant } from "./timezone.js";
+
+// ==================== CANCELLATION POLICY ====================
+
+/**
+ * Get the cancellation terms that apply to a party size
+ * @returns {object} - { policy: "standard" | "large_party", freeCancellationHours, lateFeePerGuest, currency }
+ */
+export const getCancellationTerms = (numGuests) => {
+  const { freeCancellationHours, lateFeePerGuest, currency, largeParty } = RESTAURANT_TABLES.cancellationPolicy;
+  const isLargeParty = numGuests >= largeParty.minGuests;
+
+  return {
+    policy: isLargeParty ? "large_party" : "standard",
+    freeCancellationHours: isLargeParty ? largeParty.freeCancellationHours : freeCancellationHours,
+    lateFeePerGuest: isLargeParty ? largeParty.lateFeePerGuest : lateFeePerGuest,
+    currency: currency
+  };
+};
+
+/**
+ * Work out whether cancelling a reservation now is free or incurs a late fee
+ * @returns {object} - { started, late, fee, hoursBefore, deadline, ...terms }
+ */
+export const evaluateCancellation = (reservation, now = new Date()) => {
+  const terms = getCancellationTerms(reservation.numGuests);
+
+  const startsAt = getStartInstant(reservation);
+  const deadline = new Date(startsAt.getTime() - terms.freeCancellationHours * 60 * 60 * 1000);
+  const late = now > deadline;
+
+  return {
+    ...terms,
+    started: now >= startsAt,
+    late: late,
+    fee: late ? terms.lateFeePerGuest * reservation.numGuests : 0,
+    hoursBefore: Math.max(0, Math.round((startsAt - now) / (60 * 60 * 1000) * 10) / 10),
+    deadline: deadline.toISOString()
+  };
+};
+
+/**
+ * One-line policy summary for guests (emails, chat)
+ */
+export const describeCancellationPolicy = () => {
+  const { freeCancellationHours, lateFeePerGuest, largeParty } = RESTAURANT_TABLES.cancellationPolicy;
+  return `Free cancellation up to ${freeCancellationHours} hours before your reservation; later cancellations are charged $${lateFeePerGuest} per guest. ` +
+    `Parties of ${largeParty.minGuests} or more: ${largeParty.freeCancellationHours} hours' notice, $${largeParty.lateFeePerGuest} per guest.`;
+};
@@ -0,0 +1,131 @@
+import { logger } from "./logger.js";
+import repository from "../repository/index.js";
+import { RESTAURANT_TABLES } from "../config/restaurant.js";
+import { getDayName } from "./calendar.js";
+import { RESERVATION_STATUSES, canTransition, applyTransition } from "./reservationStatus.js";
+import { isAtLocation, DEFAULT_LOCATION_ID } from "./locations.js";
+
+// ==================== DEPOSITS ====================
+// Reservations matching a deposit rule start as pending_payment with reservation.deposit:
+// unpaid -> paid (card payment)
+//        -> pending_verification (bank transfer / CashApp) -> paid when staff confirm the reservation
+//                                                       -> expired (not verified by verifyBy)
+//        -> expired (not paid by dueBy - the reservation is cancelled and its table released)
+//        -> waived (staff confirmed without payment, or a change means no deposit is needed)
+
+/**
+ * Check whether a deposit rule applies to a booking
+ */
+const ruleMatches = (rule, numGuests, date, time) => {
+  if (rule.minGuests && numGuests < rule.minGuests) return false;
+  if (rule.days && !rule.days.includes(getDayName(date))) return false;
+  if (rule.fromTime && time < rule.fromTime) return false;
+  return true;
+};
+
+/**
+ * Work out the deposit a booking needs
+ * @returns {object|null} - { rule, description, perGuest, amount, currency }, or null if no deposit is needed
+ */
+export const getDepositRequirement = (numGuests, date, time) => {
+  const { rules, currency } = RESTAURANT_TABLES.depositPolicy;
+
+  const matching = rules.filter(rule => ruleMatches(rule, numGuests, date, time));
+  if (matching.length === 0) return null;
+
+  const rule = matching.reduce((highest, r) => (r.perGuest > highest.perGuest ? r : highest));
+
+  return {
+    rule: rule.name,
+    description: rule.description,
+    perGuest: rule.perGuest,
+    amount: Math.round(rule.perGuest * numGuests * 100) / 100,
+    currency: currency
+  };
+};
+
+/**
+ * Build the deposit record stored on a new reservation
+ * Payment is due within the payment window, or by the reservation time if that's sooner
+ * @param {string|Date} startsAt - The reservation's start instant (getStartTimestamps)
+ */
+export const createDeposit = (requirement, startsAt, now = new Date()) => {
+  const windowEnd = new Date(now.getTime() + RESTAURANT_TABLES.depositPolicy.paymentWindowMinutes * 60 * 1000);
+  const start = new Date(startsAt);
+
+  return {
+    ...requirement,
+    status: "unpaid",
+    dueBy: (start < windowEnd ? start : windowEnd).toISOString(),
+    paymentId: null,
+    paidAt: null
+  };
+};
+
+/**
+ * Deadline for staff to verify an offline deposit payment claimed at the given time
+ */
+export const getVerificationDeadline = (claimedAt = new Date()) => {
+  return new Date(claimedAt.getTime() + RESTAURANT_TABLES.depositPolicy.verificationWindowHours * 60 * 60 * 1000).toISOString();
+};
+
+/**
+ * When a pending deposit stops holding the table: dueBy while unpaid, verifyBy while an offline payment awaits staff
+ * @returns {string|null} - ISO timestamp, or null if the deposit isn't pending
+ */
+const getDepositDeadline = (deposit) => {
+  if (deposit?.status === "unpaid") return deposit.dueBy;
+  // Offline payments recorded before verifyBy existed get the window from their payment deadline
+  if (deposit?.status === "pending_verification") return deposit.verifyBy || getVerificationDeadline(new Date(deposit.dueBy));
+  return null;
+};
+
+/**
+ * Check whether a reservation is still waiting on a deposit that is past due (or past its verification deadline)
+ */
+export const isDepositOverdue = (reservation, now = new Date()) => {
+  const deadline = getDepositDeadline(reservation.deposit);
+  return reservation.status === RESERVATION_STATUSES.PENDING_PAYMENT &&
+    deadline !== null &&
+    new Date(deadline) <= now;
+};
+
+/**
+ * Cancel reservations at a location on a date whose deposit was not paid (or verified) in time
+ * Callers should offer the freed capacity to the waitlist afterwards
+ * @returns {Promise<array>} - Reservations that were cancelled
+ */
+export const expireUnpaidDeposits = async (date, locationId = DEFAULT_LOCATION_ID) => {
+  const now = new Date();
+  const pending = (await repository.reservations.find({ date: date, status: RESERVATION_STATUSES.PENDING_PAYMENT }))
+    .filter(reservation => isAtLocation(reservation, locationId));
+  const expired = [];
+
+  for (const reservation of pending) {
+    if (!isDepositOverdue(reservation, now)) continue;
+    if (!canTransition(reservation.status, RESERVATION_STATUSES.CANCELLED)) continue;
+
+    applyTransition(reservation, RESERVATION_STATUSES.CANCELLED, {
+      by: "system",
+      note: reservation.deposit.status === "pending_verification"
+        ? `Offline deposit payment not verified by ${getDepositDeadline(reservation.deposit)}`
+        : `Deposit not paid by ${reservation.deposit.dueBy}`
+    });
+    reservation.deposit.status = "expired";
+    await repository.reservations.save(reservation);
+
+    logger.log(`⌛ Unpaid deposit hold released: ${reservation.id} (${reservation.date} ${reservation.time})`);
+    expired.push(reservation);
+  }
+
+  return expired;
+};
+
+/**
+ * One-line deposit policy summary for guests (emails, chat)
+ */
+export const describeDepositPolicy = () => {
+  const { rules, paymentWindowMinutes } = RESTAURANT_TABLES.depositPolicy;
+  const terms = rules.map(rule => `${rule.description}: $${rule.perGuest} per guest`).join("; ");
+  return `A deposit is required for some bookings (${terms}). It must be paid within ${paymentWindowMinutes} minutes of booking or the table is released.`;
+};
@@ -0,0 +1,190 @@
+import { logger } from "./logger.js";
+import repository from "../repository/index.js";
+
+// ==================== GUEST PROFILES ====================
+// One profile per guest, matched by email or phone when they book.
+// Reservations link to it via guestId; staff and the chat/voice agents read it
+// to recognise returning guests.
+
+/**
+ * Generate unique guest ID
+ */
+const generateGuestId = () => {
+  return `GST-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+};
+
+/**
+ * Normalize an email for matching (case-insensitive)
+ */
+export const normalizeEmail = (email) => {
+  return email ? String(email).trim().toLowerCase() : null;
+};
+
+/**
+ * Normalize a phone number for matching (digits only)
+ */
+export const normalizePhone = (phone) => {
+  const digits = phone ? String(phone).replace(/\D/g, "") : "";
+  return digits.length > 0 ? digits : null;
+};
+
+/**
+ * Accept a list or a comma-separated string, returning trimmed unique values
+ */
+export const toList = (value) => {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+};
+
+/**
+ * Merge two lists without duplicates (case-insensitive)
+ */
+export const mergeLists = (existing = [], additions = []) => {
+  const merged = [...existing];
+  for (const item of additions) {
+    if (!merged.some(e => e.toLowerCase() === item.toLowerCase())) merged.push(item);
+  }
+  return merged;
+};
+
+/**
+ * Find a guest profile by email, then by phone
+ */
+export const findGuest = async ({ email, phone } = {}) => {
+  const emailKey = normalizeEmail(email);
+  if (emailKey) {
+    const [guest] = await repository.guests.find({ emailKey: emailKey });
+    if (guest) return guest;
+  }
+
+  const phoneKey = normalizePhone(phone);
+  if (phoneKey) {
+    const [guest] = await repository.guests.find({ phoneKey: phoneKey });
+    if (guest) return guest;
+  }
+
+  return null;
+};
+
+/**
+ * Load the guest profiles behind a set of reservations, keyed by guest ID
+ * Each profile is read once however many reservations link to it
+ */
+export const loadGuestsForReservations = async (reservations) => {
+  const guestIds = [...new Set(reservations.map(reservation => reservation.guestId).filter(Boolean))];
+  const guests = await Promise.all(guestIds.map(guestId => repository.guests.get(guestId)));
+  return new Map(guests.filter(Boolean).map(guest => [guest.id, guest]));
+};
+
+/**
+ * Create or update the guest profile behind a new reservation
+ * Fills in missing contact details and merges any dietary/seating info given while booking
+ * @returns {Promise<object|null>} - Guest profile (null if the booking has no email or phone)
+ */
+export const upsertGuestForReservation = async (reservation) => {
+  if (!reservation.email && !reservation.phone) return null;
+
+  const now = new Date().toISOString();
+  let guest = await findGuest(reservation);
+
+  if (!guest) {
+    guest = {
+      id: generateGuestId(),
+      name: reservation.customerName,
+      email: reservation.email || null,
+      phone: reservation.phone || null,
+      emailKey: normalizeEmail(reservation.email),
+      phoneKey: normalizePhone(reservation.phone),
+      dietaryRestrictions: [],
+      allergies: [],
+      seatingPreferences: [],
+      occasions: [],
+      notes: "",
+      stats: {
+        reservations: 0,
+        visits: 0,
+        noShows: 0,
+        cancellations: 0,
+        totalSpend: 0,
+        lastVisitAt: null
+      },
+      createdAt: now
+    };
+    logger.log(`👤 New guest profile: ${guest.id} (${guest.name})`);
+  } else {
+    logger.log(`👤 Returning guest: ${guest.id} (${guest.name})`);
+  }
+
+  // Learn contact details the profile didn't have yet
+  if (!guest.email && reservation.email) {
+    guest.email = reservation.email;
+    guest.emailKey = normalizeEmail(reservation.email);
+  }
+  if (!guest.phone && reservation.phone) {
+    guest.phone = reservation.phone;
+    guest.phoneKey = normalizePhone(reservation.phone);
+  }
+
+  guest.dietaryRestrictions = mergeLists(guest.dietaryRestrictions, reservation.dietaryRestrictions || []);
+  guest.allergies = mergeLists(guest.allergies, reservation.allergies || []);
+  if (reservation.seatingPreference) {
+    guest.seatingPreferences = mergeLists(guest.seatingPreferences, [reservation.seatingPreference]);
+  }
+  if (reservation.occasion) {
+    guest.occasions.push({ type: reservation.occasion, date: reservation.date, reservationId: reservation.id });
+  }
+
+  guest.stats.reservations += 1;
+  guest.updatedAt = now;
+  await repository.guests.save(guest);
+
+  return guest;
+};
+
+/**
+ * Update a guest's visit statistics when one of their reservations changes status
+ * @param {object} options - { spend } for completed visits
+ */
+export const recordGuestOutcome = async (reservation, status, { spend } = {}) => {
+  if (!reservation.guestId) return null;
+
+  const guest = await repository.guests.get(reservation.guestId);
+  if (!guest) return null;
+
+  if (status === "completed") {
+    guest.stats.visits += 1;
+    guest.stats.lastVisitAt = new Date().toISOString();
+    if (Number(spend) > 0) {
+      guest.stats.totalSpend = Math.round((guest.stats.totalSpend + Number(spend)) * 100) / 100;
+    }
+  } else if (status === "no_show") {
+    guest.stats.noShows += 1;
+  } else if (status === "cancelled") {
+    guest.stats.cancellations += 1;
+  } else {
+    return guest;
+  }
+
+  guest.updatedAt = new Date().toISOString();
+  await repository.guests.save(guest);
+  return guest;
+};
+
+/**
+ * Summarize a guest profile for the chat/voice agents
+ */
+export const describeGuestForAgent = (guest) => {
+  const lines = [
+    `Returning guest: ${guest.name} (${guest.stats.visits} previous visit${guest.stats.visits === 1 ? "" : "s"}).`
+  ];
+  if (guest.seatingPreferences.length > 0) lines.push(`Seating preferences: ${guest.seatingPreferences.join(", ")}.`);
+  if (guest.dietaryRestrictions.length > 0) lines.push(`Dietary restrictions: ${guest.dietaryRestrictions.join(", ")}.`);
+  if (guest.allergies.length > 0) lines.push(`Allergies: ${guest.allergies.join(", ")}.`);
+
+  const lastOccasion = guest.occasions[guest.occasions.length - 1];
+  if (lastOccasion) lines.push(`Last celebrated with us: ${lastOccasion.type} (${lastOccasion.date}).`);
+
+  lines.push("Greet them by name, mention their known preferences naturally, and confirm allergies still apply. Never read out their contact details.");
+  return lines.join("\n");
+};
@@ -0,0 +1,137 @@
+import { logger } from "./logger.js";
+import repository from "../repository/index.js";
+import { RESTAURANT_TABLES } from "../config/restaurant.js";
+import { withLock, tableLockKey } from "./locks.js";
+import { isDepositOverdue, expireUnpaidDeposits } from "./deposits.js";
+import { RESERVATION_STATUSES } from "./reservationStatus.js";
+import { getLocationId, isAtLocation } from "./locations.js";
+
+// ==================== HOLD SWEEPER ====================
+// Background job that releases holds once they run out:
+// - checkout holds (POST /api/booking/hold) past expiresAt -> expired
+// - waitlist offers past their hold -> expired (the table goes to the next guest in the queue)
+// - pending_payment reservations past their deposit deadline -> cancelled
+// Availability already ignores expired holds; the sweeper records the release and
+// lets the freed tables be offered to the waitlist.
+
+/**
+ * Mark a location's checkout holds on a date that have run out as expired
+ * @returns {Promise<number>} - Number of holds expired
+ */
+const expireCheckoutHolds = async (date, locationId, now) => {
+  const active = (await repository.holds.find({ date: date, status: "active" }))
+    .filter(hold => isAtLocation(hold, locationId));
+  let expired = 0;
+
+  for (const hold of active) {
+    if (new Date(hold.expiresAt) > now) continue;
+
+    hold.status = "expired";
+    hold.updatedAt = now.toISOString();
+    await repository.holds.save(hold);
+
+    logger.log(`⌛ Checkout hold expired: table(s) ${hold.tableIds.join(", ")} on ${hold.date} at ${hold.time}`);
+    expired++;
+  }
+
+  return expired;
+};
+
+/**
+ * Mark a location's waitlist offers on a date whose hold has run out as expired
+ * @returns {Promise<number>} - Number of offers expired
+ */
+const expireWaitlistOffers = async (date, locationId, now) => {
+  const offers = (await repository.waitlist.find({ date: date, status: "offered" }))
+    .filter(entry => isAtLocation(entry, locationId));
+  let expired = 0;
+
+  for (const entry of offers) {
+    if (new Date(entry.hold.expiresAt) > now) continue;
+
+    entry.status = "expired";
+    entry.updatedAt = now.toISOString();
+    await repository.waitlist.save(entry);
+
+    logger.log(`⌛ Waitlist offer expired: ${entry.id}`);
+    expired++;
+  }
+
+  return expired;
+};
+
+/**
+ * Release every expired checkout hold, waitlist offer and unpaid deposit hold
+ * Each location's date is swept under its table lock so a hold can't expire while it is being booked
+ * @returns {Promise<object[]>} - { date, locationId, cancelled } for each date where tables were freed
+ *   (cancelled: reservations whose deposit hold lapsed, so their guests can be told)
+ */
+export const sweepExpiredHolds = async () => {
+  const now = new Date();
+
+  const holds = await repository.holds.find({ status: "active" });
+  const offers = await repository.waitlist.find({ status: "offered" });
+  const pending = await repository.reservations.find({ status: RESERVATION_STATUSES.PENDING_PAYMENT });
+
+  // "locationId|date" -> { date, locationId }
+  const slots = new Map();
+  for (const record of [
+    ...holds.filter(hold => new Date(hold.expiresAt) <= now),
+    ...offers.filter(entry => new Date(entry.hold.expiresAt) <= now),
+    ...pending.filter(reservation => isDepositOverdue(reservation, now))
+  ]) {
+    const locationId = getLocationId(record);
+    slots.set(`${locationId}|${record.date}`, { date: record.date, locationId: locationId });
+  }
+
+  const freed = [];
+  for (const { date, locationId } of slots.values()) {
+    const { released, cancelled } = await withLock(tableLockKey(date, locationId), async () => {
+      const expiredHolds = await expireCheckoutHolds(date, locationId, now);
+      const expiredOffers = await expireWaitlistOffers(date, locationId, now);
+      const expiredDeposits = await expireUnpaidDeposits(date, locationId);
+      return { released: expiredHolds + expiredOffers + expiredDeposits.length, cancelled: expiredDeposits };
+    });
+
+    if (released > 0) freed.push({ date: date, locationId: locationId, cancelled: cancelled });
+  }
+
+  return freed;
+};
+
+/**
+ * Start sweeping on an interval (holdSweepIntervalSeconds)
+ * @param {function} onCapacityFreed - Called with each date and location where tables were freed (e.g. to offer them to the waitlist)
+ * @param {function} onReservationCancelled - Called with each reservation cancelled because its deposit lapsed (e.g. to email the guest)
+ * @returns {object} - Interval timer (pass to clearInterval to stop)
+ */
+export const startHoldSweeper = (onCapacityFreed = async () => {}, onReservationCancelled = async () => {}) => {
+  const intervalMs = RESTAURANT_TABLES.holdSweepIntervalSeconds * 1000;
+  let sweeping = false;
+
+  const timer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow sweep
+    if (sweeping) return;
+    sweeping = true;
+
+    try {
+      const freed = await sweepExpiredHolds();
+      for (const { date, locationId, cancelled } of freed) {
+        for (const reservation of cancelled) {
+          await onReservationCancelled(reservation);
+        }
+        await onCapacityFreed(date, locationId);
+      }
+    } catch (error) {
+      logger.error("❌ Hold sweep error:", error.message);
+    } finally {
+      sweeping = false;
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+
+  logger.log(`🧹 Hold sweeper running every ${RESTAURANT_TABLES.holdSweepIntervalSeconds}s`);
+  return timer;
+};
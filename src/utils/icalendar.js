@@ -0,0 +1,142 @@
+import { RESTAURANT_TABLES } from "../config/restaurant.js";
+import { getManageBookingUrl } from "./reservationAccess.js";
+import { RESERVATION_STATUSES } from "./reservationStatus.js";
+import { getStartInstant } from "./timezone.js";
+import { getLocationSlug, getLocationDomain } from "./locations.js";
+import { getServicePeriods } from "./calendar.js";
+import { findServicePeriod } from "./availability.js";
+
+// ==================== ICALENDAR (RFC 5545) ====================
+// One VEVENT per reservation, identified by a stable UID. Calendar apps replace an event
+// when they see the same UID with a higher SEQUENCE, so reservation.calendarSequence is bumped
+// every time the guest is sent a changed or cancelled event.
+// - PUBLISH: download link, confirmation and update emails
+// - CANCEL:  cancellation email (removes the event)
+// PRODID, UID domain and file names come from the venue, so each location's events carry its own brand.
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ */
+const escapeText = (value) => {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+};
+
+/**
+ * Quote a parameter value (e.g. CN) - parameters are quoted rather than escaped and can't contain quotes
+ */
+const quoteParam = (value) => `"${String(value).replace(/"/g, "'").replace(/[\r\n]/g, " ")}"`;
+
+/**
+ * Fold a content line to 75 octets, continuing on lines that start with a space
+ */
+const foldLine = (line) => {
+  const folded = [];
+  let current = "";
+
+  for (const char of line) {
+    const limit = folded.length === 0 ? 75 : 74; // continuation lines lose one octet to the leading space
+    if (Buffer.byteLength(current + char) > limit) {
+      folded.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  folded.push(current);
+
+  return folded.join("\r\n ");
+};
+
+/**
+ * Format a Date as a UTC DATE-TIME (e.g. 20261122T190000Z)
+ */
+const formatUtc = (date) => {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+};
+
+/**
+ * Build a reservation's calendar event
+ * @param {object} reservation - Reservation record
+ * @param {object} location - The reservation's venue (getLocationFor)
+ * @param {object} options - { method: "PUBLISH" | "CANCEL" }
+ * @returns {Promise<string>} - iCalendar text (CRLF line endings)
+ */
+export const buildReservationCalendar = async (reservation, location, { method = "PUBLISH" } = {}) => {
+  const { reminderMinutes } = RESTAURANT_TABLES.calendarEvent;
+  const cancelled = method === "CANCEL" || reservation.status === RESERVATION_STATUSES.CANCELLED;
+
+  // Written as UTC, so the event lands at the right moment whatever the guest's calendar zone
+  const start = getStartInstant(reservation);
+  const duration = reservation.seatingDuration || RESTAURANT_TABLES.seatingDuration;
+  const end = new Date(start.getTime() + duration * 60 * 1000);
+  const manageUrl = getManageBookingUrl(reservation.id);
+
+  // Named after the service the booking falls in (e.g. "Brunch at NOIR"), neutral if it's outside one
+  const { periods } = await getServicePeriods(reservation.date, location.id);
+  const period = findServicePeriod(periods, reservation.time);
+  const title = `${period?.name || "Reservation"} at ${location.name}`;
+
+  const description = [
+    `Table for ${reservation.numGuests} at ${location.name}.`,
+    `Confirmation code: ${reservation.confirmationCode || reservation.id}`,
+    reservation.status === RESERVATION_STATUSES.PENDING_PAYMENT && reservation.deposit
+      ? `Pay the $${reservation.deposit.amount} deposit by ${reservation.deposit.dueBy} to confirm this booking.`
+      : null,
+    `View, change or cancel: ${manageUrl}`
+  ].filter(Boolean).join("\n");
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//${location.fullName}//Reservations//EN`,
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    "BEGIN:VEVENT",
+    `UID:${reservation.id}@${getLocationDomain(location)}`,
+    `SEQUENCE:${reservation.calendarSequence || 0}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(`${cancelled ? "Cancelled: " : ""}${title} (${reservation.numGuests} guest${reservation.numGuests > 1 ? "s" : ""})`)}`,
+    `LOCATION:${escapeText(`${location.name}, ${location.address}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `URL:${manageUrl}`,
+    `ORGANIZER;CN=${quoteParam(location.fullName)}:mailto:${location.email}`,
+    ...(reservation.email ? [`ATTENDEE;CN=${quoteParam(reservation.customerName)};ROLE=REQ-PARTICIPANT:mailto:${reservation.email}`] : []),
+    `STATUS:${cancelled ? "CANCELLED" : reservation.status === RESERVATION_STATUSES.PENDING_PAYMENT ? "TENTATIVE" : "CONFIRMED"}`,
+    "TRANSP:OPAQUE",
+    // No reminder for a cancelled booking
+    ...(cancelled ? [] : [
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `TRIGGER:-PT${reminderMinutes}M`,
+      `DESCRIPTION:${escapeText(`Your table at ${location.name} is at ${reservation.time}`)}`,
+      "END:VALARM"
+    ]),
+    "END:VEVENT",
+    "END:VCALENDAR"
+  ];
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+/**
+ * File name for a reservation's calendar event (e.g. noir-reservation-K7QF2M.ics)
+ */
+export const getCalendarFilename = (reservation, location) => {
+  return `${getLocationSlug(location)}-reservation-${reservation.confirmationCode || reservation.id}.ics`;
+};
+
+/**
+ * Email attachment for a reservation's calendar event (nodemailer format)
+ */
+export const getCalendarAttachment = async (reservation, location, { method = "PUBLISH" } = {}) => {
+  return {
+    filename: getCalendarFilename(reservation, location),
+    content: await buildReservationCalendar(reservation, location, { method: method }),
+    contentType: `text/calendar; charset=utf-8; method=${method}`
+  };
+};
@@ -0,0 +1,177 @@
+import { logger } from "./logger.js";
+import repository from "../repository/index.js";
+import { RESTAURANT_TABLES } from "../config/restaurant.js";
+import { isValidTimeZone } from "./timezone.js";
+
+// ==================== LOCATIONS ====================
+// The group's venues live in the repository so one can be added or rebranded without a deploy.
+// Tables, calendar exceptions, reservations, holds, waitlist entries and payments carry a
+// locationId - records from before the group had several venues have none and belong to the default.
+//
+// Location shape:
+// { id, name, fullName, pronunciation, tagline, cuisine, specialties[], address, phone, email, website,
+//   operatingHours, timeZone, payment: { bankTransfer, cashApp }, active }
+// - operatingHours: weekly service periods, or null for the group's schedule (RESTAURANT_TABLES.operatingHours)
+// - timeZone: IANA zone the venue's dates and hours are in, or null for the group's (RESTAURANT_TABLES.timeZone)
+// Booking rules (lead time, deposits, cancellation fees, pacing) are the group's and apply to every venue.
+// - active: inactive locations can be set up by admins but don't take bookings
+
+// Requests without a locationId are for the first configured location
+export const DEFAULT_LOCATION_ID = RESTAURANT_TABLES.defaultLocations[0].id;
+
+const LOCATION_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+let seeding = null;
+
+/**
+ * Fill in defaults for optional location fields
+ */
+export const normalizeLocation = (location) => {
+  return {
+    id: location.id,
+    name: location.name,
+    fullName: location.fullName || location.name,
+    pronunciation: location.pronunciation || null,
+    tagline: location.tagline || "",
+    cuisine: location.cuisine || "",
+    specialties: location.specialties || [],
+    address: location.address || "",
+    phone: location.phone || "",
+    email: location.email || "",
+    website: location.website || "",
+    operatingHours: location.operatingHours || null,
+    timeZone: location.timeZone || null,
+    payment: {
+      bankTransfer: location.payment?.bankTransfer || null,
+      cashApp: location.payment?.cashApp || null
+    },
+    active: location.active !== false,
+    createdAt: location.createdAt || new Date().toISOString(),
+    updatedAt: location.updatedAt || new Date().toISOString()
+  };
+};
+
+/**
+ * Seed every configured location that isn't in storage yet
+ * Locations already stored are left alone, so admin edits survive restarts
+ */
+const ensureLocations = () => {
+  if (!seeding) {
+    seeding = (async () => {
+      for (const location of RESTAURANT_TABLES.defaultLocations) {
+        // create() so concurrent instances can't overwrite each other's seed
+        if (await repository.locations.create(normalizeLocation(location))) {
+          logger.log(`📍 Seeded location ${location.id} (${location.name})`);
+        }
+      }
+    })().catch(error => {
+      seeding = null;
+      throw error;
+    });
+  }
+  return seeding;
+};
+
+/**
+ * Get locations sorted with the default first, then by name
+ * @param {object} options - { includeInactive } to also return inactive locations
+ */
+export const getLocations = async ({ includeInactive = false } = {}) => {
+  await ensureLocations();
+  const locations = (await repository.locations.find()).map(normalizeLocation);
+  return locations
+    .filter(location => includeInactive || location.active)
+    .sort((a, b) => (b.id === DEFAULT_LOCATION_ID) - (a.id === DEFAULT_LOCATION_ID) || a.name.localeCompare(b.name));
+};
+
+/**
+ * Get a location by ID (null if missing)
+ */
+export const getLocation = async (locationId) => {
+  await ensureLocations();
+  const location = await repository.locations.get(locationId);
+  return location ? normalizeLocation(location) : null;
+};
+
+/**
+ * Get the location a record (reservation, hold, table...) belongs to
+ */
+export const getLocationId = (record) => {
+  return record?.locationId || DEFAULT_LOCATION_ID;
+};
+
+/**
+ * Check whether a record belongs to a location
+ */
+export const isAtLocation = (record, locationId) => {
+  return getLocationId(record) === locationId;
+};
+
+/**
+ * Get the location a record belongs to, falling back to the default if it has since been removed
+ */
+export const getLocationFor = async (record) => {
+  return (await getLocation(getLocationId(record))) || getLocation(DEFAULT_LOCATION_ID);
+};
+
+/**
+ * File-name prefix for a location's downloads, from its name (e.g. "NOIR Riverside" -> "noir-riverside")
+ */
+export const getLocationSlug = (location) => {
+  const slug = String(location.name || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+  return slug || location.id;
+};
+
+/**
+ * A location's domain, from its website or else its email (e.g. "www.noir-restaurant.com" -> "noir-restaurant.com")
+ */
+export const getLocationDomain = (location) => {
+  const host = location.website
+    ? location.website.replace(/^[a-z]+:\/\//i, "").split(/[/?#:]/)[0]
+    : (location.email || "").split("@")[1];
+  return (host || `${location.id}.invalid`).toLowerCase().replace(/^www\./, "");
+};
+
+/**
+ * Get a location's weekly service periods
+ */
+export const getOperatingHours = (location) => {
+  return location?.operatingHours || RESTAURANT_TABLES.operatingHours;
+};
+
+/**
+ * Get the time zone a location's booking dates and times are in
+ */
+export const getLocationTimeZone = (location) => {
+  return location?.timeZone || RESTAURANT_TABLES.timeZone;
+};
+
+/**
+ * Validate location fields (operatingHours periods are checked separately with validatePeriods)
+ * @param {object} location - Normalized location
+ * @returns {string|null} - Error message, or null if valid
+ */
+export const validateLocation = (location) => {
+  const isText = (value) => typeof value === "string" && value.trim().length > 0;
+
+  if (typeof location.id !== "string" || !LOCATION_ID_PATTERN.test(location.id)) {
+    return "id must be lowercase letters, numbers and dashes, e.g. \"riverside\"";
+  }
+  if (!isText(location.name)) return "name is required";
+  if (!isText(location.address)) return "address is required";
+  if (!isText(location.phone) && !isText(location.email)) return "phone or email is required so guests can reach the venue";
+  if (!Array.isArray(location.specialties)) return "specialties must be an array";
+  if (location.timeZone !== null && !isValidTimeZone(location.timeZone)) {
+    return "timeZone must be an IANA time zone, e.g. \"America/Chicago\", or null for the group's";
+  }
+
+  const { bankTransfer, cashApp } = location.payment;
+  if (bankTransfer && !["accountName", "accountNumber", "routingNumber", "bankName"].every(field => isText(bankTransfer[field]))) {
+    return "payment.bankTransfer needs accountName, accountNumber, routingNumber and bankName";
+  }
+  if (cashApp && !(isText(cashApp.tag) && cashApp.tag.startsWith("$"))) {
+    return "payment.cashApp.tag must be a $cashtag";
+  }
+
+  return null;
+};
@@ -0,0 +1,68 @@
+import crypto from "crypto";
+import { logger } from "./logger.js";
+import repository from "../repository/index.js";
+import { DEFAULT_LOCATION_ID } from "./locations.js";
+
+// ==================== ALLOCATION LOCKS ====================
+// Short-lived locks taken with a conditional write (repository create() fails if the
+// lock document already exists), so only one request at a time can allocate tables
+// for a date at a location - across instances when using Firestore.
+// A lock left behind by a crashed request is taken over once it expires. Takeover and release
+// use a conditional delete (deleteIf), so a waiter can only remove the exact lock it saw -
+// never a fresh lock another waiter has just taken over.
+
+const LOCK_TTL_MS = 10 * 1000;
+const RETRY_DELAY_MS = 50;
+const MAX_ATTEMPTS = 60; // ~3-6 seconds with jitter
+
+export const LOCK_TIMEOUT = "LOCK_TIMEOUT";
+
+/**
+ * Lock key for allocating tables at a location on a date
+ */
+export const tableLockKey = (date, locationId = DEFAULT_LOCATION_ID) => `tables:${locationId}:${date}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run fn while holding the named lock, retrying until it is free
+ * @throws {Error} - error.code === LOCK_TIMEOUT if the lock could not be acquired
+ */
+export const withLock = async (key, fn) => {
+  const owner = crypto.randomUUID();
+  let acquired = false;
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS && !acquired; attempt++) {
+    acquired = await repository.locks.create({
+      id: key,
+      owner: owner,
+      expiresAt: new Date(Date.now() + LOCK_TTL_MS).toISOString()
+    });
+    if (acquired) break;
+
+    const held = await repository.locks.get(key);
+    if (held && new Date(held.expiresAt) <= new Date()) {
+      // Only the waiter whose delete matches the stale lock goes on to take it
+      if (await repository.locks.deleteIf(key, { owner: held.owner, expiresAt: held.expiresAt })) {
+        logger.warn(`⚠️  Took over stale lock ${key}`);
+      }
+      continue;
+    }
+
+    // Jitter so waiting requests don't retry in lockstep
+    await sleep(RETRY_DELAY_MS + Math.random() * RETRY_DELAY_MS);
+  }
+
+  if (!acquired) {
+    const error = new Error(`Timed out waiting for lock ${key}`);
+    error.code = LOCK_TIMEOUT;
+    throw error;
+  }
+
+  try {
+    return await fn();
+  } finally {
+    // Only release our own lock (it may have been taken over after expiring)
+    await repository.locks.deleteIf(key, { owner: owner });
+  }
+};
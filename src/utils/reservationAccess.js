@@ -0,0 +1,214 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { logger } from "./logger.js";
+import repository from "../repository/index.js";
+import { normalizeEmail, normalizePhone, findGuest } from "./guests.js";
+
+dotenv.config();
+
+// ==================== RESERVATION ACCESS ====================
+// Guests manage a booking with either:
+// - the signed manage token from the confirmation email (x-manage-token header or ?token=)
+// - the confirmation code (or reservation ID) plus the email or phone used to book
+// Waitlist entries work the same way: the waitlist ID plus the email or phone used to join.
+// Works from any device or network, unlike the old IP ownership check.
+
+// No 0/O, 1/I/L so codes are easy to read out over the phone
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+
+const MANAGE_TOKEN_TTL_DAYS = parseInt(process.env.MANAGE_TOKEN_TTL_DAYS) || 180;
+
+const MANAGE_BOOKING_URL = process.env.MANAGE_BOOKING_URL || "https://www.noir-restaurant.com/manage-booking";
+
+// Page where a waitlisted guest completes the booking for the table held for them
+const WAITLIST_OFFER_URL = process.env.WAITLIST_OFFER_URL || "https://www.noir-restaurant.com/waitlist-offer";
+
+// Without a configured secret, manage links only work until the server restarts
+const MANAGE_TOKEN_SECRET = process.env.MANAGE_TOKEN_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.MANAGE_TOKEN_SECRET) {
+  logger.warn("⚠️  MANAGE_TOKEN_SECRET not set. Manage-booking links will stop working after a restart.");
+}
+
+/**
+ * Generate a short, unused confirmation code (e.g. "K7QM3P")
+ */
+export const generateConfirmationCode = async () => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    let code = "";
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+
+    const existing = await repository.reservations.find({ confirmationCode: code });
+    if (existing.length === 0) return code;
+  }
+
+  throw new Error("Could not generate a unique confirmation code");
+};
+
+/**
+ * Sign a payload for a manage token
+ */
+const sign = (payload) => {
+  return crypto.createHmac("sha256", MANAGE_TOKEN_SECRET).update(payload).digest("base64url");
+};
+
+/**
+ * Create a signed manage-booking token for a reservation
+ */
+export const createManageToken = (reservationId) => {
+  const payload = Buffer.from(JSON.stringify({
+    rid: reservationId,
+    exp: Date.now() + MANAGE_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+  })).toString("base64url");
+
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Verify a manage token
+ * @returns {string|null} - Reservation ID, or null if invalid/expired
+ */
+export const verifyManageToken = (token) => {
+  const [payload, signature] = String(token).split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  try {
+    const { rid, exp } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return exp > Date.now() ? rid : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Manage-booking link for emails
+ */
+export const getManageBookingUrl = (reservationId) => {
+  return `${MANAGE_BOOKING_URL}?token=${encodeURIComponent(createManageToken(reservationId))}`;
+};
+
+/**
+ * Waitlist offer link for emails
+ */
+export const getWaitlistOfferUrl = (waitlistId) => {
+  return `${WAITLIST_OFFER_URL}?waitlistId=${encodeURIComponent(waitlistId)}`;
+};
+
+/**
+ * Check an email/phone against the one used to book (or to join the waitlist)
+ * Emails ignore case; phones compare digits only
+ */
+const contactMatches = (record, email, phone) => {
+  if (email && record.email) {
+    return normalizeEmail(email) === normalizeEmail(record.email);
+  }
+  if (phone && record.phone) {
+    return normalizePhone(phone) !== null && normalizePhone(phone) === normalizePhone(record.phone);
+  }
+  return false;
+};
+
+/**
+ * Find a reservation by ID or confirmation code
+ */
+export const findReservationByReference = async (reference) => {
+  if (!reference) return null;
+
+  const byId = await repository.reservations.get(reference);
+  if (byId) return byId;
+
+  const [byCode] = await repository.reservations.find({ confirmationCode: String(reference).trim().toUpperCase() });
+  return byCode || null;
+};
+
+/**
+ * Resolve the reservation a request is allowed to manage
+ * @param {object} req - Express request (token in x-manage-token/?token=, email/phone in body or query)
+ * @param {string} reference - Reservation ID or confirmation code
+ * @returns {Promise<object>} - { reservation } or { status, error } to send back
+ */
+export const authorizeReservationAccess = async (req, reference) => {
+  const token = req.get("x-manage-token") || req.query.token;
+  const email = req.body?.email || req.query.email;
+  const phone = req.body?.phone || req.query.phone;
+
+  if (!token && !email && !phone) {
+    return {
+      status: 401,
+      error: "Provide your manage-booking token, or the email or phone used to book"
+    };
+  }
+
+  const reservation = await findReservationByReference(reference);
+
+  if (token) {
+    if (reservation && verifyManageToken(token) === reservation.id) {
+      return { reservation };
+    }
+    logger.warn(`⚠️  [${req.userIP}] Invalid manage token for reservation ${reference}`);
+    return { status: 401, error: "This manage-booking link is invalid or has expired" };
+  }
+
+  // Same response for unknown codes and wrong contact details so codes can't be probed
+  if (!reservation || !contactMatches(reservation, email, phone)) {
+    logger.warn(`⚠️  [${req.userIP}] Reservation lookup failed for ${reference}`);
+    return { status: 404, error: "No reservation matches that confirmation code and contact" };
+  }
+
+  return { reservation };
+};
+
+/**
+ * Resolve the waitlist entry a request is allowed to see, leave or book
+ * @param {object} req - Express request (email/phone in body or query)
+ * @param {string} waitlistId - Waitlist entry ID
+ * @returns {Promise<object>} - { entry } or { status, error } to send back
+ */
+export const authorizeWaitlistAccess = async (req, waitlistId) => {
+  const email = req.body?.email || req.query.email;
+  const phone = req.body?.phone || req.query.phone;
+
+  if (!email && !phone) {
+    return {
+      status: 401,
+      error: "Provide the email or phone used to join the waitlist"
+    };
+  }
+
+  const entry = waitlistId ? await repository.waitlist.get(waitlistId) : null;
+
+  // Same response for unknown IDs and wrong contact details so entries can't be probed
+  if (!entry || !contactMatches(entry, email, phone)) {
+    logger.warn(`⚠️  [${req.userIP}] Waitlist lookup failed for ${waitlistId}`);
+    return { status: 404, error: "No waitlist entry matches that ID and contact" };
+  }
+
+  return { entry };
+};
+
+/**
+ * Find the guest profile behind a manage token
+ * The chat and voice agents only recognise guests this way - a typed-in email could belong to anyone
+ * @returns {Promise<object|null>} - Guest profile, or null if the token is invalid or has no profile
+ */
+export const findGuestByManageToken = async (token) => {
+  const reservationId = token ? verifyManageToken(token) : null;
+  if (!reservationId) return null;
+
+  const reservation = await repository.reservations.get(reservationId);
+  if (!reservation) return null;
+
+  if (reservation.guestId) {
+    const guest = await repository.guests.get(reservation.guestId);
+    if (guest) return guest;
+  }
+  return findGuest(reservation);
+};
@@ -0,0 +1,86 @@
+// ==================== RESERVATION STATUS LIFECYCLE ====================
+// pending_payment   -> confirmed | cancelled
+// confirmed          -> reminded | arrived | seated | no_show | cancelled
+// reminded           -> arrived | seated | no_show | cancelled
+// arrived            -> seated | cancelled
+// seated             -> completed
+// no_show            -> arrived (guest turned up late)
+// completed and cancelled are final
+
+export const RESERVATION_STATUSES = {
+  PENDING_PAYMENT: "pending_payment",
+  CONFIRMED: "confirmed",
+  REMINDED: "reminded",
+  ARRIVED: "arrived",
+  SEATED: "seated",
+  COMPLETED: "completed",
+  NO_SHOW: "no_show",
+  CANCELLED: "cancelled"
+};
+
+const S = RESERVATION_STATUSES;
+
+// Allowed next statuses for each status
+const TRANSITIONS = {
+  [S.PENDING_PAYMENT]: [S.CONFIRMED, S.CANCELLED],
+  [S.CONFIRMED]: [S.REMINDED, S.ARRIVED, S.SEATED, S.NO_SHOW, S.CANCELLED],
+  [S.REMINDED]: [S.ARRIVED, S.SEATED, S.NO_SHOW, S.CANCELLED],
+  [S.ARRIVED]: [S.SEATED, S.CANCELLED],
+  [S.SEATED]: [S.COMPLETED],
+  [S.NO_SHOW]: [S.ARRIVED],
+  [S.COMPLETED]: [],
+  [S.CANCELLED]: []
+};
+
+// Statuses that hold a table - completed, no-show and cancelled bookings free it
+export const TABLE_HOLDING_STATUSES = [S.PENDING_PAYMENT, S.CONFIRMED, S.REMINDED, S.ARRIVED, S.SEATED];
+
+// Statuses a guest can still change or cancel themselves
+export const GUEST_EDITABLE_STATUSES = [S.PENDING_PAYMENT, S.CONFIRMED, S.REMINDED];
+
+/**
+ * Check whether a reservation in this status holds its table
+ */
+export const holdsTable = (status) => TABLE_HOLDING_STATUSES.includes(status);
+
+/**
+ * Get the statuses a reservation can move to next
+ */
+export const getAllowedTransitions = (status) => TRANSITIONS[status] || [];
+
+/**
+ * Check whether a status change is allowed
+ */
+export const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+/**
+ * Start a new reservation's status history
+ */
+export const initializeStatus = (reservation, status, by = "guest") => {
+  const at = new Date().toISOString();
+  reservation.status = status;
+  reservation.statusHistory = [{ from: null, to: status, at: at, by: by }];
+  return reservation;
+};
+
+/**
+ * Move a reservation to a new status, recording when and by whom
+ * Callers must check canTransition() first
+ * @param {object} options - { by: "guest" | "staff" | "system" | staff name, note? }
+ */
+export const applyTransition = (reservation, to, { by = "system", note = "" } = {}) => {
+  const at = new Date().toISOString();
+
+  // Older reservations have no history yet
+  reservation.statusHistory = reservation.statusHistory || [];
+  reservation.statusHistory.push({ from: reservation.status, to: to, at: at, by: by, ...(note ? { note: note } : {}) });
+  reservation.status = to;
+  reservation.updatedAt = at;
+
+  // Whoever cancels, the guest is sent a CANCEL event that must outrank the one they have (.ics SEQUENCE)
+  if (to === RESERVATION_STATUSES.CANCELLED) {
+    reservation.calendarSequence = (reservation.calendarSequence || 0) + 1;
+  }
+
+  return reservation;
+};
@@ -0,0 +1,107 @@
+import { getTables } from "./tables.js";
+
+// ==================== SEATING PREFERENCES ====================
+// Guests may ask for a location (Window, Bar, Patio, Private...), an accessible table and/or
+// a high chair. Preferences rank the seating options rather than filter them - a guest still
+// gets a table when nothing matches, and the reservation records what was honored.
+//
+// Reservation shape:
+// seatingPreferences: { preferredLocation, accessible, highChair } | null
+// preferenceMatch:    { honored, matched[], unmet[] } | null
+
+// How much each preference counts when ranking options (needs before nice-to-haves)
+const PREFERENCE_WEIGHTS = {
+  accessible: 4,
+  highChair: 2,
+  preferredLocation: 1
+};
+
+/**
+ * Validate optional preference fields from a request body
+ * @returns {string|null} - Error message, or null if valid
+ */
+export const validateSeatingPreferences = ({ preferredLocation, accessible, highChair } = {}) => {
+  if (preferredLocation !== undefined && preferredLocation !== null &&
+      (typeof preferredLocation !== "string" || !preferredLocation.trim())) {
+    return "preferredLocation must be a table location, e.g. \"Window\" or \"Patio\"";
+  }
+  if (accessible !== undefined && typeof accessible !== "boolean") return "accessible must be true or false";
+  if (highChair !== undefined && typeof highChair !== "boolean") return "highChair must be true or false";
+  return null;
+};
+
+/**
+ * Pick the preference fields from a request body
+ * @returns {object|null} - { preferredLocation, accessible, highChair }, or null if none were asked for
+ */
+export const normalizeSeatingPreferences = ({ preferredLocation, accessible, highChair } = {}) => {
+  const preferences = {
+    preferredLocation: preferredLocation?.trim() || null,
+    accessible: accessible === true,
+    highChair: highChair === true
+  };
+
+  return preferences.preferredLocation || preferences.accessible || preferences.highChair ? preferences : null;
+};
+
+/**
+ * Check which preferences a set of tables meets
+ * Joined tables match a location if any of them is there, and are accessible only if all of them are
+ * @returns {object} - { honored, matched[], unmet[] }
+ */
+export const matchSeating = (tables, preferences) => {
+  const matched = [];
+  const unmet = [];
+  const check = (name, met) => (met ? matched : unmet).push(name);
+
+  if (preferences.preferredLocation) {
+    const location = preferences.preferredLocation.toLowerCase();
+    check("preferredLocation", tables.some(t => t.location.toLowerCase() === location));
+  }
+  if (preferences.accessible) check("accessible", tables.every(t => t.accessible));
+  if (preferences.highChair) check("highChair", tables.some(t => t.highChair));
+
+  return { honored: unmet.length === 0, matched: matched, unmet: unmet };
+};
+
+/**
+ * Check which preferences the tables a booking was given meet
+ * @returns {Promise<object|null>} - { honored, matched[], unmet[] }, or null without preferences
+ */
+export const getPreferenceMatch = async (tableIds, preferences) => {
+  if (!preferences) return null;
+  const tables = await getTables({ includeInactive: true });
+  return matchSeating(tables.filter(t => tableIds.includes(t.id)), preferences);
+};
+
+/**
+ * Score a match for ranking
+ */
+const scoreMatch = (match) => match.matched.reduce((score, name) => score + PREFERENCE_WEIGHTS[name], 0);
+
+/**
+ * Rank an availability result's tables and joined-table options by how well they match
+ * Each option gets a preferenceMatch; ties go to the smallest option
+ */
+export const rankByPreference = (availability, preferences) => {
+  const rank = (options, getOptionTables) => options
+    .map(option => ({ ...option, preferenceMatch: matchSeating(getOptionTables(option), preferences) }))
+    .sort((a, b) => scoreMatch(b.preferenceMatch) - scoreMatch(a.preferenceMatch) || a.seats - b.seats);
+
+  return {
+    ...availability,
+    tables: rank(availability.tables, table => [table]),
+    combinations: rank(availability.combinations, combination => combination.tables)
+  };
+};
+
+/**
+ * Short description for guests, e.g. "a Window table, wheelchair accessible, with a high chair"
+ */
+export const describeSeatingPreferences = (preferences) => {
+  const parts = [];
+  if (preferences.preferredLocation) parts.push(`a ${preferences.preferredLocation} table`);
+  if (preferences.accessible) parts.push("wheelchair accessible");
+  if (preferences.highChair) parts.push("with a high chair");
+  return parts.join(", ");
+};
@@ -0,0 +1,165 @@
+import { logger } from "./logger.js";
+import repository from "../repository/index.js";
+import { RESTAURANT_TABLES } from "../config/restaurant.js";
+import { isAtLocation, getLocationId } from "./locations.js";
+
+// ==================== FLOOR PLAN ====================
+// Tables live in the repository so the floor plan can change without a deploy.
+// Booking, waitlist, chat and voice all read tables through getTables().
+//
+// Table shape:
+// { id, locationId, seats, minCovers, maxCovers, location, combinableWith[], accessible, highChair, active }
+// - locationId: venue the table is in (IDs are unique across venues; location is the area within it)
+// - minCovers/maxCovers: party sizes the table may be given on its own
+// - combinableWith: adjacent tables it can be joined with (kept symmetric)
+// - active: inactive tables are kept for history but never offered
+
+let seeding = null;
+
+/**
+ * Fill in defaults for optional table fields
+ */
+export const normalizeTable = (table) => {
+  return {
+    id: table.id,
+    locationId: getLocationId(table),
+    seats: table.seats,
+    minCovers: table.minCovers || 1,
+    maxCovers: table.maxCovers || table.seats,
+    location: table.location,
+    combinableWith: table.combinableWith || [],
+    accessible: table.accessible === true,
+    highChair: table.highChair === true,
+    active: table.active !== false,
+    createdAt: table.createdAt || new Date().toISOString(),
+    updatedAt: table.updatedAt || new Date().toISOString()
+  };
+};
+
+/**
+ * Seed the default floor plan the first time storage has no tables
+ */
+const ensureFloorPlan = () => {
+  if (!seeding) {
+    seeding = (async () => {
+      const existing = await repository.tables.find();
+      if (existing.length > 0) return;
+
+      for (const table of RESTAURANT_TABLES.defaultTables) {
+        // create() so concurrent instances can't overwrite each other's seed
+        await repository.tables.create(normalizeTable(table));
+      }
+      logger.log(`🪑 Seeded floor plan with ${RESTAURANT_TABLES.defaultTables.length} default tables`);
+    })().catch(error => {
+      seeding = null;
+      throw error;
+    });
+  }
+  return seeding;
+};
+
+/**
+ * Get tables sorted by ID
+ * @param {object} options - { includeInactive } to also return deactivated tables, { locationId } for one venue's tables
+ */
+export const getTables = async ({ includeInactive = false, locationId = null } = {}) => {
+  await ensureFloorPlan();
+  const tables = (await repository.tables.find()).map(normalizeTable);
+  return tables
+    .filter(table => includeInactive || table.active)
+    .filter(table => !locationId || isAtLocation(table, locationId))
+    .sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Get a table by ID (null if missing)
+ */
+export const getTable = async (tableId) => {
+  await ensureFloorPlan();
+  const table = await repository.tables.get(tableId);
+  return table ? normalizeTable(table) : null;
+};
+
+/**
+ * Get every group of adjacent active tables that can be joined
+ * Groups are connected sets of 2..maxJoinedTables tables, smallest first
+ */
+export const getTableCombinations = (tables) => {
+  const byId = new Map(tables.filter(t => t.active).map(t => [t.id, t]));
+  const groups = new Map(); // "3,4" -> [3, 4]
+
+  const grow = (group) => {
+    const key = [...group].sort((a, b) => a - b).join(",");
+    if (groups.has(key)) return;
+    if (group.length > 1) groups.set(key, key.split(",").map(Number));
+    if (group.length >= RESTAURANT_TABLES.maxJoinedTables) return;
+
+    for (const id of group) {
+      for (const neighbourId of byId.get(id).combinableWith) {
+        if (byId.has(neighbourId) && !group.includes(neighbourId)) {
+          grow([...group, neighbourId]);
+        }
+      }
+    }
+  };
+
+  for (const id of byId.keys()) grow([id]);
+
+  return [...groups.values()]
+    .map(tableIds => {
+      const groupTables = tableIds.map(id => byId.get(id));
+      return {
+        tableIds: tableIds,
+        seats: groupTables.reduce((sum, t) => sum + t.maxCovers, 0),
+        location: groupTables.map(t => t.location).join(" + "),
+        tables: groupTables
+      };
+    })
+    .sort((a, b) => a.tableIds.length - b.tableIds.length || a.seats - b.seats);
+};
+
+/**
+ * Validate table fields
+ * @param {object} table - Normalized table
+ * @param {Array} tables - Existing tables at the table's location (to check combinableWith references)
+ * @returns {string|null} - Error message, or null if valid
+ */
+export const validateTable = (table, tables) => {
+  const isPositiveInt = (value) => Number.isInteger(value) && value > 0;
+
+  if (!isPositiveInt(table.id)) return "id must be a positive integer";
+  if (!isPositiveInt(table.seats)) return "seats must be a positive integer";
+  if (!isPositiveInt(table.minCovers) || !isPositiveInt(table.maxCovers)) {
+    return "minCovers and maxCovers must be positive integers";
+  }
+  if (table.minCovers > table.maxCovers) return "minCovers cannot exceed maxCovers";
+  if (typeof table.location !== "string" || !table.location.trim()) return "location is required";
+  if (!Array.isArray(table.combinableWith)) return "combinableWith must be an array of table IDs";
+
+  for (const id of table.combinableWith) {
+    if (id === table.id) return "A table cannot be combined with itself";
+    if (!tables.some(t => t.id === id)) return `combinableWith references unknown table ${id}`;
+  }
+
+  return null;
+};
+
+/**
+ * Keep combinableWith symmetric after a table's adjacency changes
+ * Adds/removes the table from its neighbours' lists
+ */
+export const syncAdjacency = async (table, tables) => {
+  for (const other of tables) {
+    if (other.id === table.id) continue;
+
+    const shouldLink = table.combinableWith.includes(other.id);
+    const isLinked = other.combinableWith.includes(table.id);
+    if (shouldLink === isLinked) continue;
+
+    other.combinableWith = shouldLink
+      ? [...other.combinableWith, table.id].sort((a, b) => a - b)
+      : other.combinableWith.filter(id => id !== table.id);
+    other.updatedAt = new Date().toISOString();
+    await repository.tables.save(other);
+  }
+};
@@ -0,0 +1,189 @@
+import { RESTAURANT_TABLES } from "../config/restaurant.js";
+
+// ==================== RESTAURANT TIME ZONE ====================
+// Booking dates and times ("YYYY-MM-DD", "HH:MM") are wall-clock times at the restaurant, in its
+// IANA time zone - never the server's (Cloud hosts run in UTC). Anything that turns a
+// booking slot into an instant, or the current instant into a date/time, goes through here.
+// Each location may set its own zone (location.timeZone, see getLocationTimeZone); helpers
+// default to the group's configured zone, RESTAURANT_TIMEZONE.
+//
+// Reservation shape:
+// timeZone:      IANA zone the date/time are in, e.g. "America/New_York"
+// startsAt:      UTC instant of the start, e.g. "2026-11-14T00:00:00.000Z"
+// startsAtLocal: local start with its UTC offset, e.g. "2026-11-13T19:00:00-05:00"
+
+export const RESTAURANT_TIMEZONE = RESTAURANT_TABLES.timeZone;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// One formatter per zone - building them is slow
+const zonedFormatters = new Map();
+
+/**
+ * Get the formatter that splits an instant into a zone's wall-clock parts
+ * Throws a RangeError if the zone isn't a known IANA zone
+ */
+const getZonedFormatter = (timeZone) => {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone: timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hourCycle: "h23"
+    }));
+  }
+  return zonedFormatters.get(timeZone);
+};
+
+// Throws at startup if RESTAURANT_TIMEZONE isn't a known IANA zone
+getZonedFormatter(RESTAURANT_TIMEZONE);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Check a "YYYY-MM-DD" string is a real calendar date
+ */
+export const isValidDate = (date) => {
+  if (typeof date !== "string" || !DATE_PATTERN.test(date)) return false;
+  const dateObj = new Date(`${date}T00:00:00Z`);
+  return !isNaN(dateObj) && dateObj.toISOString().slice(0, 10) === date;
+};
+
+/**
+ * Check an "HH:MM" string is a 24-hour time
+ */
+export const isValidTime = (time) => {
+  return typeof time === "string" && TIME_PATTERN.test(time);
+};
+
+/**
+ * Check a string is an IANA time zone this runtime knows, e.g. "America/Chicago"
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || timeZone.trim() === "") return false;
+  try {
+    getZonedFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validate a booking date and time from a request (either may be left out)
+ * @returns {string|null} - Error message, or null if valid
+ */
+export const validateDateTime = (date, time) => {
+  if (date !== undefined && !isValidDate(date)) return "date must be a calendar date in YYYY-MM-DD format, e.g. \"2026-02-14\"";
+  if (time !== undefined && !isValidTime(time)) return "time must be a 24-hour time in HH:MM format, e.g. \"19:00\"";
+  return null;
+};
+
+/**
+ * Get the restaurant's wall-clock date and time at an instant
+ */
+const getZonedParts = (instant, timeZone) => {
+  const parts = Object.fromEntries(getZonedFormatter(timeZone).formatToParts(instant).map(part => [part.type, part.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    seconds: parts.second
+  };
+};
+
+/**
+ * Get the restaurant's offset from UTC at an instant (minutes, e.g. -300 for New York in winter)
+ */
+const getOffsetMinutes = (instant, timeZone) => {
+  const { date, time, seconds } = getZonedParts(instant, timeZone);
+  const wallClock = Date.parse(`${date}T${time}:${seconds}Z`);
+  return Math.round((wallClock - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Format a UTC offset in minutes as "+HH:MM" / "-HH:MM"
+ */
+const formatOffset = (offsetMinutes) => {
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const absolute = Math.abs(offsetMinutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+/**
+ * Get the restaurant's date and time at an instant ({ date: "YYYY-MM-DD", time: "HH:MM" })
+ */
+export const toRestaurantSlot = (instant = new Date(), timeZone = RESTAURANT_TIMEZONE) => {
+  const { date, time } = getZonedParts(instant, timeZone);
+  return { date: date, time: time };
+};
+
+/**
+ * Get the UTC instant of a restaurant-local date and time
+ * The offset is re-checked at the result so dates either side of a DST change are right
+ * (a time skipped by the spring-forward change resolves to the hour before)
+ */
+export const toInstant = (date, time, timeZone = RESTAURANT_TIMEZONE) => {
+  const wallClock = Date.parse(`${date}T${time}:00Z`);
+  const guess = wallClock - getOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+  return new Date(wallClock - getOffsetMinutes(new Date(guess), timeZone) * 60000);
+};
+
+/**
+ * Format an instant as restaurant-local ISO 8601 with its offset, e.g. "2026-11-13T19:00:00-05:00"
+ */
+export const toLocalTimestamp = (instant, timeZone = RESTAURANT_TIMEZONE) => {
+  const { date, time, seconds } = getZonedParts(instant, timeZone);
+  return `${date}T${time}:${seconds}${formatOffset(getOffsetMinutes(instant, timeZone))}`;
+};
+
+/**
+ * Build the start timestamps stored on a reservation for its date and time
+ * @returns {object} - { timeZone, startsAt, startsAtLocal }
+ */
+export const getStartTimestamps = (date, time, timeZone = RESTAURANT_TIMEZONE) => {
+  const instant = toInstant(date, time, timeZone);
+  return {
+    timeZone: timeZone,
+    startsAt: instant.toISOString(),
+    startsAtLocal: toLocalTimestamp(instant, timeZone)
+  };
+};
+
+/**
+ * Get the instant a reservation starts
+ * Uses the stored startsAt, falling back to its date and time for older records
+ */
+export const getStartInstant = (reservation) => {
+  return reservation.startsAt
+    ? new Date(reservation.startsAt)
+    : toInstant(reservation.date, reservation.time, reservation.timeZone || RESTAURANT_TIMEZONE);
+};
+
+/**
+ * Format an instant for guests in restaurant time (Intl options, e.g. { dateStyle: "medium" })
+ */
+export const formatInstant = (instant, options = {}, timeZone = RESTAURANT_TIMEZONE) => {
+  return new Date(instant).toLocaleString("en-US", { ...options, timeZone: timeZone });
+};
+
+/**
+ * Format a "YYYY-MM-DD" date for guests (Intl options, e.g. { weekday: "long", month: "long" })
+ * The date is a calendar day, so it is formatted as-is rather than converted between zones
+ */
+export const formatDate = (date, options = {}) => {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString("en-US", { ...options, timeZone: "UTC" });
+};
+
+/**
+ * Describe the current restaurant date and time (used in AI prompts)
+ */
+export const describeRestaurantNow = (timeZone = RESTAURANT_TIMEZONE) => {
+  const { date, time } = toRestaurantSlot(new Date(), timeZone);
+  return `It is now ${formatDate(date, { weekday: "long", year: "numeric", month: "long", day: "numeric" })} (${date}), ${time} at the restaurant (${timeZone}). ` +
+    "All reservation dates and times are restaurant local time, as YYYY-MM-DD and 24-hour HH:MM.";
+};
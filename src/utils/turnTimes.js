@@ -0,0 +1,44 @@
+import { RESTAURANT_TABLES } from "../config/restaurant.js";
+
+// ==================== TURN TIMES ====================
+// A booking occupies its table(s) from its start time for its turn time.
+// Reservations store the turn time they were booked with (seatingDuration),
+// so changing the config only affects new bookings and changes.
+
+/**
+ * Get the turn time for a party in a service period
+ * @param {number} numGuests - Party size
+ * @param {object|null} period - Service period the booking starts in (its name picks the day part)
+ * @returns {number} - Minutes the table stays occupied
+ */
+export const getTurnTime = (numGuests, period = null) => {
+  const bands = RESTAURANT_TABLES.turnTimes[period?.name] || RESTAURANT_TABLES.turnTimes.default;
+  const band = bands.find(b => numGuests <= b.maxGuests);
+  return band ? band.minutes : RESTAURANT_TABLES.seatingDuration;
+};
+
+/**
+ * Validate a staff turn-time override
+ * @returns {string|null} - Error message, or null if valid
+ */
+export const validateTurnTimeOverride = (minutes) => {
+  const { min, max } = RESTAURANT_TABLES.turnTimeOverride;
+
+  if (!Number.isInteger(minutes) || minutes < min || minutes > max) {
+    return `minutes must be a whole number between ${min} and ${max}`;
+  }
+
+  return null;
+};
+
+/**
+ * Turn times for guests and staff, e.g. "Lunch: up to 2 guests 60 min, ..."
+ */
+export const describeTurnTimes = () => {
+  return Object.entries(RESTAURANT_TABLES.turnTimes)
+    .map(([dayPart, bands]) => {
+      const label = dayPart === "default" ? "Other services" : dayPart;
+      return `${label}: ${bands.map(b => `up to ${b.maxGuests} guests ${b.minutes} min`).join(", ")}`;
+    })
+    .join("; ");
+};
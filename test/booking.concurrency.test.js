@@ -0,0 +1,69 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { call, findServiceDate } from "./helpers.js";
+
+const { default: repository } = await import("../src/repository/index.js");
+const { createReservation } = await import("../src/controller/booking.Controller.js");
+const { withLock } = await import("../src/utils/locks.js");
+
+let date;
+
+before(async () => {
+  // Two separate two-tops, so exactly two parties of two fit the slot
+  // (saved before first use, so the default floor plan isn't seeded)
+  for (const id of [1, 2]) {
+    await repository.tables.save({ id: id, seats: 2, location: "Window", combinableWith: [] });
+  }
+  date = await findServiceDate("Lunch");
+});
+
+test("parallel bookings for the last tables get one table each and the rest a 409", async () => {
+  const responses = await Promise.all(Array.from({ length: 6 }, (_, i) => call(createReservation, {
+    body: { customerName: `Guest ${i}`, numGuests: 2, date: date, time: "12:00", phone: `+1555000000${i}` }
+  })));
+
+  const winners = responses.filter(res => res.statusCode === 201);
+  const losers = responses.filter(res => res.statusCode !== 201);
+
+  assert.equal(winners.length, 2);
+  const tableIds = winners.flatMap(res => res.body.reservation.tableIds);
+  assert.deepEqual([...tableIds].sort(), [1, 2]);
+
+  for (const res of losers) {
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.reasonCode, "NO_TABLES");
+    assert.ok(Array.isArray(res.body.alternatives.sameDay));
+  }
+
+  const stored = await repository.reservations.find({ date: date });
+  assert.equal(stored.length, 2);
+});
+
+test("waiters taking over a stale lock never hold it at the same time", async (t) => {
+  const key = "test:stale";
+
+  // Slow, uneven reads (as over the network) so waiters see the stale lock at different moments
+  const get = repository.locks.get;
+  t.after(() => { repository.locks.get = get; });
+  repository.locks.get = async (id) => {
+    const record = await get(id);
+    await new Promise(resolve => setTimeout(resolve, Math.random() * 4));
+    return record;
+  };
+
+  await repository.locks.save({ id: key, owner: "crashed", expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+  let inside = 0;
+  let overlapped = false;
+  const critical = async () => {
+    inside++;
+    if (inside > 1) overlapped = true;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    inside--;
+  };
+
+  await Promise.all(Array.from({ length: 8 }, () => withLock(key, critical)));
+
+  assert.equal(overlapped, false);
+  assert.equal(await repository.locks.get(key), null);
+});
@@ -0,0 +1,200 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { call, findServiceDate } from "./helpers.js";
+
+const { default: repository } = await import("../src/repository/index.js");
+const {
+  createReservation,
+  cancelReservation,
+  modifyReservation,
+  updateReservationStatus
+} = await import("../src/controller/booking.Controller.js");
+const { canTransition, getAllowedTransitions, RESERVATION_STATUSES } = await import("../src/utils/reservationStatus.js");
+const { evaluateCancellation } = await import("../src/utils/cancellation.js");
+const { getAvailableTables } = await import("../src/utils/availability.js");
+const { getStartInstant } = await import("../src/utils/timezone.js");
+const { RESTAURANT_TABLES } = await import("../src/config/restaurant.js");
+
+const HOUR = 60 * 60 * 1000;
+const usedDates = new Set();
+
+before(async () => {
+  // A single table, so a booking that doesn't free it blocks the slot
+  await repository.tables.save({ id: 1, seats: 4, location: "Main Floor", combinableWith: [] });
+});
+
+/**
+ * A lunch date no other test in this file has booked
+ */
+const freshDate = async () => {
+  let daysOut = 2;
+  let date = await findServiceDate("Lunch", daysOut);
+  while (usedDates.has(date)) date = await findServiceDate("Lunch", ++daysOut);
+  usedDates.add(date);
+  return date;
+};
+
+const book = async (date, time = "12:00", email = "guest@example.com") => {
+  const res = await call(createReservation, {
+    body: { customerName: "Guest", numGuests: 2, date: date, time: time, email: email }
+  });
+  assert.equal(res.statusCode, 201);
+  return res.body.reservation;
+};
+
+const setStatus = (reservationId, status) => call(updateReservationStatus, {
+  params: { reservationId: reservationId },
+  body: { status: status, staffName: "Host" }
+});
+
+// ==================== STATUS LIFECYCLE ====================
+
+test("the status lifecycle only allows the documented transitions", () => {
+  const S = RESERVATION_STATUSES;
+  assert.ok(canTransition(S.PENDING_PAYMENT, S.CONFIRMED));
+  assert.ok(canTransition(S.CONFIRMED, S.SEATED));
+  assert.ok(canTransition(S.NO_SHOW, S.ARRIVED));
+  assert.ok(!canTransition(S.PENDING_PAYMENT, S.SEATED));
+  assert.ok(!canTransition(S.SEATED, S.CANCELLED));
+  assert.deepEqual(getAllowedTransitions(S.COMPLETED), []);
+  assert.deepEqual(getAllowedTransitions(S.CANCELLED), []);
+  assert.deepEqual(getAllowedTransitions("unknown"), []);
+});
+
+test("staff move a booking from arrival to completion and can't reopen it", async () => {
+  const reservation = await book(await freshDate());
+
+  for (const status of ["arrived", "seated", "completed"]) {
+    const res = await setStatus(reservation.id, status);
+    assert.equal(res.statusCode, 200, status);
+    assert.equal(res.body.reservation.status, status);
+  }
+
+  const reopen = await setStatus(reservation.id, "cancelled");
+  assert.equal(reopen.statusCode, 409);
+  assert.deepEqual(reopen.body.allowedTransitions, []);
+
+  const stored = await repository.reservations.get(reservation.id);
+  assert.deepEqual(stored.statusHistory.map(entry => entry.to), ["confirmed", "arrived", "seated", "completed"]);
+  assert.equal(stored.statusHistory[1].by, "Host");
+});
+
+test("a no-show frees the table and a late arrival can still be recorded", async () => {
+  const date = await freshDate();
+  const reservation = await book(date);
+  assert.equal((await getAvailableTables(2, date, "12:00")).available, false);
+
+  assert.equal((await setStatus(reservation.id, "no_show")).statusCode, 200);
+  assert.equal((await getAvailableTables(2, date, "12:00")).available, true);
+
+  assert.equal((await setStatus(reservation.id, "arrived")).statusCode, 200);
+});
+
+test("unknown statuses are rejected", async () => {
+  const reservation = await book(await freshDate());
+  const res = await setStatus(reservation.id, "eaten");
+  assert.equal(res.statusCode, 400);
+});
+
+// ==================== CANCELLATION FEES ====================
+
+test("cancellation is free until the policy window, then charged per guest", () => {
+  const { freeCancellationHours, lateFeePerGuest, largeParty } = RESTAURANT_TABLES.cancellationPolicy;
+  const startsAt = new Date(Date.now() + 7 * 24 * HOUR);
+  const reservation = { numGuests: 2, startsAt: startsAt.toISOString() };
+
+  const early = evaluateCancellation(reservation, new Date(startsAt - (freeCancellationHours + 1) * HOUR));
+  assert.equal(early.late, false);
+  assert.equal(early.fee, 0);
+  assert.equal(early.policy, "standard");
+
+  const late = evaluateCancellation(reservation, new Date(startsAt - (freeCancellationHours - 1) * HOUR));
+  assert.equal(late.late, true);
+  assert.equal(late.fee, 2 * lateFeePerGuest);
+  assert.equal(late.started, false);
+
+  // Large parties need more notice and pay the large-party rate
+  const party = { numGuests: largeParty.minGuests, startsAt: startsAt.toISOString() };
+  const largeLate = evaluateCancellation(party, new Date(startsAt - (largeParty.freeCancellationHours - 1) * HOUR));
+  assert.equal(largeLate.policy, "large_party");
+  assert.equal(largeLate.fee, largeParty.minGuests * largeParty.lateFeePerGuest);
+
+  assert.equal(evaluateCancellation(reservation, new Date(startsAt.getTime() + HOUR)).started, true);
+});
+
+test("a guest cancelling early pays nothing", async () => {
+  const reservation = await book(await freshDate(), "12:00", "early@example.com");
+  const res = await call(cancelReservation, { params: { reservationId: reservation.id }, body: { email: "early@example.com" } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.cancellationFee, null);
+  assert.equal(res.body.reservation.cancellation.fee, 0);
+});
+
+test("a guest cancelling inside the window is charged a late fee", async () => {
+  const reservation = await book(await freshDate(), "12:00", "late@example.com");
+
+  // Bring the booking inside the free-cancellation window
+  const stored = await repository.reservations.get(reservation.id);
+  stored.startsAt = new Date(Date.now() + 2 * HOUR).toISOString();
+  await repository.reservations.save(stored);
+
+  const res = await call(cancelReservation, { params: { reservationId: reservation.id }, body: { email: "late@example.com" } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.cancellationFee.amount, 2 * RESTAURANT_TABLES.cancellationPolicy.lateFeePerGuest);
+  assert.equal(res.body.reservation.cancellation.late, true);
+
+  const payment = await repository.payments.get(res.body.cancellationFee.paymentId);
+  assert.equal(payment.amount, res.body.cancellationFee.amount);
+  assert.equal(payment.reservationId, reservation.id);
+});
+
+test("guests can't cancel once they are seated", async () => {
+  const reservation = await book(await freshDate(), "12:00", "seated@example.com");
+  await setStatus(reservation.id, "seated");
+
+  const res = await call(cancelReservation, { params: { reservationId: reservation.id }, body: { email: "seated@example.com" } });
+  assert.equal(res.statusCode, 400);
+  assert.equal((await repository.reservations.get(reservation.id)).status, "seated");
+});
+
+// ==================== MODIFY ====================
+
+test("moving a booking frees its old slot and updates the calendar event", async () => {
+  const date = await freshDate();
+  const reservation = await book(date, "12:00", "move@example.com");
+
+  const res = await call(modifyReservation, {
+    params: { reservationId: reservation.id },
+    body: { time: "14:00", email: "move@example.com" }
+  });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.reservation.time, "14:00");
+  assert.equal(res.body.reservation.calendarSequence, 1);
+  assert.equal(getStartInstant(res.body.reservation).toISOString(), res.body.reservation.startsAt);
+
+  // The single table is free again at noon
+  await book(date, "12:00", "other@example.com");
+});
+
+test("modifying needs the booking's contact details and a valid party size", async () => {
+  const reservation = await book(await freshDate(), "12:00", "owner@example.com");
+
+  const stranger = await call(modifyReservation, {
+    params: { reservationId: reservation.id },
+    body: { time: "13:00", email: "someone@example.com" }
+  });
+  assert.equal(stranger.statusCode, 404);
+
+  const fractional = await call(modifyReservation, {
+    params: { reservationId: reservation.id },
+    body: { numGuests: "2.5", email: "owner@example.com" }
+  });
+  assert.equal(fractional.statusCode, 400);
+
+  const tooBig = await call(modifyReservation, {
+    params: { reservationId: reservation.id },
+    body: { numGuests: 5, email: "owner@example.com" }
+  });
+  assert.equal(tooBig.statusCode, 400);
+  assert.equal((await repository.reservations.get(reservation.id)).numGuests, 2);
+});
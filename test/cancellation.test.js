@@ -0,0 +1,72 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { call, findServiceDate } from "./helpers.js";
+
+const { default: repository } = await import("../src/repository/index.js");
+const { createReservation, cancelReservation, updateReservationStatus } = await import("../src/controller/booking.Controller.js");
+const { sweepExpiredHolds } = await import("../src/utils/holdSweeper.js");
+const { buildReservationCalendar } = await import("../src/utils/icalendar.js");
+const { getLocationFor } = await import("../src/utils/locations.js");
+
+let date;
+
+before(async () => {
+  for (const id of [1, 2, 3]) {
+    await repository.tables.save({ id: id, seats: 8, location: "Main Floor", combinableWith: [] });
+  }
+  date = await findServiceDate("Lunch");
+});
+
+const book = async (email, numGuests = 2) => {
+  const res = await call(createReservation, {
+    body: { customerName: "Guest", numGuests: numGuests, date: date, time: "12:00", email: email }
+  });
+  assert.equal(res.statusCode, 201);
+  return res.body.reservation;
+};
+
+/**
+ * The event a guest would be sent now - a cancellation must outrank the confirmed one (SEQUENCE 0)
+ */
+const assertCancelEvent = async (reservationId) => {
+  const reservation = await repository.reservations.get(reservationId);
+  assert.equal(reservation.status, "cancelled");
+  assert.equal(reservation.calendarSequence, 1);
+
+  const ics = await buildReservationCalendar(reservation, await getLocationFor(reservation), { method: "CANCEL" });
+  assert.match(ics, /METHOD:CANCEL/);
+  assert.match(ics, /SEQUENCE:1/);
+  assert.match(ics, /STATUS:CANCELLED/);
+};
+
+test("a guest cancellation bumps the calendar sequence once", async () => {
+  const reservation = await book("guest@example.com");
+  const res = await call(cancelReservation, { params: { reservationId: reservation.id }, body: { email: "guest@example.com" } });
+  assert.equal(res.statusCode, 200);
+  await assertCancelEvent(reservation.id);
+});
+
+test("a staff cancellation sends the guest a cancelled event too", async () => {
+  const reservation = await book("staff@example.com");
+  const res = await call(updateReservationStatus, {
+    params: { reservationId: reservation.id },
+    body: { status: "cancelled", staffName: "Host" }
+  });
+  assert.equal(res.statusCode, 200);
+  await assertCancelEvent(reservation.id);
+});
+
+test("the sweeper reports deposit holds it cancels so the guest can be told", async () => {
+  const reservation = await book("lapsed@example.com", 6);
+  assert.equal(reservation.status, "pending_payment");
+
+  const stored = await repository.reservations.get(reservation.id);
+  stored.deposit.dueBy = new Date(Date.now() - 60 * 1000).toISOString();
+  await repository.reservations.save(stored);
+
+  const freed = await sweepExpiredHolds();
+  assert.equal(freed.length, 1);
+  assert.deepEqual(freed[0].cancelled.map(r => r.id), [reservation.id]);
+  assert.equal(freed[0].cancelled[0].calendarSequence, 1);
+  await assertCancelEvent(reservation.id);
+});
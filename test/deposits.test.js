@@ -0,0 +1,88 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { call, findServiceDate } from "./helpers.js";
+
+const { default: repository } = await import("../src/repository/index.js");
+const { createReservation } = await import("../src/controller/booking.Controller.js");
+const { confirmOfflinePaymentHandler } = await import("../src/controller/payment.Controller.js");
+const { expireUnpaidDeposits, isDepositOverdue } = await import("../src/utils/deposits.js");
+const { getAvailableTables } = await import("../src/utils/availability.js");
+const { RESTAURANT_TABLES } = await import("../src/config/restaurant.js");
+
+const LARGE_PARTY = RESTAURANT_TABLES.depositPolicy.rules.find(rule => rule.name === "large_party").minGuests;
+
+let date;
+
+before(async () => {
+  // One table big enough for a deposit-sized party
+  await repository.tables.save({ id: 1, seats: 8, location: "Main Floor", combinableWith: [] });
+  date = await findServiceDate("Lunch");
+});
+
+/**
+ * Book the table for a large party (held as pending_payment until the deposit is paid)
+ */
+const bookLargeParty = async (email) => {
+  const res = await call(createReservation, {
+    body: { customerName: "Large Party", numGuests: LARGE_PARTY, date: date, time: "12:00", email: email }
+  });
+  assert.equal(res.statusCode, 201);
+  return res.body.reservation;
+};
+
+/**
+ * Move a stored record's deadline field into the past
+ */
+const backdate = async (reservationId, field) => {
+  const reservation = await repository.reservations.get(reservationId);
+  reservation.deposit[field] = new Date(Date.now() - 60 * 1000).toISOString();
+  await repository.reservations.save(reservation);
+};
+
+test("large parties are held as pending_payment with a deposit due", async () => {
+  const reservation = await bookLargeParty("deposit@example.com");
+
+  assert.equal(reservation.status, "pending_payment");
+  assert.equal(reservation.deposit.status, "unpaid");
+  assert.equal(reservation.deposit.amount, LARGE_PARTY * RESTAURANT_TABLES.depositPolicy.rules[0].perGuest);
+
+  // The held table isn't offered to anyone else
+  assert.equal((await getAvailableTables(LARGE_PARTY, date, "12:00")).available, false);
+
+  // Not paid in time: the booking is cancelled and the table released
+  await backdate(reservation.id, "dueBy");
+  const expired = await expireUnpaidDeposits(date);
+  assert.deepEqual(expired.map(r => r.id), [reservation.id]);
+
+  const stored = await repository.reservations.get(reservation.id);
+  assert.equal(stored.status, "cancelled");
+  assert.equal(stored.deposit.status, "expired");
+  assert.equal((await getAvailableTables(LARGE_PARTY, date, "12:00")).available, true);
+});
+
+test("only the guest can claim an offline deposit payment", async () => {
+  const reservation = await bookLargeParty("offline@example.com");
+  const body = { reservationId: reservation.id, method: "bank_transfer" };
+
+  const anonymous = await call(confirmOfflinePaymentHandler, { body: body });
+  assert.equal(anonymous.statusCode, 401);
+
+  const wrongContact = await call(confirmOfflinePaymentHandler, { body: { ...body, email: "someone@example.com" } });
+  assert.equal(wrongContact.statusCode, 404);
+
+  const claimed = await call(confirmOfflinePaymentHandler, { body: { ...body, email: "offline@example.com" } });
+  assert.equal(claimed.statusCode, 201);
+  assert.equal(claimed.body.status, "pending_verification");
+  assert.ok(new Date(claimed.body.verifyBy) > new Date());
+
+  const stored = await repository.reservations.get(reservation.id);
+  assert.equal(stored.deposit.status, "pending_verification");
+  assert.equal(isDepositOverdue(stored), false);
+
+  // Staff never verified it: the hold lapses like an unpaid deposit
+  await backdate(reservation.id, "verifyBy");
+  const expired = await expireUnpaidDeposits(date);
+  assert.deepEqual(expired.map(r => r.id), [reservation.id]);
+  assert.equal((await repository.reservations.get(reservation.id)).status, "cancelled");
+  assert.equal((await getAvailableTables(LARGE_PARTY, date, "12:00")).available, true);
+});
@@ -0,0 +1,65 @@
+// Shared helpers for the controller tests - every test file runs against the in-memory store
+process.env.STORAGE_DRIVER = "memory";
+
+const { getCurrentSlot, addDays } = await import("../src/utils/availability.js");
+const { getServicePeriods } = await import("../src/utils/calendar.js");
+const { getLocation, DEFAULT_LOCATION_ID } = await import("../src/utils/locations.js");
+
+/**
+ * Minimal Express response that records what the controller sent
+ */
+export const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    },
+    set(field, value) {
+      // Express accepts set(name, value) or set({ name: value })
+      Object.assign(res.headers, typeof field === "string" ? { [field]: value } : field);
+      return res;
+    }
+  };
+  return res;
+};
+
+/**
+ * Call a controller with a request built from the given fields
+ * @returns {Promise<object>} - The recorded response ({ statusCode, body })
+ */
+export const call = async (handler, { body = {}, params = {}, query = {}, headers = {}, location = null } = {}) => {
+  const req = {
+    body: body,
+    params: params,
+    query: query,
+    headers: headers,
+    get: (name) => headers[name.toLowerCase()],
+    location: location || await getLocation(DEFAULT_LOCATION_ID),
+    userIP: "127.0.0.1"
+  };
+  const res = createResponse();
+  await handler(req, res);
+  return res;
+};
+
+/**
+ * First day with the named service period at least minDaysOut days away (clear of the same-day lead time)
+ */
+export const findServiceDate = async (periodName, minDaysOut = 2) => {
+  let date = addDays(getCurrentSlot().date, minDaysOut);
+  while (!(await getServicePeriods(date)).periods.some(period => period.name === periodName)) {
+    date = addDays(date, 1);
+  }
+  return date;
+};
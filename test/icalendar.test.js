@@ -0,0 +1,103 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { findServiceDate } from "./helpers.js";
+
+const { buildReservationCalendar, getCalendarFilename, getCalendarAttachment } = await import("../src/utils/icalendar.js");
+const { getLocation, DEFAULT_LOCATION_ID } = await import("../src/utils/locations.js");
+const { getStartTimestamps } = await import("../src/utils/timezone.js");
+
+let location;
+let date;
+
+before(async () => {
+  location = await getLocation(DEFAULT_LOCATION_ID);
+  date = await findServiceDate("Dinner");
+});
+
+const reservation = (fields = {}) => ({
+  id: "RES-1",
+  confirmationCode: "K7QF2M",
+  customerName: "Ada Lovelace",
+  email: "ada@example.com",
+  numGuests: 2,
+  date: date,
+  time: "19:00",
+  status: "confirmed",
+  seatingDuration: 120,
+  ...getStartTimestamps(date, "19:00"),
+  ...fields
+});
+
+const toUtc = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * Unfold content lines (RFC 5545 3.1) and index them by property name
+ */
+const parse = (ics) => {
+  const lines = ics.replace(/\r\n /g, "").split("\r\n").filter(Boolean);
+  return { lines: lines, get: (name) => lines.find(line => line.split(/[;:]/)[0] === name)?.slice(name.length + 1) };
+};
+
+test("a confirmed booking is published as a UTC event with a reminder", async () => {
+  const booking = reservation();
+  const ics = await buildReservationCalendar(booking, location);
+  const event = parse(ics);
+
+  assert.ok(ics.endsWith("\r\n"));
+  assert.equal(event.get("METHOD"), "PUBLISH");
+  assert.equal(event.get("UID"), "RES-1@noir-restaurant.com");
+  assert.equal(event.get("SEQUENCE"), "0");
+  assert.equal(event.get("STATUS"), "CONFIRMED");
+  assert.equal(event.get("SUMMARY"), "Dinner at NOIR (2 guests)");
+
+  const start = new Date(booking.startsAt);
+  assert.equal(event.get("DTSTART"), toUtc(start));
+  assert.equal(event.get("DTEND"), toUtc(new Date(start.getTime() + 120 * 60 * 1000)));
+
+  assert.ok(event.lines.includes("BEGIN:VALARM"));
+  assert.match(event.get("ATTENDEE"), /^CN="Ada Lovelace";ROLE=REQ-PARTICIPANT:mailto:ada@example.com$/);
+});
+
+test("a cancellation removes the event with a higher sequence and no reminder", async () => {
+  const ics = await buildReservationCalendar(reservation({ status: "cancelled", calendarSequence: 2 }), location, { method: "CANCEL" });
+  const event = parse(ics);
+
+  assert.equal(event.get("METHOD"), "CANCEL");
+  assert.equal(event.get("SEQUENCE"), "2");
+  assert.equal(event.get("STATUS"), "CANCELLED");
+  assert.match(event.get("SUMMARY"), /^Cancelled: Dinner at NOIR/);
+  assert.ok(!event.lines.includes("BEGIN:VALARM"));
+});
+
+test("a booking awaiting its deposit is tentative and says how to confirm", async () => {
+  const ics = await buildReservationCalendar(reservation({
+    status: "pending_payment",
+    deposit: { amount: 150, dueBy: "2026-11-01T12:00:00.000Z" }
+  }), location);
+  const event = parse(ics);
+
+  assert.equal(event.get("STATUS"), "TENTATIVE");
+  assert.match(event.get("DESCRIPTION"), /Pay the \$150 deposit by 2026-11-01T12:00:00.000Z/);
+});
+
+test("guest text is escaped and long lines are folded to 75 octets", async () => {
+  const ics = await buildReservationCalendar(reservation({ customerName: "The \"Regulars\", Table; Two" }), { ...location, name: "NOIR, Downtown; Café" });
+
+  for (const line of ics.split("\r\n")) {
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+  }
+
+  const event = parse(ics);
+  assert.equal(event.get("SUMMARY"), "Dinner at NOIR\\, Downtown\\; Café (2 guests)");
+  assert.match(event.get("ATTENDEE"), /^CN="The 'Regulars', Table; Two";/);
+  assert.match(event.get("DESCRIPTION"), /Table for 2 at NOIR\\, Downtown\\; Café\.\\nConfirmation code: K7QF2M\\n/);
+});
+
+test("calendar files are named after the venue and confirmation code", async () => {
+  assert.equal(getCalendarFilename(reservation(), location), "noir-reservation-K7QF2M.ics");
+  assert.equal(getCalendarFilename(reservation({ confirmationCode: null }), location), "noir-reservation-RES-1.ics");
+
+  const attachment = await getCalendarAttachment(reservation(), location, { method: "CANCEL" });
+  assert.equal(attachment.contentType, "text/calendar; charset=utf-8; method=CANCEL");
+  assert.match(attachment.content, /METHOD:CANCEL/);
+});
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createResponse } from "./helpers.js";
+
+const { default: repository } = await import("../src/repository/index.js");
+const { idempotent } = await import("../src/middleware/idempotency.js");
+
+/**
+ * Run a request through the middleware and a handler that answers with the given status and body
+ * (reply: null for a handler that never answers, like a crashed instance)
+ * @returns {Promise<object>} - The recorded response, plus whether the handler ran
+ */
+const send = async (key, body, { statusCode = 201, reply = { success: true } } = {}) => {
+  const headers = key ? { "idempotency-key": key } : {};
+  const req = { body: body, headers: headers, get: (name) => headers[name.toLowerCase()], userIP: "127.0.0.1" };
+  const res = createResponse();
+  res.handled = false;
+
+  await idempotent("test")(req, res, () => {
+    res.handled = true;
+    if (reply) res.status(statusCode).json({ ...reply, attempt: Math.random() });
+  });
+
+  // The outcome is stored after the response is sent
+  await new Promise(resolve => setImmediate(resolve));
+  return res;
+};
+
+test("a retry with the same key and body replays the first response", async () => {
+  const first = await send("replay", { guests: 2, date: "2026-11-14" });
+  assert.ok(first.handled);
+
+  // Key order doesn't change the fingerprint
+  const retry = await send("replay", { date: "2026-11-14", guests: 2 });
+  assert.equal(retry.handled, false);
+  assert.equal(retry.statusCode, 201);
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(retry.headers["Idempotent-Replayed"], "true");
+});
+
+test("reusing a key for a different body is rejected", async () => {
+  await send("reused", { guests: 2 });
+  const res = await send("reused", { guests: 4 });
+  assert.equal(res.handled, false);
+  assert.equal(res.statusCode, 422);
+});
+
+test("validation errors are replayed but availability answers release the key", async () => {
+  await send("invalid", { guests: 0 }, { statusCode: 400, reply: { success: false, error: "bad" } });
+  const replayed = await send("invalid", { guests: 0 });
+  assert.equal(replayed.handled, false);
+  assert.equal(replayed.statusCode, 400);
+
+  await send("full", { guests: 2 }, { statusCode: 400, reply: { success: false, reasonCode: "NO_TABLES" } });
+  assert.equal(await repository.idempotencyKeys.get("test:full"), null);
+  assert.ok((await send("full", { guests: 2 })).handled);
+});
+
+test("conflicts, declined payments and server errors release the key", async () => {
+  for (const statusCode of [401, 402, 409, 500]) {
+    const key = `released-${statusCode}`;
+    await send(key, { guests: 2 }, { statusCode: statusCode, reply: { success: false } });
+    const retry = await send(key, { guests: 2 });
+    assert.ok(retry.handled, `${statusCode} should let the retry run`);
+    assert.equal(retry.statusCode, 201);
+  }
+});
+
+test("a request still in progress blocks retries until it expires", async () => {
+  await send("stuck", { guests: 2 }, { reply: null });
+
+  const blocked = await send("stuck", { guests: 2 });
+  assert.equal(blocked.handled, false);
+  assert.equal(blocked.statusCode, 409);
+
+  // The first instance crashed - once its claim lapses a retry runs again
+  const record = await repository.idempotencyKeys.get("test:stuck");
+  await repository.idempotencyKeys.save({ ...record, expiresAt: new Date(Date.now() - 1000).toISOString() });
+  const retried = await send("stuck", { guests: 2 });
+  assert.ok(retried.handled);
+  assert.equal(retried.statusCode, 201);
+});
+
+test("requests without a key are not tracked and overlong keys are rejected", async () => {
+  assert.ok((await send(null, { guests: 2 })).handled);
+  assert.ok((await send(null, { guests: 2 })).handled);
+
+  const res = await send("k".repeat(256), { guests: 2 });
+  assert.equal(res.handled, false);
+  assert.equal(res.statusCode, 400);
+});
@@ -0,0 +1,163 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { call, createResponse, findServiceDate } from "./helpers.js";
+
+const { default: repository } = await import("../src/repository/index.js");
+const {
+  normalizeLocation,
+  validateLocation,
+  getLocation,
+  getLocations,
+  getLocationId,
+  isAtLocation,
+  getLocationSlug,
+  getLocationDomain,
+  getOperatingHours,
+  DEFAULT_LOCATION_ID
+} = await import("../src/utils/locations.js");
+const { upsertLocation, listLocations } = await import("../src/controller/location.Controller.js");
+const { createReservation, getRestaurantInfo } = await import("../src/controller/booking.Controller.js");
+const { withLocation } = await import("../src/middleware/location.js");
+const { getAvailableTables } = await import("../src/utils/availability.js");
+const { toInstant } = await import("../src/utils/timezone.js");
+const { RESTAURANT_TABLES } = await import("../src/config/restaurant.js");
+
+const RIVERSIDE = {
+  name: "NOIR Riverside",
+  address: "12 Quay Street",
+  email: "riverside@noir-restaurant.com"
+};
+
+/**
+ * Run the location middleware for a locationId
+ * @returns {Promise<object>} - { res, location } where location is what the handler would see
+ */
+const resolveLocation = async (locationId, options) => {
+  const req = { body: {}, query: locationId === undefined ? {} : { locationId: locationId } };
+  const res = createResponse();
+  let location = null;
+  await withLocation(options)(req, res, () => { location = req.location; });
+  return { res: res, location: location };
+};
+
+test("locations are normalized with defaults and validated", () => {
+  const location = normalizeLocation({ id: "riverside", ...RIVERSIDE });
+  assert.equal(location.fullName, "NOIR Riverside");
+  assert.deepEqual(location.specialties, []);
+  assert.deepEqual(location.payment, { bankTransfer: null, cashApp: null });
+  assert.equal(location.active, true);
+  assert.equal(location.timeZone, null);
+  assert.equal(validateLocation(location), null);
+  assert.equal(validateLocation({ ...location, timeZone: "America/Chicago" }), null);
+
+  assert.match(validateLocation({ ...location, id: "River Side" }), /^id must be/);
+  assert.match(validateLocation({ ...location, address: " " }), /address/);
+  assert.match(validateLocation({ ...location, email: "", phone: "" }), /phone or email/);
+  assert.match(validateLocation({ ...location, payment: { cashApp: { tag: "noir" } } }), /cashtag/);
+  assert.match(validateLocation({ ...location, timeZone: "Central Time" }), /^timeZone must be an IANA time zone/);
+});
+
+test("slugs and domains come from the venue's name and website", () => {
+  assert.equal(getLocationSlug({ id: "riverside", name: "NOIR Riverside!" }), "noir-riverside");
+  assert.equal(getLocationSlug({ id: "riverside", name: "---" }), "riverside");
+  assert.equal(getLocationDomain({ id: "x", website: "https://www.Noir-Restaurant.com:443/riverside" }), "noir-restaurant.com");
+  assert.equal(getLocationDomain({ id: "x", email: "riverside@noir.example" }), "noir.example");
+  assert.equal(getLocationDomain({ id: "x" }), "x.invalid");
+});
+
+test("records without a locationId belong to the default location", () => {
+  assert.equal(getLocationId({}), DEFAULT_LOCATION_ID);
+  assert.ok(isAtLocation({}, DEFAULT_LOCATION_ID));
+  assert.ok(isAtLocation({ locationId: "riverside" }, "riverside"));
+  assert.ok(!isAtLocation({ locationId: "riverside" }, DEFAULT_LOCATION_ID));
+  assert.equal(getOperatingHours({ operatingHours: null }), RESTAURANT_TABLES.operatingHours);
+});
+
+test("admins add a location and update only the fields they send", async () => {
+  const added = await call(upsertLocation, { params: { locationId: "riverside" }, body: { ...RIVERSIDE, active: false } });
+  assert.equal(added.statusCode, 201);
+
+  // Set up but not yet taking bookings
+  assert.ok(!(await getLocations()).some(location => location.id === "riverside"));
+  assert.equal((await resolveLocation("riverside")).res.statusCode, 404);
+  assert.equal((await resolveLocation("riverside", { includeInactive: true })).location.id, "riverside");
+
+  const opened = await call(upsertLocation, { params: { locationId: "riverside" }, body: { active: true, tagline: "By the water" } });
+  assert.equal(opened.statusCode, 200);
+  const stored = await getLocation("riverside");
+  assert.equal(stored.address, RIVERSIDE.address);
+  assert.equal(stored.tagline, "By the water");
+
+  const listed = await call(listLocations);
+  assert.deepEqual(listed.body.locations.map(location => location.id), [DEFAULT_LOCATION_ID, "riverside"]);
+});
+
+test("invalid locations and hours are rejected and the default stays active", async () => {
+  const missing = await call(upsertLocation, { params: { locationId: "harbour" }, body: { name: "Harbour" } });
+  assert.equal(missing.statusCode, 400);
+  assert.equal(await getLocation("harbour"), null);
+
+  const badDay = await call(upsertLocation, {
+    params: { locationId: "harbour" },
+    body: { ...RIVERSIDE, operatingHours: { Funday: [] } }
+  });
+  assert.equal(badDay.statusCode, 400);
+  assert.match(badDay.body.error, /unknown day "Funday"/);
+
+  const closeDefault = await call(upsertLocation, { params: { locationId: DEFAULT_LOCATION_ID }, body: { active: false } });
+  assert.equal(closeDefault.statusCode, 400);
+  assert.equal((await getLocation(DEFAULT_LOCATION_ID)).active, true);
+});
+
+test("requests without a locationId go to the default and unknown ones are refused", async () => {
+  assert.equal((await resolveLocation(undefined)).location.id, DEFAULT_LOCATION_ID);
+
+  const unknown = await resolveLocation("nowhere");
+  assert.equal(unknown.res.statusCode, 404);
+  assert.ok(unknown.res.body.locations.includes(DEFAULT_LOCATION_ID));
+});
+
+test("each location only seats guests at its own tables", async () => {
+  await call(upsertLocation, { params: { locationId: "uptown" }, body: { ...RIVERSIDE, name: "NOIR Uptown" } });
+  await repository.tables.save({ id: 40, seats: 4, location: "Terrace", combinableWith: [], locationId: "uptown" });
+  await repository.tables.save({ id: 41, seats: 4, location: "Main Floor", combinableWith: [] });
+
+  const date = await findServiceDate("Lunch");
+  const uptown = await getAvailableTables(2, date, "12:00", {}, null, "uptown");
+  assert.deepEqual(uptown.tables.map(table => table.id), [40]);
+
+  // Tables without a locationId are the default location's floor plan
+  const downtown = await getAvailableTables(2, date, "12:00", {}, null, DEFAULT_LOCATION_ID);
+  assert.deepEqual(downtown.tables.map(table => table.id), [41]);
+});
+
+test("a venue in another time zone books and reports times in its own zone", async () => {
+  const added = await call(upsertLocation, {
+    params: { locationId: "westside" },
+    body: { ...RIVERSIDE, name: "NOIR Westside", timeZone: "America/Los_Angeles" }
+  });
+  assert.equal(added.statusCode, 201);
+  const westside = await getLocation("westside");
+  await repository.tables.save({ id: 50, seats: 4, location: "Patio", combinableWith: [], locationId: "westside" });
+
+  const date = await findServiceDate("Dinner");
+  const booked = await call(createReservation, {
+    body: { customerName: "West Coast Guest", numGuests: 2, date: date, time: "19:00", email: "west@example.com" },
+    location: westside
+  });
+  assert.equal(booked.statusCode, 201);
+
+  const reservation = await repository.reservations.get(booked.body.reservation.id);
+  assert.equal(reservation.timeZone, "America/Los_Angeles");
+  assert.equal(reservation.startsAt, toInstant(date, "19:00", "America/Los_Angeles").toISOString());
+  assert.match(reservation.startsAtLocal, new RegExp(`^${date}T19:00:00-0[78]:00$`));
+
+  const info = await call(getRestaurantInfo, { location: westside });
+  assert.equal(info.body.restaurant.timeZone, "America/Los_Angeles");
+  const downtown = await call(getRestaurantInfo);
+  assert.equal(downtown.body.restaurant.timeZone, RESTAURANT_TABLES.timeZone);
+
+  const invalid = await call(upsertLocation, { params: { locationId: "westside" }, body: { timeZone: "Pacific Time" } });
+  assert.equal(invalid.statusCode, 400);
+  assert.equal((await getLocation("westside")).timeZone, "America/Los_Angeles");
+});
@@ -0,0 +1,60 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { call, findServiceDate } from "./helpers.js";
+
+const { default: repository } = await import("../src/repository/index.js");
+const { createReservation } = await import("../src/controller/booking.Controller.js");
+const { getManifest } = await import("../src/controller/manifest.Controller.js");
+
+let date;
+
+before(async () => {
+  for (const id of [1, 2]) {
+    await repository.tables.save({ id: id, seats: 4, location: "Main Floor", combinableWith: [] });
+  }
+  date = await findServiceDate("Lunch");
+});
+
+test("manifest rows carry the allergies and notes on the guest's profile", async () => {
+  const booked = await call(createReservation, {
+    body: { customerName: "Returning Guest", numGuests: 2, date: date, time: "12:00", email: "regular@example.com", allergies: ["shellfish"] }
+  });
+  assert.equal(booked.statusCode, 201);
+  const reservation = await repository.reservations.get(booked.body.reservation.id);
+  assert.ok(reservation.guestId);
+
+  // Known from an earlier visit, not repeated on this booking
+  const guest = await repository.guests.get(reservation.guestId);
+  guest.allergies = ["Shellfish", "peanuts"];
+  guest.dietaryRestrictions = ["vegetarian"];
+  guest.notes = "Prefers a quiet corner";
+  await repository.guests.save(guest);
+
+  const res = await call(getManifest, { query: { date: date } });
+  assert.equal(res.statusCode, 200);
+  const [row] = res.body.manifest.byTime[0].reservations;
+  assert.deepEqual(row.allergies, ["shellfish", "peanuts"]);
+  assert.deepEqual(row.dietaryRestrictions, ["vegetarian"]);
+  assert.equal(row.guestNotes, "Prefers a quiet corner");
+
+  const csv = await call(getManifest, { query: { date: date, format: "csv" } });
+  assert.match(csv.body, /shellfish; peanuts/);
+  assert.match(csv.body, /Prefers a quiet corner/);
+
+  const html = await call(getManifest, { query: { date: date, format: "html" } });
+  assert.match(html.body, /<td class="alert">shellfish, peanuts<\/td>/);
+});
+
+test("a reservation without a guest profile keeps its own details", async () => {
+  const booked = await call(createReservation, {
+    body: { customerName: "Walk In", numGuests: 2, date: date, time: "12:00", phone: "555-0100", allergies: "sesame" }
+  });
+  assert.equal(booked.statusCode, 201);
+  const reservation = await repository.reservations.get(booked.body.reservation.id);
+  await repository.reservations.save({ ...reservation, guestId: "GST-MISSING" });
+
+  const res = await call(getManifest, { query: { date: date } });
+  const row = res.body.manifest.byTime[0].reservations.find(r => r.reservationId === reservation.id);
+  assert.deepEqual(row.allergies, ["sesame"]);
+  assert.equal(row.guestNotes, "");
+});
@@ -0,0 +1,75 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { call, findServiceDate } from "./helpers.js";
+
+const { default: repository } = await import("../src/repository/index.js");
+const { getAvailableTables, parsePartySize, PARTY_SIZE, REASON_CODES } = await import("../src/utils/availability.js");
+const { getMonthAvailability } = await import("../src/utils/availabilityCalendar.js");
+const { RESTAURANT_TABLES } = await import("../src/config/restaurant.js");
+const { getAvailabilityCalendar } = await import("../src/controller/booking.Controller.js");
+
+let date;
+
+before(async () => {
+  // A private dining table that seats the largest party, plus a four-top
+  await repository.tables.save({ id: 1, seats: PARTY_SIZE.max, location: "Private Room", combinableWith: [] });
+  await repository.tables.save({ id: 2, seats: 4, location: "Main Floor", combinableWith: [] });
+  date = await findServiceDate("Dinner");
+});
+
+test("party sizes must be whole numbers within PARTY_SIZE", () => {
+  assert.equal(parsePartySize(4), 4);
+  assert.equal(parsePartySize(" 4 "), 4);
+  for (const value of [0, 4.5, "4abc", "4.5", "", null, PARTY_SIZE.max + 1]) {
+    assert.equal(parsePartySize(value), null, `${JSON.stringify(value)} should be rejected`);
+  }
+});
+
+test("a party larger than the dinner cover cap can book an empty interval", async () => {
+  assert.ok(PARTY_SIZE.max > RESTAURANT_TABLES.pacing.Dinner.maxCovers);
+
+  const availability = await getAvailableTables(PARTY_SIZE.max, date, "19:00");
+  assert.equal(availability.available, true);
+  assert.deepEqual(availability.tables.map(table => table.id), [1]);
+});
+
+test("arrivals beyond the cover cap are paced once the interval has a booking", async () => {
+  await repository.reservations.save({
+    id: "RES-paced", date: date, time: "19:00", numGuests: "4", status: "confirmed", tableIds: [2], tableId: 2
+  });
+
+  // Same interval as the booking: 4 + 14 covers is over the cap
+  const paced = await getAvailableTables(14, date, "19:00");
+  assert.equal(paced.available, false);
+  assert.equal(paced.reasonCode, REASON_CODES.PACING_LIMIT);
+
+  // Pacing counts the stored party size as a number, so 4 + 12 still fits
+  const fits = await getAvailableTables(12, date, "19:00");
+  assert.equal(fits.available, true);
+
+  // The next interval is empty again
+  const later = await getAvailableTables(14, date, "19:15");
+  assert.equal(later.available, true);
+
+  await repository.reservations.delete("RES-paced");
+});
+
+test("the month calendar shows dinner as bookable for the largest party", async () => {
+  const calendar = await getMonthAvailability(date.slice(0, 7), PARTY_SIZE.max);
+  const day = calendar.days.find(entry => entry.date === date);
+  assert.notEqual(day.status, "full");
+  assert.ok(day.slots.includes("19:00"));
+  assert.equal(day.pacedSlots.length, 0);
+});
+
+test("the calendar endpoint rejects party sizes that are not whole numbers", async () => {
+  const month = date.slice(0, 7);
+  for (const guests of ["4abc", "4.5", "0", "21", undefined]) {
+    const res = await call(getAvailabilityCalendar, { query: { month: month, guests: guests } });
+    assert.equal(res.statusCode, 400, `guests=${guests}`);
+  }
+
+  const res = await call(getAvailabilityCalendar, { query: { month: month, guests: "4" } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+});
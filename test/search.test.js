@@ -0,0 +1,101 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { call } from "./helpers.js";
+
+const { default: repository } = await import("../src/repository/index.js");
+const { searchReservations } = await import("../src/controller/search.Controller.js");
+const { logger } = await import("../src/utils/logger.js");
+
+const reservation = (id, date, fields = {}) => ({
+  id: id,
+  confirmationCode: `CODE${id}`,
+  customerName: `Guest ${id}`,
+  email: `guest${id}@example.com`,
+  phone: "+1 555 010 0000",
+  numGuests: 2,
+  date: date,
+  time: "19:00",
+  status: "confirmed",
+  createdAt: `${date}T09:00:00.000Z`,
+  ...fields
+});
+
+before(async () => {
+  await repository.reservations.save(reservation("A", "2026-11-16", { customerName: "Ada Smith" }));
+  await repository.reservations.save(reservation("B", "2026-11-17", { customerName: "Bo Smith", numGuests: "4" }));
+  await repository.reservations.save(reservation("C", "2026-11-18", { customerName: "Cy Smith", status: "cancelled" }));
+  await repository.reservations.save(reservation("D", "2026-11-25", { customerName: "Di Smith" }));
+  await repository.reservations.save(reservation("E", "2026-11-17", { customerName: "Ed Jones", locationId: "riverside" }));
+});
+
+/**
+ * Run a search, recording the filters sent to storage and what was logged
+ */
+const search = async (query) => {
+  const stored = [];
+  const logged = [];
+  const find = repository.reservations.find;
+  const log = logger.log;
+  repository.reservations.find = (filters) => {
+    stored.push(filters);
+    return find(filters);
+  };
+  logger.log = (...args) => logged.push(args.join(" "));
+
+  try {
+    const res = await call(searchReservations, { query: query });
+    return { res, stored, logged };
+  } finally {
+    repository.reservations.find = find;
+    logger.log = log;
+  }
+};
+
+test("a date range is the only filter pushed to storage", async () => {
+  const { res, stored } = await search({ name: "smith", from: "2026-11-16", to: "2026-11-18", status: "confirmed" });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(stored, [{ date: { gte: "2026-11-16", lte: "2026-11-18" } }]);
+  assert.deepEqual(res.body.reservations.map(r => r.id), ["A", "B"]);
+});
+
+test("exact-match fields are pushed to storage without a date range", async () => {
+  const { res, stored } = await search({ confirmationCode: "codeb", status: "confirmed" });
+
+  assert.deepEqual(stored, [{ confirmationCode: "CODEB", status: "confirmed" }]);
+  assert.deepEqual(res.body.reservations.map(r => r.id), ["B"]);
+});
+
+test("party sizes stored as strings still match numerically", async () => {
+  const { res } = await search({ numGuests: "4" });
+  assert.deepEqual(res.body.reservations.map(r => r.id), ["B"]);
+
+  const { res: atLeastThree } = await search({ minGuests: "3" });
+  assert.deepEqual(atLeastThree.body.reservations.map(r => r.id), ["B"]);
+});
+
+test("guest details are not written to the logs", async () => {
+  const { logged } = await search({ name: "smith", email: "guesta@example.com", phone: "5550100" });
+
+  assert.ok(logged.some(line => line.includes("name, email, phone")));
+  for (const line of logged) {
+    assert.doesNotMatch(line, /smith|guesta@example\.com|5550100/);
+  }
+});
+
+test("cursors page through results without repeats", async () => {
+  const seen = [];
+  let cursor;
+  do {
+    const { res } = await search({ name: "smith", sort: "date", limit: "2", ...(cursor && { cursor }) });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.total, 4);
+    seen.push(...res.body.reservations.map(r => r.id));
+    cursor = res.body.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(seen, ["A", "B", "C", "D"]);
+
+  const { res: otherSort } = await search({ name: "smith", sort: "customerName", limit: "2", cursor: "bm90LWEtY3Vyc29y" });
+  assert.equal(otherSort.statusCode, 400);
+});
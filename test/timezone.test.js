@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import "./helpers.js";
+
+const {
+  toInstant,
+  toRestaurantSlot,
+  getStartTimestamps,
+  getStartInstant,
+  formatInstant,
+  isValidTimeZone,
+  RESTAURANT_TIMEZONE
+} = await import("../src/utils/timezone.js");
+const { checkBookingWindow, getCurrentSlot, REASON_CODES } = await import("../src/utils/availability.js");
+
+test("booking times are converted in the zone they are given in", () => {
+  assert.equal(toInstant("2026-11-14", "19:00", "America/New_York").toISOString(), "2026-11-15T00:00:00.000Z");
+  assert.equal(toInstant("2026-11-14", "19:00", "America/Los_Angeles").toISOString(), "2026-11-15T03:00:00.000Z");
+  assert.equal(toInstant("2026-07-14", "19:00", "Europe/London").toISOString(), "2026-07-14T18:00:00.000Z");
+
+  assert.deepEqual(toRestaurantSlot(new Date("2026-11-15T03:00:00Z"), "America/Los_Angeles"), { date: "2026-11-14", time: "19:00" });
+  assert.equal(formatInstant("2026-11-15T03:00:00Z", { hour: "2-digit", minute: "2-digit", hourCycle: "h23" }, "America/Los_Angeles"), "19:00");
+});
+
+test("reservations record their zone and older records fall back to the group's", () => {
+  const start = getStartTimestamps("2026-11-14", "19:00", "America/Chicago");
+  assert.deepEqual(start, {
+    timeZone: "America/Chicago",
+    startsAt: "2026-11-15T01:00:00.000Z",
+    startsAtLocal: "2026-11-14T19:00:00-06:00"
+  });
+
+  // No startsAt yet - the stored zone decides the instant
+  assert.equal(getStartInstant({ date: "2026-11-14", time: "19:00", timeZone: "America/Chicago" }).toISOString(), start.startsAt);
+  assert.equal(
+    getStartInstant({ date: "2026-11-14", time: "19:00" }).toISOString(),
+    toInstant("2026-11-14", "19:00", RESTAURANT_TIMEZONE).toISOString()
+  );
+});
+
+test("time zones are checked against the IANA database", () => {
+  assert.ok(isValidTimeZone("America/Chicago"));
+  assert.ok(!isValidTimeZone("Mars/Olympus_Mons"));
+  assert.ok(!isValidTimeZone(""));
+  assert.ok(!isValidTimeZone(null));
+});
+
+test("what counts as past depends on the venue's zone", () => {
+  // Kiritimati (UTC+14) is always at least a day ahead of Pago Pago (UTC-11)
+  const { date } = getCurrentSlot("Pacific/Pago_Pago");
+  assert.ok(getCurrentSlot("Pacific/Kiritimati").date > date);
+
+  const window = checkBookingWindow(date, "23:59", "Pacific/Kiritimati");
+  assert.equal(window.bookable, false);
+  assert.equal(window.reasonCode, REASON_CODES.SLOT_IN_PAST);
+});
@@ -0,0 +1,75 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { call, findServiceDate } from "./helpers.js";
+
+const { default: repository } = await import("../src/repository/index.js");
+const { createReservation, cancelReservation } = await import("../src/controller/booking.Controller.js");
+const { joinWaitlist, getWaitlistEntry, leaveWaitlist } = await import("../src/controller/waitlist.Controller.js");
+
+let date;
+
+before(async () => {
+  // A single two-top, so one booking fills the slot
+  await repository.tables.save({ id: 1, seats: 2, location: "Window", combinableWith: [] });
+  date = await findServiceDate("Lunch");
+});
+
+const booking = (name, email, extra = {}) => ({
+  body: { customerName: name, numGuests: 2, date: date, time: "12:00", email: email, ...extra }
+});
+
+test("a cancelled table is offered to the waitlist and the offer can be booked", async () => {
+  const first = await call(createReservation, booking("First Guest", "first@example.com"));
+  assert.equal(first.statusCode, 201);
+
+  const full = await call(createReservation, booking("Second Guest", "second@example.com"));
+  assert.equal(full.statusCode, 400);
+  assert.equal(full.body.waitlistAvailable, true);
+  assert.equal(full.body.reasonCode, "NO_TABLES");
+
+  const joined = await call(joinWaitlist, booking("Second Guest", "second@example.com"));
+  assert.equal(joined.statusCode, 201);
+  assert.equal(joined.body.position, 1);
+  const waitlistId = joined.body.waitlistEntry.id;
+
+  const cancelled = await call(cancelReservation, {
+    params: { reservationId: first.body.reservation.id },
+    body: { email: "first@example.com" }
+  });
+  assert.equal(cancelled.statusCode, 200);
+
+  const offered = await call(getWaitlistEntry, { params: { waitlistId }, query: { email: "second@example.com" } });
+  assert.equal(offered.body.waitlistEntry.status, "offered");
+  assert.deepEqual(offered.body.waitlistEntry.hold.tableIds, [1]);
+
+  // The held table doesn't block the guest it is offered to
+  const booked = await call(createReservation, booking("Second Guest", "second@example.com", { waitlistId }));
+  assert.equal(booked.statusCode, 201);
+  assert.deepEqual(booked.body.reservation.tableIds, [1]);
+
+  const entry = await repository.waitlist.get(waitlistId);
+  assert.equal(entry.status, "booked");
+  assert.equal(entry.reservationId, booked.body.reservation.id);
+});
+
+test("waitlist entries need the contact details used to join", async () => {
+  const joined = await call(joinWaitlist, booking("Third Guest", "third@example.com"));
+  assert.equal(joined.statusCode, 201);
+  const waitlistId = joined.body.waitlistEntry.id;
+
+  const noContact = await call(getWaitlistEntry, { params: { waitlistId } });
+  assert.equal(noContact.statusCode, 401);
+
+  const wrongContact = await call(getWaitlistEntry, { params: { waitlistId }, query: { email: "someone@example.com" } });
+  const unknownId = await call(getWaitlistEntry, { params: { waitlistId: "WL-missing" }, query: { email: "third@example.com" } });
+  assert.equal(wrongContact.statusCode, 404);
+  assert.equal(unknownId.statusCode, 404);
+  assert.equal(wrongContact.body.error, unknownId.body.error);
+
+  const stolen = await call(createReservation, booking("Someone Else", "someone@example.com", { waitlistId }));
+  assert.equal(stolen.statusCode, 404);
+
+  const left = await call(leaveWaitlist, { params: { waitlistId }, body: { email: "THIRD@example.com" } });
+  assert.equal(left.statusCode, 200);
+  assert.equal((await repository.waitlist.get(waitlistId)).status, "left");
+});